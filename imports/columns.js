@@ -0,0 +1,58 @@
+// 스프레드시트 열 → 이름/직책/날짜 자동 매핑
+//
+// 매핑 형식 (인덱스는 0부터):
+//   { headerRow, nameColumn, roleColumn | null, dateColumns: { 열 인덱스: 'YYYY-MM-DD' } }
+const ClubDate = require('../shared/club-date');
+
+const HEADER_SCAN_ROWS = 10;
+const NAME_HEADER_PATTERN = /^(성명|이름|닉네임|멤버|name|member)$/i;
+const ROLE_HEADER_PATTERN = /^(직책|역할|role)$/i;
+
+// 헤더 값 → 날짜. 연도/월이 빠진 형식은 가져오는 달 기준으로 채움
+//   '2025-06-02', '2025.6.2', '6/2', '6/2(월) 정규런', '6월 2일', '2일'
+function parseDateHeader(value, year, month) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})\s*[-./]\s*(\d{1,2})\s*[-./]\s*(\d{1,2})(?!\d)/);
+  if (match) return ClubDate.formatDateKey(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]));
+
+  match = text.match(/^(\d{1,2})\s*[/.]\s*(\d{1,2})(?![\d./])/) || text.match(/^(\d{1,2})\s*월\s*(\d{1,2})\s*일/);
+  if (match) return ClubDate.formatDateKey(year, parseInt(match[1]), parseInt(match[2]));
+
+  match = text.match(/^(\d{1,2})\s*일/);
+  if (match) return ClubDate.formatDateKey(year, month, parseInt(match[1]));
+  return null;
+}
+
+function detectColumns(rows, year, month) {
+  let headerRow = rows.slice(0, HEADER_SCAN_ROWS).findIndex(row => row.some(value => parseDateHeader(value, year, month)));
+  if (headerRow === -1) headerRow = 0;
+
+  const header = rows[headerRow] || [];
+  const dateColumns = {};
+  header.forEach((value, index) => {
+    const date = parseDateHeader(value, year, month);
+    if (date) dateColumns[index] = date;
+  });
+
+  const roleColumn = header.findIndex(value => ROLE_HEADER_PATTERN.test(value));
+  let nameColumn = header.findIndex(value => NAME_HEADER_PATTERN.test(value));
+  if (nameColumn === -1) {
+    // 이름 헤더가 없으면 날짜/직책이 아닌 첫 번째 글자 열
+    const body = rows.slice(headerRow + 1);
+    nameColumn = header.findIndex((value, index) => (
+      !dateColumns[index] && index !== roleColumn && body.some(row => row[index] && isNaN(Number(row[index])))
+    ));
+  }
+
+  return {
+    headerRow: headerRow,
+    nameColumn: nameColumn === -1 ? null : nameColumn,
+    roleColumn: roleColumn === -1 ? null : roleColumn,
+    dateColumns: dateColumns
+  };
+}
+
+module.exports = {
+  parseDateHeader,
+  detectColumns
+};
@@ -0,0 +1,19 @@
+// 스프레드시트(CSV/XLSX) 가져오기 도우미
+//
+//   readSpreadsheet(buffer, format, options) → { sheet, sheets, rows: [[문자열]] }
+//   detectColumns(rows, year, month)        → { headerRow, nameColumn, roleColumn, dateColumns }
+//   matchMemberName(name, candidates)       → { method, memberId, score, candidates }
+//
+// 멤버/날짜 셀을 월 명단에 반영하고 차이를 계산하는 부분은 데이터가 필요하므로 server.js에 있음
+const { SPREADSHEET_FORMATS, readSpreadsheet } = require('./spreadsheet');
+const { parseDateHeader, detectColumns } = require('./columns');
+const { normalizeName, matchMemberName } = require('./matching');
+
+module.exports = {
+  SPREADSHEET_FORMATS,
+  readSpreadsheet,
+  parseDateHeader,
+  detectColumns,
+  normalizeName,
+  matchMemberName
+};
@@ -0,0 +1,74 @@
+// 스프레드시트/투표 결과의 이름을 명부 멤버와 맞춤
+// 단톡방 닉네임처럼 '김영훈/6분', '김영훈(강남)', '김영훈 님' 형태도 같은 이름으로 봄
+const FUZZY_MATCH_THRESHOLD = 0.6;
+
+function normalizeName(name) {
+  return String(name || '').normalize('NFC')
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, '')
+    .split(/[/|]/)[0]
+    .replace(/\s+/g, '')
+    .replace(/님$/, '')
+    .toLowerCase();
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 0~1 유사도. 한쪽이 다른 쪽을 포함하면(예: '김영훈페이서') 길이 비율로 계산
+function nameSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  const longer = Math.max(x.length, y.length);
+  const byDistance = 1 - editDistance(x, y) / longer;
+  const byContainment = x.includes(y) || y.includes(x) ? Math.min(x.length, y.length) / longer : 0;
+  return Math.max(byDistance, byContainment);
+}
+
+// candidates: [{ id, name, inRoster }]. 점수가 같으면 해당 월 명단에 있는 멤버를 우선함
+// 반환: { method: 'exact' | 'fuzzy' | 'ambiguous' | 'none', memberId, score, candidates: 상위 3명 }
+function matchMemberName(name, candidates, threshold = FUZZY_MATCH_THRESHOLD) {
+  const scored = candidates
+    .map(candidate => ({ id: candidate.id, name: candidate.name, inRoster: !!candidate.inRoster, score: nameSimilarity(name, candidate.name) }))
+    .filter(candidate => candidate.score >= threshold)
+    .sort((a, b) => b.score - a.score || (b.inRoster ? 1 : 0) - (a.inRoster ? 1 : 0));
+  const top = scored.slice(0, 3).map(candidate => ({ id: candidate.id, name: candidate.name, score: Math.round(candidate.score * 100) / 100 }));
+
+  if (scored.length === 0) {
+    return { method: 'none', memberId: null, score: 0, candidates: top };
+  }
+
+  const best = scored[0];
+  const tied = scored.filter(candidate => candidate.score === best.score && candidate.inRoster === best.inRoster);
+  if (tied.length > 1) {
+    return { method: 'ambiguous', memberId: null, score: best.score, candidates: top };
+  }
+  return {
+    method: best.score === 1 ? 'exact' : 'fuzzy',
+    memberId: best.id,
+    score: Math.round(best.score * 100) / 100,
+    candidates: top
+  };
+}
+
+module.exports = {
+  FUZZY_MATCH_THRESHOLD,
+  normalizeName,
+  nameSimilarity,
+  matchMemberName
+};
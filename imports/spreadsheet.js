@@ -0,0 +1,142 @@
+const ExcelJS = require('exceljs');
+
+// 스프레드시트 파일 → 문자열 2차원 배열
+//   CSV/TSV: 구분자 자동 감지, UTF-8이 아니면 EUC-KR(한글 Excel 기본 저장 형식)로 읽음
+//   XLSX   : 지정한 시트(없으면 options.prefer에 맞는 첫 시트). 날짜 셀은 'YYYY-MM-DD'로 변환
+const SPREADSHEET_FORMATS = ['csv', 'tsv', 'xlsx'];
+
+function decodeText(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('euc-kr').decode(buffer);
+  }
+}
+
+// 첫 줄에 가장 많이 나오는 구분자 (따옴표 안은 무시)
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+  const counts = [',', '\t', ';'].map(delimiter => ({ delimiter: delimiter, count: firstLine.split(delimiter).length - 1 }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.error) return '';
+  }
+  return String(value);
+}
+
+function readSheetRows(sheet) {
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      cells[columnNumber - 1] = cellText(cell.value);
+    });
+    rows[rowNumber - 1] = Array.from(cells, value => value || '');
+  });
+  return Array.from(rows, row => row || []);
+}
+
+// 시트 이름을 주지 않으면 prefer(rows)가 참인 첫 시트, 없으면 첫 시트
+// (내보낸 파일처럼 첫 시트가 요약이고 날짜별 시트가 뒤에 있는 경우)
+async function readXlsx(buffer, sheetName, prefer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheets = workbook.worksheets.map(sheet => sheet.name);
+  if (sheetName) {
+    const sheet = workbook.getWorksheet(sheetName);
+    if (!sheet) {
+      const error = new Error(`Sheet not found: ${sheetName}`);
+      error.code = 'SPREADSHEET_INVALID';
+      throw error;
+    }
+    return { sheet: sheet.name, sheets: sheets, rows: readSheetRows(sheet) };
+  }
+  if (workbook.worksheets.length === 0) {
+    const error = new Error('Workbook has no sheets');
+    error.code = 'SPREADSHEET_INVALID';
+    throw error;
+  }
+
+  const candidates = workbook.worksheets.map(sheet => ({ sheet: sheet.name, sheets: sheets, rows: readSheetRows(sheet) }));
+  return (prefer && candidates.find(candidate => prefer(candidate.rows))) || candidates[0];
+}
+
+// format: 'csv' | 'tsv' | 'xlsx'. 읽을 수 없는 파일이면 error.code SPREADSHEET_INVALID
+async function readSpreadsheet(buffer, format, options = {}) {
+  let result;
+  if (format === 'xlsx') {
+    try {
+      result = await readXlsx(buffer, options.sheet, options.prefer);
+    } catch (error) {
+      if (error.code !== 'SPREADSHEET_INVALID') {
+        error.message = 'Could not read XLSX file';
+        error.code = 'SPREADSHEET_INVALID';
+      }
+      throw error;
+    }
+  } else {
+    const text = decodeText(buffer).replace(/^\uFEFF/, '');
+    result = { sheet: null, sheets: [], rows: parseCsv(text, format === 'tsv' ? '\t' : detectDelimiter(text)) };
+  }
+
+  // 앞뒤 공백 제거, 끝의 빈 행 제거
+  result.rows = result.rows.map(row => row.map(value => value.trim()));
+  while (result.rows.length > 0 && result.rows[result.rows.length - 1].every(value => value === '')) {
+    result.rows.pop();
+  }
+  return result;
+}
+
+module.exports = {
+  SPREADSHEET_FORMATS,
+  readSpreadsheet,
+  parseCsv
+};
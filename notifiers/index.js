@@ -0,0 +1,44 @@
+// 알림 발송 (출석 조건 중간 점검, 월말 결산)
+//
+// 모든 알림기는 같은 형태를 따름: { name, type, target, send(message) → Promise }
+//   message: { event, title, text, data }
+//   target : 화면에 보여줄 발송 대상 (웹훅 토큰 같은 비밀 값은 빼고)
+//
+//   createNotifier({ type: 'webhook' | 'slack' | 'kakao', url })
+//   createNotifier({ type: 'smtp', host, port, secure, user, password, from, to: [주소] })
+//   sendToAll(notifiers, message) → [{ name, type, ok, error }] (하나가 실패해도 나머지는 보냄)
+const { createWebhookNotifier } = require('./webhook');
+const { createSmtpNotifier } = require('./smtp');
+const { buildReminderMessage, buildMonthSummaryMessage, buildTestMessage } = require('./messages');
+
+const NOTIFIER_TYPES = ['webhook', 'slack', 'kakao', 'smtp'];
+
+function createNotifier(config) {
+  switch (config.type) {
+    case 'webhook':
+      return createWebhookNotifier(Object.assign({}, config, { format: 'json' }));
+    case 'slack':
+    case 'kakao':
+      return createWebhookNotifier(Object.assign({}, config, { format: config.type }));
+    case 'smtp':
+      return createSmtpNotifier(config);
+    default:
+      throw new Error(`Unknown notifier type: ${config.type} (${NOTIFIER_TYPES.join(', ')} 중 선택)`);
+  }
+}
+
+function sendToAll(notifiers, message) {
+  return Promise.all(notifiers.map(notifier => notifier.send(message).then(
+    () => ({ name: notifier.name, type: notifier.type, ok: true, error: null }),
+    error => ({ name: notifier.name, type: notifier.type, ok: false, error: error.message })
+  )));
+}
+
+module.exports = {
+  NOTIFIER_TYPES,
+  createNotifier,
+  sendToAll,
+  buildReminderMessage,
+  buildMonthSummaryMessage,
+  buildTestMessage
+};
@@ -0,0 +1,81 @@
+// 출석 조건 전망(getRequirementOutlook 결과) → 알림 메시지 { event, title, text, data }
+//
+// 본문은 메일과 메신저에서 모두 읽히도록 꾸밈 없는 여러 줄 텍스트로 만듦
+function formatCount(value) {
+  return String(Math.round(value * 10) / 10);
+}
+
+function describeRule(rule) {
+  const progress = `${rule.name} ${formatCount(rule.actual)}/${formatCount(rule.required)}회`;
+  if (rule.remaining === null) {
+    return `${progress}, 기타 참여 ${formatCount(rule.needed)}회 더 필요`;
+  }
+  if (!rule.reachable) {
+    return `${progress}, 남은 세션 ${rule.remaining}회로는 ${formatCount(rule.needed)}회를 채울 수 없음`;
+  }
+  return `${progress}, 남은 세션 ${rule.remaining}회 중 ${formatCount(rule.needed)}회 필요`;
+}
+
+function describeMembers(members, describe = describeRule) {
+  return members.map(member => `- ${member.name} (${member.role}): ${member.rules.map(describe).join(' / ')}`);
+}
+
+function buildReminderMessage(outlook) {
+  const lines = [
+    `기준일 ${outlook.date} · 남은 세션 ${outlook.sessions.remaining}/${outlook.sessions.total}회`,
+    `충족 ${outlook.met.length}명 · 충족 가능 ${outlook.behind.length}명 · 충족 불가 ${outlook.unreachable.length}명 · 면제 ${outlook.exempt.length}명`
+  ];
+  if (outlook.behind.length > 0) {
+    lines.push('', '⚠️ 남은 세션에 나오면 충족 가능', ...describeMembers(outlook.behind));
+  }
+  if (outlook.unreachable.length > 0) {
+    lines.push('', '❌ 이번 달 충족 불가', ...describeMembers(outlook.unreachable));
+  }
+  if (outlook.behind.length === 0 && outlook.unreachable.length === 0) {
+    lines.push('', '모든 멤버가 출석 조건을 채웠습니다. 🎉');
+  }
+
+  return {
+    event: 'requirement_reminder',
+    title: `📋 ${outlook.monthKey} 출석 조건 중간 점검`,
+    text: lines.join('\n'),
+    data: outlook
+  };
+}
+
+// 지난달 전망(closed)이면 미충족 멤버는 모두 unreachable에 들어 있음
+function buildMonthSummaryMessage(outlook) {
+  const unmet = outlook.behind.concat(outlook.unreachable);
+  const lines = [
+    `세션 ${outlook.sessions.total}회 · 멤버 ${outlook.met.length + unmet.length + outlook.exempt.length}명`,
+    `충족 ${outlook.met.length}명 · 미충족 ${unmet.length}명 · 면제 ${outlook.exempt.length}명`
+  ];
+  if (unmet.length > 0) {
+    lines.push('', '❌ 출석 조건 미충족', ...describeMembers(unmet, rule => `${rule.name} ${formatCount(rule.actual)}/${formatCount(rule.required)}회`));
+  }
+  if (outlook.exempt.length > 0) {
+    lines.push('', '🛡️ 면제', ...outlook.exempt.map(member => `- ${member.name} (${member.role})${member.reason ? ': ' + member.reason : ''}`));
+  }
+
+  return {
+    event: 'month_summary',
+    title: `📊 ${outlook.monthKey} 월말 출석 결산`,
+    text: lines.join('\n'),
+    data: outlook
+  };
+}
+
+function buildTestMessage() {
+  return {
+    event: 'test',
+    title: '🔔 출석 알림 테스트',
+    text: `알림 설정을 확인하는 테스트 메시지입니다. (${new Date().toISOString()})`,
+    data: null
+  };
+}
+
+module.exports = {
+  buildReminderMessage,
+  buildMonthSummaryMessage,
+  buildTestMessage
+};
@@ -0,0 +1,181 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// SMTP 메일 알림 (외부 패키지 없이 평문 메일 한 통을 보내는 최소 클라이언트)
+//   secure: true  → 처음부터 TLS (보통 465 포트)
+//   secure: false → 서버가 STARTTLS를 지원하면 TLS로 전환 (587/25 포트)
+// 계정(user)이 있으면 AUTH PLAIN으로 로그인함. 암호화되지 않은 연결로는 계정을 보내지 않음
+const SMTP_TIMEOUT_MS = 15 * 1000;
+
+class SmtpConnection {
+  constructor(socket) {
+    this.buffer = '';
+    this.lines = [];
+    this.responses = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.onData = chunk => this.receive(chunk.toString('utf8'));
+    this.onError = error => this.fail(error);
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+  }
+
+  // 여러 줄 응답은 '250-...'으로 이어지다가 '250 ...'에서 끝남
+  receive(text) {
+    this.buffer += text;
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+      if (line.length < 4 || line[3] === ' ') {
+        this.responses.push({ code: parseInt(line.slice(0, 3)), lines: this.lines });
+        this.lines = [];
+      }
+    }
+    this.flush();
+  }
+
+  fail(error) {
+    if (!this.error) this.error = error;
+    this.flush();
+  }
+
+  flush() {
+    if (!this.waiting) return;
+    const waiting = this.waiting;
+    if (this.responses.length > 0) {
+      this.waiting = null;
+      waiting.resolve(this.responses.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      waiting.reject(this.error);
+    }
+  }
+
+  read(expected) {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    }).then(response => {
+      if (expected.indexOf(response.code) === -1) {
+        throw new Error(`SMTP error: ${response.lines.join(' ')}`);
+      }
+      return response;
+    });
+  }
+
+  command(line, expected) {
+    this.socket.write(line + '\r\n');
+    return this.read(expected);
+  }
+
+  async startTls(host) {
+    this.socket.removeListener('data', this.onData);
+    this.socket.removeListener('error', this.onError);
+    const secureSocket = tls.connect({ socket: this.socket, servername: host });
+    await new Promise((resolve, reject) => {
+      secureSocket.once('secureConnect', resolve);
+      secureSocket.once('error', reject);
+    });
+    this.attach(secureSocket);
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+function connect(config) {
+  return new Promise((resolve, reject) => {
+    const socket = config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+      : net.connect({ host: config.host, port: config.port });
+    socket.once(config.secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(new SmtpConnection(socket));
+    });
+    socket.once('error', reject);
+  });
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// 본문은 base64로 보내서 줄 길이와 '.'으로 시작하는 줄을 신경 쓰지 않아도 됨
+function buildMessage(config, subject, text) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${config.from}`,
+    `To: ${config.to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${config.from.split('@')[1] || os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+async function sendMail(config, subject, text) {
+  const connection = await connect(config);
+  try {
+    await connection.read([220]);
+    let hello = await connection.command(`EHLO ${os.hostname()}`, [250]);
+    let encrypted = !!config.secure;
+    if (!encrypted && hello.lines.some(line => /^250[ -]STARTTLS/i.test(line))) {
+      await connection.command('STARTTLS', [220]);
+      await connection.startTls(config.host);
+      encrypted = true;
+      hello = await connection.command(`EHLO ${os.hostname()}`, [250]);
+    }
+    if (config.user) {
+      if (!encrypted) {
+        throw new Error('SMTP server does not support TLS, refusing to send credentials');
+      }
+      const token = Buffer.from(`\0${config.user}\0${config.password || ''}`, 'utf8').toString('base64');
+      await connection.command(`AUTH PLAIN ${token}`, [235]);
+    }
+    await connection.command(`MAIL FROM:<${config.from}>`, [250]);
+    for (const recipient of config.to) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+    const response = await connection.command(buildMessage(config, subject, text) + '\r\n.', [250]);
+    await connection.command('QUIT', [221]).catch(() => {});
+    return { status: response.code };
+  } finally {
+    connection.close();
+  }
+}
+
+function createSmtpNotifier(config) {
+  if (!config.host || !config.from || !config.to || config.to.length === 0) {
+    throw new Error('SMTP notifier needs host, from and to');
+  }
+  const options = Object.assign({}, config, { port: config.port || (config.secure ? 465 : 587) });
+
+  return {
+    name: config.name || 'email',
+    type: 'smtp',
+    target: `${options.host}:${options.port} → ${options.to.join(', ')}`,
+    send: message => sendMail(options, message.title, message.text)
+  };
+}
+
+module.exports = {
+  createSmtpNotifier,
+  sendMail
+};
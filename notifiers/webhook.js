@@ -0,0 +1,88 @@
+const http = require('http');
+const https = require('https');
+
+// 웹훅 알림: 알림 메시지를 형식에 맞는 JSON으로 바꿔 POST
+//   json : { event, title, text, data } 그대로 (직접 만든 봇/자동화용)
+//   slack: Slack 수신 웹훅 { text, blocks }
+//   kakao: 카카오워크 봇 웹훅 { text, blocks }
+const WEBHOOK_FORMATS = ['json', 'slack', 'kakao'];
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+function formatPayload(format, message) {
+  switch (format) {
+    case 'slack':
+      return {
+        text: message.title,
+        blocks: [
+          { type: 'header', text: { type: 'plain_text', text: message.title } },
+          { type: 'section', text: { type: 'mrkdwn', text: message.text } }
+        ]
+      };
+    case 'kakao':
+      return {
+        text: message.title,
+        blocks: [
+          { type: 'header', text: message.title, style: 'blue' },
+          { type: 'text', text: message.text, markdown: true }
+        ]
+      };
+    default:
+      return { event: message.event, title: message.title, text: message.text, data: message.data || null };
+  }
+}
+
+function postJson(url, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const payload = Buffer.from(JSON.stringify(body), 'utf8');
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': payload.length },
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve({ status: response.statusCode });
+        } else {
+          const text = Buffer.concat(chunks).toString('utf8').slice(0, 200);
+          reject(new Error(`Webhook responded ${response.statusCode}${text ? ': ' + text : ''}`));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error('Webhook request timed out')));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+// 주소의 경로/쿼리에 토큰이 들어가는 경우가 많아서 화면에는 호스트만 보여줌
+function describeUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid URL';
+  }
+}
+
+function createWebhookNotifier(config) {
+  const format = config.format || 'json';
+  if (WEBHOOK_FORMATS.indexOf(format) === -1) {
+    throw new Error(`Unknown webhook format: ${format} (${WEBHOOK_FORMATS.join(', ')} 중 선택)`);
+  }
+  new URL(config.url);
+
+  return {
+    name: config.name || format + '-webhook',
+    type: format === 'json' ? 'webhook' : format,
+    target: describeUrl(config.url),
+    send: message => postJson(config.url, formatPayload(format, message))
+  };
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  formatPayload,
+  createWebhookNotifier
+};
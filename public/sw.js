@@ -0,0 +1,74 @@
+// 관리 페이지 오프라인 지원 (서비스 워커)
+//   화면(HTML, 아이콘, CDN 스크립트): 네트워크 우선, 실패하면 캐시
+//   출석표를 그리는 조회 API: 네트워크 우선, 실패하면 마지막으로 받은 응답
+// 출석 변경은 페이지가 기기(localStorage)에 모았다가 온라인이 되면 /api/attendance/batch로 보냄
+var CACHE_NAME = 'pacer-attendance-v2';
+var APP_SHELL = [
+    '/management-physique.html',
+    '/shared/club-date.js',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png'
+];
+var CDN_SCRIPTS = [
+    'https://cdnjs.cloudflare.com/ajax/libs/Sortable/1.15.0/Sortable.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js'
+];
+var CACHED_API_PATTERN = /^\/api\/(auth\/me|time|monthly_report|members|sessions|dates|schedule|activities|activity_types|roles|statuses|rules|member_registry)(\/|$)/;
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(caches.open(CACHE_NAME).then(function(cache) {
+        // CDN은 받지 못해도 설치는 계속함 (온라인일 때 다시 캐시됨)
+        CDN_SCRIPTS.forEach(function(url) {
+            cache.add(url).catch(function() {});
+        });
+        return cache.addAll(APP_SHELL);
+    }).then(function() {
+        return self.skipWaiting();
+    }));
+});
+
+// 이전 버전 캐시 정리
+self.addEventListener('activate', function(event) {
+    event.waitUntil(caches.keys().then(function(names) {
+        return Promise.all(names.filter(function(name) {
+            return name !== CACHE_NAME;
+        }).map(function(name) {
+            return caches.delete(name);
+        }));
+    }).then(function() {
+        return self.clients.claim();
+    }));
+});
+
+self.addEventListener('fetch', function(event) {
+    var request = event.request;
+    if (request.method !== 'GET') return;
+    
+    var url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        // 실시간 알림, 내보내기, 관리 API 등은 캐시하지 않음
+        if (url.pathname.indexOf('/api/') === 0 && !CACHED_API_PATTERN.test(url.pathname)) return;
+    } else if (CDN_SCRIPTS.indexOf(request.url) === -1) {
+        return;
+    }
+    
+    event.respondWith(networkFirst(request));
+});
+
+function networkFirst(request) {
+    return fetch(request).then(function(response) {
+        if (response.ok) {
+            var copy = response.clone();
+            caches.open(CACHE_NAME).then(function(cache) {
+                cache.put(request, copy);
+            });
+        }
+        return response;
+    }).catch(function() {
+        // 페이지 주소의 쿼리(?w= 등)가 달라도 같은 화면을 보여 줌
+        return caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(function(cached) {
+            return cached || Response.error();
+        });
+    });
+}
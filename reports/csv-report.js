@@ -0,0 +1,19 @@
+// 표 하나를 CSV로 (Excel에서 한글이 깨지지 않도록 UTF-8 BOM 포함)
+function escapeCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+async function writeCsv(table) {
+  const lines = [table.columns.map(column => escapeCell(column.header)).join(',')];
+  table.rows.forEach(row => lines.push(row.map(escapeCell).join(',')));
+  if (table.footer) {
+    lines.push(table.footer.map(escapeCell).join(','));
+  }
+  return Buffer.from('\uFEFF' + lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+module.exports = writeCsv;
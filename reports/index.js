@@ -0,0 +1,56 @@
+// 보고서 파일 생성 (XLSX, CSV, PDF)
+//
+// 모든 빌더는 같은 형태를 돌려줌: Promise<{ buffer, contentType, extension }>
+//   buildMonthReport(format, report, options)  report: exportMonthData 결과
+//   buildRangeReport(format, stats, options)   stats : calculateRangeStats 결과
+//   options.title     : 문서 제목 (XLSX 머리글, PDF 제목)
+//   options.subtitle  : PDF 제목 아래 줄 목록
+//   options.fontPath  : PDF 한글 글꼴 경로 (없으면 기본 경로에서 찾음, 못 찾으면 error.code PDF_FONT_MISSING)
+//
+// CSV는 시트가 하나뿐이라 월별은 날짜별 표, 기간 통계는 멤버별 표만 담음
+const { buildMonthTables, buildRangeTables } = require('./tables');
+const writeXlsx = require('./xlsx-report');
+const writeCsv = require('./csv-report');
+const writePdf = require('./pdf-report');
+
+const REPORT_FORMATS = ['xlsx', 'csv', 'pdf'];
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+async function buildReport(format, tables, csvTable, options) {
+  let buffer;
+  switch (format) {
+    case 'xlsx':
+      buffer = await writeXlsx(tables, options);
+      break;
+    case 'csv':
+      buffer = await writeCsv(csvTable);
+      break;
+    case 'pdf':
+      buffer = await writePdf(tables, options);
+      break;
+    default:
+      throw new Error(`Unknown report format: ${format} (${REPORT_FORMATS.join(', ')} 중 선택)`);
+  }
+  return { buffer: buffer, contentType: CONTENT_TYPES[format], extension: format };
+}
+
+function buildMonthReport(format, report, options = {}) {
+  // PDF는 가로 A4 한 장에 들어가도록 좁은 표를 씀
+  const tables = buildMonthTables(report, { compact: format === 'pdf' });
+  return buildReport(format, tables, tables[1], options);
+}
+
+function buildRangeReport(format, stats, options = {}) {
+  const tables = buildRangeTables(stats);
+  return buildReport(format, tables, tables[0], options);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  buildMonthReport,
+  buildRangeReport
+};
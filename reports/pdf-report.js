@@ -0,0 +1,129 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+// PDF 기본 글꼴에는 한글이 없으므로 TTF/OTF 한글 글꼴이 필요함
+// (PDF_FONT_PATH가 없으면 흔한 설치 경로에서 찾음)
+const FONT_CANDIDATES = [
+  '/usr/share/fonts/truetype/nanum/NanumGothic.ttf',
+  '/usr/share/fonts/nanum/NanumGothic.ttf',
+  '/Library/Fonts/NanumGothic.ttf',
+  '/System/Library/Fonts/Supplemental/AppleGothic.ttf',
+  'C:\\Windows\\Fonts\\malgun.ttf'
+];
+
+const COLORS = {
+  headerFill: '#4a5568',
+  headerText: '#ffffff',
+  footerFill: '#edf2f7',
+  failedFill: '#f8d7da',
+  failedText: '#9b2c2c',
+  border: '#cbd5e0',
+  text: '#1a202c',
+  muted: '#718096'
+};
+
+function findFont(fontPath) {
+  const candidates = fontPath ? [fontPath] : FONT_CANDIDATES;
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  if (!found) {
+    const error = new Error(fontPath
+      ? `PDF 글꼴 파일이 없습니다: ${fontPath}`
+      : 'PDF에 쓸 한글 글꼴을 찾지 못했습니다. PDF_FONT_PATH에 TTF/OTF 글꼴 경로를 지정하세요.');
+    error.code = 'PDF_FONT_MISSING';
+    throw error;
+  }
+  return found;
+}
+
+// 표 그리기. 페이지가 넘어가면 머리글 행을 다시 그림
+function drawTable(doc, table) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const fontSize = table.columns.length > 16 ? 6.5 : (table.columns.length > 10 ? 7.5 : 9);
+  const rowHeight = fontSize + 8;
+  const headerHeight = fontSize * 2 + 10;
+  const totalWidth = table.columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = table.columns.map(column => column.width / totalWidth * width);
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (cells, height, style) => {
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      if (!style.header) {
+        drawRow(table.columns.map(column => column.header), headerHeight, { header: true, fill: COLORS.headerFill, color: COLORS.headerText });
+      }
+    }
+
+    const top = doc.y;
+    let x = left;
+    cells.forEach((cell, index) => {
+      if (style.fill) {
+        doc.rect(x, top, widths[index], height).fill(style.fill);
+      }
+      doc.rect(x, top, widths[index], height).lineWidth(0.5).stroke(COLORS.border);
+      doc.fillColor(style.color || COLORS.text).fontSize(fontSize)
+        .text(cell === null || cell === undefined ? '' : String(cell), x + 3, top + 4, {
+          width: widths[index] - 6,
+          height: height - 6,
+          align: index < 2 && !style.header ? 'left' : 'center',
+          lineBreak: !!style.header,
+          ellipsis: true
+        });
+      x += widths[index];
+    });
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(table.columns.map(column => column.header), headerHeight, { header: true, fill: COLORS.headerFill, color: COLORS.headerText });
+  table.rows.forEach(row => {
+    const failed = table.highlight && row[table.highlight.column] === table.highlight.value;
+    drawRow(row, rowHeight, failed ? { fill: COLORS.failedFill, color: COLORS.failedText } : {});
+  });
+  if (table.footer) {
+    drawRow(table.footer, rowHeight, { fill: COLORS.footerFill });
+  }
+}
+
+// options: { title, subtitle: [줄...], fontPath }
+function writePdf(tables, options = {}) {
+  const font = findFont(options.fontPath);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 36,
+      info: { Title: options.title || '', Creator: 'attendance-system' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.registerFont('report', font);
+    doc.font('report');
+
+    doc.fillColor(COLORS.text).fontSize(18).text(options.title || '', { align: 'center' });
+    doc.moveDown(0.3);
+    (options.subtitle || []).forEach(line => {
+      doc.fillColor(COLORS.muted).fontSize(10).text(line, { align: 'center' });
+    });
+
+    tables.forEach((table, index) => {
+      // 표마다 새 페이지에서 시작 (공지용으로 한 장씩 뽑기 쉽게)
+      if (index > 0) {
+        doc.addPage();
+      } else {
+        doc.moveDown(1);
+      }
+      doc.fillColor(COLORS.text).fontSize(13).text(table.name);
+      doc.moveDown(0.4);
+      drawTable(doc, table);
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = writePdf;
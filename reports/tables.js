@@ -0,0 +1,217 @@
+// 보고서 데이터를 형식(XLSX, CSV, PDF)과 무관한 표로 변환
+//
+// 표 형식:
+//   {
+//     name,                              // 시트 이름 / PDF 소제목
+//     columns: [{ header, width }],      // width는 XLSX 열 너비(문자 수), PDF 열 비율에도 사용
+//     rows: [[값, ...]],
+//     footer: [값, ...] | null,          // 합계 행 (예: 날짜별 출석 인원)
+//     highlight: { column, value }       // rows[i][column] === value인 행을 강조 (조건 미충족)
+//   }
+const ClubDate = require('../shared/club-date');
+
+const WEEKDAY_LABELS = ClubDate.WEEKDAY_LABELS;
+const FAILED_LABEL = '미충족';
+
+function resultLabel(result) {
+  if (result.exempt) return '면제';
+  return result.meets_requirement ? '충족' : FAILED_LABEL;
+}
+
+// '2025-06-02' → '6/2(월)'
+function formatDateHeader(date) {
+  const parts = ClubDate.parseDateKey(date);
+  return parts.month + '/' + parts.day + '(' + ClubDate.getWeekdayLabel(date) + ')';
+}
+
+function formatRate(rate) {
+  return rate === null || rate === undefined ? '-' : Math.round(rate * 100) + '%';
+}
+
+function describeActivity(activity, activityTypes) {
+  const parts = [activity.date || '날짜 없음', activityTypes[activity.type] || activity.type];
+  if (activity.description) parts.push(activity.description);
+  return parts.join(' ') + ' (' + activity.credit + '회)';
+}
+
+function sortedStatusKeys(statuses) {
+  return Object.keys(statuses).sort((a, b) => (statuses[a].order || 0) - (statuses[b].order || 0));
+}
+
+// exportMonthData 결과 → [요약, 날짜별] 표
+// compact: PDF처럼 폭이 좁은 출력용 (상태는 짧은 표기, 메모와 활동 내역 생략)
+function buildMonthTables(report, options = {}) {
+  const compact = !!options.compact;
+  const memberIds = Object.keys(report.members);
+  const statusKeys = sortedStatusKeys(report.statuses);
+  const statusText = status => {
+    const definition = report.statuses[status];
+    if (!definition) return status;
+    return compact ? (definition.short || definition.label) : definition.label;
+  };
+
+  const summaryColumns = [
+    { header: '직책', width: 12 },
+    { header: '성명', width: 12 },
+    { header: '정규 출석', width: 10 },
+    { header: '수요일', width: 8 },
+    { header: '기타 활동', width: 10 },
+    { header: '합계', width: 8 },
+    { header: '필요 횟수', width: 10 }
+  ];
+  if (!compact) {
+    statusKeys.forEach(status => summaryColumns.push({ header: report.statuses[status].label, width: 9 }));
+  }
+  summaryColumns.push({ header: '조건 충족', width: 10 }, { header: '비고', width: compact ? 30 : 40 });
+
+  const summary = {
+    name: '요약',
+    columns: summaryColumns,
+    rows: memberIds.map(memberId => {
+      const member = report.members[memberId];
+      const stats = member.stats;
+      const row = [member.role, member.name, stats.regular, stats.wednesday, stats.extra, stats.total, stats.required_total || 0];
+      if (!compact) {
+        statusKeys.forEach(status => row.push((stats.status_counts || {})[status] || 0));
+      }
+      const note = stats.exempt ? '면제: ' + stats.exemption_reason : (stats.failed_rules || []).join(', ');
+      row.push(resultLabel(stats), note);
+      return row;
+    }),
+    footer: null,
+    highlight: { column: summaryColumns.length - 2, value: FAILED_LABEL }
+  };
+
+  const sessions = report.sessions || [];
+  const dateColumns = [
+    { header: '직책', width: 12 },
+    { header: '성명', width: 12 },
+    { header: '합계', width: 8 }
+  ];
+  sessions.forEach(session => dateColumns.push({
+    header: formatDateHeader(session.date) + (session.label && !compact ? ' ' + session.label : ''),
+    width: compact ? 6 : 12
+  }));
+  dateColumns.push({ header: '기타 활동', width: compact ? 8 : 10 });
+  if (!compact) {
+    dateColumns.push({ header: '기타 활동 내역', width: 40 });
+  }
+  dateColumns.push({ header: '조건 충족', width: 10 });
+
+  const byDate = {
+    name: '날짜별',
+    columns: dateColumns,
+    rows: memberIds.map(memberId => {
+      const member = report.members[memberId];
+      const row = [member.role, member.name, member.stats.total];
+      sessions.forEach(session => {
+        const label = statusText(member.attendance[session.date] || 'absent');
+        const note = member.notes[session.date];
+        row.push(note && !compact ? label + ' (' + note + ')' : label);
+      });
+      row.push(member.stats.extra);
+      if (!compact) {
+        row.push(member.activities.map(activity => describeActivity(activity, report.activityTypes || {})).join(' / '));
+      }
+      row.push(resultLabel(member.stats));
+      return row;
+    }),
+    footer: ['출석 인원', '', ''].concat(sessions.map(session => session.headcount), compact ? ['', ''] : ['', '', '']),
+    highlight: { column: dateColumns.length - 1, value: FAILED_LABEL }
+  };
+
+  return [summary, byDate];
+}
+
+// calculateRangeStats 결과 → [멤버별, 월별, 세션별] 표
+function buildRangeTables(stats) {
+  const memberColumns = [
+    { header: '성명', width: 12 },
+    { header: '개월 수', width: 8 },
+    { header: '정규 출석', width: 10 },
+    { header: '기타 활동', width: 10 },
+    { header: '합계', width: 8 },
+    { header: '출석률', width: 8 },
+    { header: '충족 개월', width: 10 },
+    { header: '미충족 개월', width: 11 },
+    { header: '면제 개월', width: 10 },
+    { header: '연속 충족', width: 10 },
+    { header: '최장 연속', width: 10 },
+    { header: '조건 충족', width: 10 }
+  ];
+  const members = {
+    name: '멤버별',
+    columns: memberColumns,
+    rows: stats.members.map(member => [
+      member.name,
+      member.months,
+      member.regular,
+      member.extra,
+      member.total,
+      formatRate(member.attendanceRate),
+      member.metMonths,
+      member.failedMonths,
+      member.exemptMonths,
+      member.currentStreak,
+      member.longestStreak,
+      member.failedMonths > 0 ? FAILED_LABEL : '충족'
+    ]),
+    footer: null,
+    highlight: { column: memberColumns.length - 1, value: FAILED_LABEL }
+  };
+
+  const monthlyColumns = [
+    { header: '월', width: 9 },
+    { header: '성명', width: 12 },
+    { header: '직책', width: 12 },
+    { header: '세션 수', width: 8 },
+    { header: '정규 출석', width: 10 },
+    { header: '기타 활동', width: 10 },
+    { header: '합계', width: 8 },
+    { header: '조건 충족', width: 10 }
+  ];
+  const monthlyRows = [];
+  stats.members.forEach(member => {
+    member.monthly.forEach(entry => {
+      monthlyRows.push([entry.monthKey, member.name, entry.role, entry.sessions, entry.regular, entry.extra, entry.total, resultLabel(entry)]);
+    });
+  });
+  monthlyRows.sort((a, b) => a[0].localeCompare(b[0]));
+  const monthly = {
+    name: '월별',
+    columns: monthlyColumns,
+    rows: monthlyRows,
+    footer: null,
+    highlight: { column: monthlyColumns.length - 1, value: FAILED_LABEL }
+  };
+
+  const sessions = {
+    name: '세션별',
+    columns: [
+      { header: '날짜', width: 12 },
+      { header: '요일', width: 6 },
+      { header: '구분', width: 16 },
+      { header: '출석 인원', width: 10 },
+      { header: '명단 인원', width: 10 },
+      { header: '출석률', width: 8 }
+    ],
+    rows: stats.sessions.map(session => [
+      session.date,
+      WEEKDAY_LABELS[session.weekday],
+      session.label || (session.type === 'extra' ? '추가 세션' : '정규'),
+      session.count,
+      session.rosterSize,
+      formatRate(session.rosterSize > 0 ? session.count / session.rosterSize : null)
+    ]),
+    footer: null,
+    highlight: null
+  };
+
+  return [members, monthly, sessions];
+}
+
+module.exports = {
+  FAILED_LABEL,
+  buildMonthTables,
+  buildRangeTables
+};
@@ -0,0 +1,73 @@
+const ExcelJS = require('exceljs');
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4A5568' } };
+const FOOTER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEDF2F7' } };
+// 조건 미충족 행 강조 (조건부 서식이라 값을 고치면 강조도 바로 바뀜)
+const FAILED_STYLE = {
+  fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFF8D7DA' } },
+  font: { color: { argb: 'FF9B2C2C' } }
+};
+
+// 열 번호(1부터) → 'A', 'B', ..., 'AA'
+function columnLetter(index) {
+  let letter = '';
+  while (index > 0) {
+    const remainder = (index - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    index = Math.floor((index - 1) / 26);
+  }
+  return letter;
+}
+
+function addTableSheet(workbook, table, options) {
+  const sheet = workbook.addWorksheet(table.name, {
+    views: [{ state: 'frozen', xSplit: 2, ySplit: 1 }],
+    pageSetup: { orientation: 'landscape', paperSize: 9, fitToPage: true, fitToWidth: 1, fitToHeight: 0 },
+    headerFooter: { oddHeader: '&L' + (options.title || '') + '&R' + table.name, oddFooter: '&C&P / &N' }
+  });
+  sheet.columns = table.columns.map(column => ({ header: column.header, width: column.width }));
+
+  const header = sheet.getRow(1);
+  header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  header.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+  header.eachCell(cell => {
+    cell.fill = HEADER_FILL;
+  });
+
+  table.rows.forEach(row => sheet.addRow(row));
+  if (table.footer) {
+    const footer = sheet.addRow(table.footer);
+    footer.font = { bold: true };
+    footer.eachCell(cell => {
+      cell.fill = FOOTER_FILL;
+    });
+  }
+
+  if (table.highlight && table.rows.length > 0) {
+    const lastColumn = columnLetter(table.columns.length);
+    const resultColumn = columnLetter(table.highlight.column + 1);
+    sheet.addConditionalFormatting({
+      ref: 'A2:' + lastColumn + (table.rows.length + 1),
+      rules: [{
+        type: 'expression',
+        formulae: ['$' + resultColumn + '2="' + table.highlight.value + '"'],
+        style: FAILED_STYLE
+      }]
+    });
+  }
+
+  sheet.pageSetup.printTitlesRow = '1:1';
+  return sheet;
+}
+
+async function writeXlsx(tables, options = {}) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = options.creator || 'attendance-system';
+  workbook.created = new Date();
+  workbook.title = options.title || '';
+
+  tables.forEach(table => addTableSheet(workbook, table, options));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = writeXlsx;
@@ -0,0 +1,54 @@
+// attendance_data.json → SQLite 저장소로 옮기기
+//
+// 사용법: npm run migrate:sqlite -- [JSON 파일] [SQLite 파일] [--force]
+//   기본값은 서버와 같음 (attendance_data.json, SQLITE_DATA_FILE 또는 attendance_data.sqlite)
+//   SQLite에 이미 데이터가 있으면 --force 없이는 중단
+// 세션 목록은 출석 기록이 있는 날짜로 채워지고, 일정 라벨은 서버가 해당 월을 저장할 때 갱신됨
+const path = require('path');
+const { JsonStorage, SqliteStorage } = require('../storage');
+
+const args = process.argv.slice(2).filter(arg => arg !== '--force');
+const force = process.argv.indexOf('--force') !== -1;
+const jsonFile = args[0] || path.join(__dirname, '..', 'attendance_data.json');
+const sqliteFile = args[1] || process.env.SQLITE_DATA_FILE || path.join(__dirname, '..', 'attendance_data.sqlite');
+
+function countMarks(data) {
+  let members = 0;
+  let marks = 0;
+  Object.keys(data).filter(key => /^\d{4}-\d{2}$/.test(key)).forEach(monthKey => {
+    Object.keys(data[monthKey]).forEach(name => {
+      const member = data[monthKey][name];
+      members++;
+      marks += Object.keys(member.attendance || {}).length + Object.keys(member.extraAttendance || {}).length + (member.activities || []).length;
+    });
+  });
+  return { members, marks };
+}
+
+async function migrate() {
+  const source = await new JsonStorage(jsonFile).load();
+  if (!source) {
+    throw new Error(`${jsonFile} 파일이 없습니다.`);
+  }
+  
+  const target = new SqliteStorage(sqliteFile);
+  if (await target.load() && !force) {
+    throw new Error(`${sqliteFile}에 이미 데이터가 있습니다. 덮어쓰려면 --force를 붙이세요.`);
+  }
+  
+  await target.save(source.data, { dirtyKeys: null });
+  
+  const expected = countMarks(source.data);
+  const actual = countMarks((await target.load()).data);
+  if (expected.members !== actual.members || expected.marks !== actual.marks) {
+    throw new Error(`검증 실패: 멤버 ${actual.members}/${expected.members}, 출석 ${actual.marks}/${expected.marks}`);
+  }
+  
+  console.log(`${jsonFile} → ${sqliteFile} 이전 완료 (월별 멤버 ${actual.members}명, 출석 기록 ${actual.marks}건)`);
+  console.log('서버를 STORAGE_BACKEND=sqlite로 실행하세요.');
+}
+
+migrate().catch(error => {
+  console.error('이전 실패:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+// 알림 테스트용 로컬 수신기 (웹훅 + SMTP). 받은 알림을 터미널에 출력만 함
+//
+// 사용법: npm run notify:sink -- [웹훅 포트] [SMTP 포트]   (기본 4010, 2525)
+//   서버 실행 예:
+//     NOTIFY_WEBHOOK_URL=http://localhost:4010/webhook \
+//     NOTIFY_SLACK_WEBHOOK_URL=http://localhost:4010/slack \
+//     NOTIFY_KAKAO_WEBHOOK_URL=http://localhost:4010/kakao \
+//     NOTIFY_SMTP_HOST=localhost NOTIFY_SMTP_PORT=2525 NOTIFY_SMTP_FROM=bot@example.com NOTIFY_SMTP_TO=lead@example.com \
+//     npm start
+//   관리 페이지의 '테스트 알림' 버튼이나 POST /api/admin/notifications/send 로 보내보면 됨
+// SMTP는 STARTTLS/AUTH를 지원하지 않으므로 NOTIFY_SMTP_USER 없이 실행해야 함
+const http = require('http');
+const net = require('net');
+
+const webhookPort = parseInt(process.argv[2]) || 4010;
+const smtpPort = parseInt(process.argv[3]) || 2525;
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    console.log(`\n[웹훅] ${req.method} ${req.url}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true}');
+  });
+}).listen(webhookPort, () => {
+  console.log(`웹훅 수신: http://localhost:${webhookPort}/<아무 경로>`);
+});
+
+// 본문의 base64를 풀어서 보여줌
+function printMail(envelope, data) {
+  const separator = data.indexOf('\r\n\r\n');
+  const headers = data.slice(0, separator);
+  let body = data.slice(separator + 4);
+  if (/Content-Transfer-Encoding: base64/i.test(headers)) {
+    body = Buffer.from(body.replace(/\s/g, ''), 'base64').toString('utf8');
+  }
+  const subject = (headers.match(/^Subject: (.*)$/m) || [])[1] || '';
+  const decodedSubject = subject.replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (match, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+  console.log(`\n[메일] ${envelope.from} → ${envelope.to.join(', ')}`);
+  console.log(`제목: ${decodedSubject}`);
+  console.log(body);
+}
+
+net.createServer(socket => {
+  let buffer = '';
+  let data = null;
+  let envelope = { from: null, to: [] };
+  const reply = line => socket.write(line + '\r\n');
+
+  reply('220 notification-sink ESMTP');
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (data !== null) {
+        if (line === '.') {
+          printMail(envelope, data.join('\r\n'));
+          data = null;
+          envelope = { from: null, to: [] };
+          reply('250 OK queued');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250 notification-sink');
+      } else if (command === 'MAIL') {
+        envelope.from = (line.match(/<([^>]*)>/) || [])[1];
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push((line.match(/<([^>]*)>/) || [])[1]);
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+  });
+  socket.on('error', () => {});
+}).listen(smtpPort, () => {
+  console.log(`SMTP 수신: localhost:${smtpPort}`);
+});
@@ -2,13 +2,23 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { Octokit } = require('@octokit/rest');
+const { createStorage, GitHubStorage, cloneValue, isSameValue, isPlainObject, mergeRemoteChanges, findShiftedMonthDates, moveShiftedDates } = require('./storage');
+const { REPORT_FORMATS, buildMonthReport, buildRangeReport } = require('./reports');
+const { SPREADSHEET_FORMATS, readSpreadsheet, detectColumns, normalizeName, matchMemberName } = require('./imports');
+const ClubDate = require('./shared/club-date');
+const { createNotifier, sendToAll, buildReminderMessage, buildMonthSummaryMessage, buildTestMessage } = require('./notifiers');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// 스프레드시트 가져오기는 파일을 base64로 받으므로 더 큰 본문을 허용 (나머지 API는 기본 100kb)
+app.use('/api/import', bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.json());
 app.use(express.static('public'));
+// 서버와 페이지가 함께 쓰는 모듈 (날짜 계산)
+app.use('/shared', express.static('shared'));
 
 // GitHub 설정 (환경변수로 설정 필요)
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
@@ -17,15 +27,584 @@ const GITHUB_REPO = process.env.GITHUB_REPO;
 const DATA_FILE_PATH = 'data/attendance_data.json';
 
 const LOCAL_DATA_FILE = 'attendance_data.json';
+// 로컬 주 저장소: json(기본) 또는 sqlite
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+const SQLITE_DATA_FILE = process.env.SQLITE_DATA_FILE || 'attendance_data.sqlite';
 const BACKUP_DIR = 'backups';
+const AUDIT_LOG_FILE = 'audit_log.jsonl';
+const BACKUP_RETENTION = parseInt(process.env.BACKUP_RETENTION) || 500;
+// 복원용 스냅샷은 변경이 있을 때 BACKUP_INTERVAL에 한 번만 남김
+const BACKUP_INTERVAL_MS = parseInt(process.env.BACKUP_INTERVAL_MS) || 10 * 60 * 1000;
+// PDF 보고서용 한글 글꼴 (TTF/OTF). 없으면 흔한 설치 경로에서 찾음
+const PDF_FONT_PATH = process.env.PDF_FONT_PATH;
+// 클럽 시간대: '오늘', 체크인 시각, 보고서/변경 이력 시각의 기준 (세션 날짜 키 자체는 시간대와 무관)
+const CLUB_TIME_ZONE = process.env.CLUB_TIME_ZONE || ClubDate.DEFAULT_TIME_ZONE;
 
-const ROLE_REQUIREMENTS = {
-  '운영진': { total: 0, wednesday: 0 },
-  '페이서': { total: 3, wednesday: 0 },
-  '페이서 강남': { total: 3, wednesday: 2 },
-  '포토': { total: 1, wednesday: 0 }
+// GitHub 일괄 커밋: 마지막 변경 후 FLUSH_DELAY 동안 조용하거나, 첫 변경 후 FLUSH_MAX_WAIT이 지나면 올림
+const GITHUB_FLUSH_DELAY_MS = parseInt(process.env.GITHUB_FLUSH_DELAY_MS) || 10 * 1000;
+const GITHUB_FLUSH_MAX_WAIT_MS = parseInt(process.env.GITHUB_FLUSH_MAX_WAIT_MS) || 60 * 1000;
+
+// 사용자 계정 및 API 토큰 (비밀번호 해시 포함, GitHub에는 올리지 않음)
+const USERS_FILE = 'users.json';
+const SESSION_COOKIE = 'pp_session';
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// 셀프 체크인 창과 늦은 체크인 승인 요청 (로컬 전용, GitHub에는 올리지 않음)
+const CHECKIN_FILE = 'checkins.json';
+const CHECKIN_DEVICE_COOKIE = 'pp_checkin_device';
+// 체크인 코드는 CODE_STEP마다 바뀌고 직전 코드까지 인정. 코드를 확인한 뒤 TICKET_TTL 안에 이름을 골라야 함
+const CHECKIN_CODE_STEP_SECONDS = parseInt(process.env.CHECKIN_CODE_STEP_SECONDS) || 30;
+const CHECKIN_TICKET_TTL_MS = 5 * 60 * 1000;
+const CHECKIN_DEFAULT_MINUTES = 30;
+const CHECKIN_DEFAULT_LATE_MINUTES = 60;
+// 한 기기(쿠키)에서 한 체크인 창에 체크인할 수 있는 인원
+const CHECKIN_DEVICE_LIMIT = parseInt(process.env.CHECKIN_DEVICE_LIMIT) || 1;
+const CHECKIN_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 멤버 개인 페이지 (/me#<토큰>). 링크 서명 키와 멤버 요청(결석 예고, 출석 정정)은 로컬 전용, GitHub에는 올리지 않음
+const PORTAL_FILE = 'portal.json';
+const PORTAL_TOKEN_HEADER = 'X-Portal-Token';
+const PORTAL_REQUEST_TYPES = ['absence', 'correction'];
+// 멤버 한 명이 승인을 기다리게 둘 수 있는 요청 수
+const PORTAL_PENDING_LIMIT = 10;
+const PORTAL_RETENTION_MS = 180 * 24 * 60 * 60 * 1000;
+const EVIDENCE_URL_MAX_LENGTH = 500;
+
+// 실시간 변경 알림 (Server-Sent Events). 프록시가 끊지 않도록 HEARTBEAT마다 빈 주석을 보냄
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+const LIVE_RETRY_MS = 3000;
+const LIVE_MAX_CLIENTS = parseInt(process.env.LIVE_MAX_CLIENTS) || 200;
+
+// 출석 조건 알림 (클럽 시간대 기준): 매월 REMINDER_DAYS일(쉼표로 여러 날)의 REMINDER_HOUR시 이후 중간 점검,
+// 매월 1일 같은 시각 이후 지난달 결산. 보낸 기록은 로컬 파일에 남겨 재시작해도 다시 보내지 않음
+// 알림 대상은 NOTIFY_* 환경변수로 설정하고, 하나도 없으면 스케줄러를 켜지 않음
+const REMINDER_FILE = 'reminders.json';
+const REMINDER_DAYS = (process.env.REMINDER_DAYS || '15').split(',').map(day => parseInt(day)).filter(day => day >= 1 && day <= 31);
+const REMINDER_HOUR = process.env.REMINDER_HOUR ? parseInt(process.env.REMINDER_HOUR) : 9;
+const REMINDER_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const REMINDER_HISTORY_LIMIT = 50;
+
+// 권한 단계: viewer(조회) < lead(출석 체크) < admin(멤버/가져오기/동기화)
+const PERMISSION_LEVELS = { viewer: 1, lead: 2, admin: 3 };
+
+// 역할 레지스트리 초기값. 출석 조건은 from('YYYY-MM', null이면 처음부터) 기준으로 월별 버전 관리
+const DEFAULT_ROLES = {
+  '운영진': { order: 0, requirements: [{ from: null, total: 0, wednesday: 0 }] },
+  '페이서': { order: 1, requirements: [{ from: null, total: 3, wednesday: 0 }] },
+  '페이서 강남': { order: 2, requirements: [{ from: null, total: 3, wednesday: 2 }] },
+  '포토': { order: 3, requirements: [{ from: null, total: 1, wednesday: 0 }] }
+};
+
+// 정기 세션 요일 (0: 일 ~ 6: 토). from/to는 'YYYY-MM' 기간, null이면 제한 없음
+const DEFAULT_SCHEDULE = {
+  rules: [
+    { id: 'default', from: null, to: null, weekdays: [1, 3, 4] }
+  ],
+  exceptions: {}
+};
+
+const SCHEDULE_EXCEPTION_TYPES = ['cancel', 'add', 'relabel'];
+
+// 출석 상태 초기값. weight는 출석 조건에 반영되는 횟수, null이면 중립(조건 계산에서 빠지고 사유 결석으로 취급)
+const DEFAULT_ATTENDANCE_STATUSES = {
+  present: { label: '출석', short: '1', weight: 1, order: 0 },
+  late: { label: '지각', short: '지각', weight: 1, order: 1 },
+  half: { label: '부분 참여', short: '½', weight: 0.5, order: 2 },
+  excused: { label: '사유 결석', short: '사유', weight: null, order: 3 },
+  absent: { label: '결석', short: '0', weight: 0, order: 4 },
+  no_show: { label: '무단 불참', short: '무단', weight: 0, order: 5 }
+};
+// 예전 0/1 기록과 사유 결석 API가 사용하므로 삭제할 수 없는 상태
+const BUILTIN_ATTENDANCE_STATUSES = ['present', 'absent', 'excused'];
+const ATTENDANCE_STATUS_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// 기타 활동 종류. 활동마다 credit(출석 조건에 반영되는 횟수, 기본 1)을 가짐
+const EXTRA_ACTIVITY_TYPES = {
+  race_support: '대회 지원',
+  photo_shoot: '촬영',
+  event_staff: '행사 스태프',
+  other: '기타'
+};
+// 예전 고정 슬롯 키 (extraAttendance.extra1, attendance의 '기타1' 등)
+const LEGACY_EXTRA_KEY_PATTERN = /^(?:extra|기타)(\d+)$/;
+const MEMBER_STATUSES = ['active', 'on_leave', 'retired'];
+// 스프레드시트/투표 결과에서 흔히 쓰는 출석 표시 (상태 키, 이름, 짧은 표기 외에 추가로 인식)
+const IMPORT_STATUS_ALIASES = {
+  present: ['o', '○', '◯', '●', 'v', '✓', '✔', 'y', 'yes', 'true', '참석', '참여'],
+  absent: ['x', '×', '✕', '✗', 'n', 'no', 'false', '불참']
+};
+// 가져올 때 멤버로 보지 않는 합계 행 (내보낸 파일의 '출석 인원' 행 등)
+const IMPORT_SUMMARY_ROW_PATTERN = /^(합계|총계|출석 인원|total)$/i;
+
+// 페이스 그룹별 최소 페이서 수 기본값
+const DEFAULT_PACE_GROUP_MIN_PACERS = 1;
+const MONTH_KEY_PATTERN = /^\d{4}-\d{2}$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 정합성 점검 분류와 자동 수정 방법
+const INTEGRITY_CATEGORIES = {
+  shiftedDates: {
+    label: '하루 밀린 날짜',
+    fix: '예전 서버의 시간대 문제로 달 전체가 하루 앞당겨 저장된 출석, 메모, 세션 정보, 일정 예외를 늦은 날짜부터 실제 세션 날짜로 옮김 (일정 예외 날짜의 기록과 옮길 곳에 이미 값이 있는 키는 그대로 둠)'
+  },
+  orphanKeys: {
+    label: '고아 키',
+    fix: '명부에 없는 멤버는 명부에 등록하고, 알 수 없는 키는 삭제 (예전 기타 슬롯은 기타 활동으로 변환)'
+  },
+  datesOutsideMonth: {
+    label: '다른 달 날짜',
+    fix: '같은 멤버의 해당 월 명단으로 옮기고, 옮길 곳이 없으면 삭제'
+  },
+  datesOutsideSchedule: {
+    label: '세션이 없는 날짜',
+    fix: '세션이 없는 날짜의 출석 기록(메모 포함)과 세션 정보를 삭제'
+  },
+  duplicateOrders: {
+    label: '순서 중복',
+    fix: '해당 월 명단의 순서를 현재 순서, 이름 순으로 0부터 다시 매김'
+  },
+  unknownRoles: {
+    label: '등록되지 않은 역할',
+    fix: '출석 조건 없이(0회) 역할 목록에 등록'
+  },
+  invalidStatuses: {
+    label: '잘못된 출석 상태',
+    fix: '예전 0/1 값은 결석/출석으로 변환하고 나머지는 결석으로 변경'
+  }
+};
+
+// 데이터 경로 → 감사 로그 형식 ({ monthKey, member, field })
+function describeChangePath(changePath) {
+  if (MONTH_KEY_PATTERN.test(changePath[0])) {
+    return {
+      monthKey: changePath[0],
+      member: changePath[1] || null,
+      field: changePath.length > 2 ? changePath.slice(2).join('.') : null
+    };
+  }
+  return { monthKey: null, member: null, field: changePath.join('.') };
+}
+
+// 대기 중인 변경들을 하나의 커밋 메시지로 요약
+function buildBatchCommitMessage(changes) {
+  if (changes.length === 1) {
+    return changes[0].message;
+  }
+  
+  const counts = {};
+  changes.forEach(change => {
+    counts[change.message] = (counts[change.message] || 0) + 1;
+  });
+  const lines = Object.keys(counts).map(message => (
+    counts[message] > 1 ? `- ${message} (${counts[message]}건)` : `- ${message}`
+  ));
+  
+  return `출석 데이터 일괄 업데이트 (${changes.length}건)\n\n${lines.join('\n')}`;
+}
+
+function generateId(prefix) {
+  return prefix + '_' + crypto.randomBytes(6).toString('hex');
+}
+
+// 예전 0/1 출석 값을 상태 키로 변환 (이미 상태 키면 그대로)
+function normalizeAttendanceStatus(value) {
+  if (value === 1 || value === '1') return 'present';
+  if (value === 0 || value === '0') return 'absent';
+  return value;
+}
+
+// 월 명단 항목을 현재 형식으로 변환하고 변환한 값의 개수를 반환
+//  - 0/1 출석 값 → 출석 상태 키
+//  - 사유 결석(excused: {date: reason}) → excused 상태 + 메모(notes)
+//  - 기타 참여 슬롯(extraAttendance.extraN, attendance의 '기타N') → 기타 활동(activities)
+function normalizeRosterEntry(entry) {
+  let changed = 0;
+  const attendance = entry.attendance || {};
+  
+  // 같은 번호의 슬롯이 양쪽에 있으면 한 번만 활동으로 옮김
+  const slots = {};
+  const collectSlot = (key, value) => {
+    const match = key.match(LEGACY_EXTRA_KEY_PATTERN);
+    if (!match) return false;
+    if (normalizeAttendanceStatus(value) === 'present') {
+      slots[match[1]] = true;
+    }
+    changed++;
+    return true;
+  };
+  Object.keys(attendance).forEach(key => {
+    if (!DATE_KEY_PATTERN.test(key) && collectSlot(key, attendance[key])) {
+      delete attendance[key];
+    }
+  });
+  if (entry.extraAttendance) {
+    Object.keys(entry.extraAttendance).forEach(key => collectSlot(key, entry.extraAttendance[key]));
+    delete entry.extraAttendance;
+  }
+  const slotNumbers = Object.keys(slots).sort();
+  if (slotNumbers.length > 0) {
+    entry.activities = (entry.activities || []).concat(slotNumbers.map(number => ({
+      id: generateId('activity'),
+      date: null,
+      type: 'other',
+      description: '기타' + number,
+      credit: 1
+    })));
+  }
+  
+  Object.keys(attendance).forEach(date => {
+    const status = normalizeAttendanceStatus(attendance[date]);
+    if (status !== attendance[date]) {
+      attendance[date] = status;
+      changed++;
+    }
+  });
+  
+  if (entry.excused) {
+    Object.keys(entry.excused).forEach(date => {
+      if (attendance[date] !== 'present') {
+        attendance[date] = 'excused';
+      }
+      if (!entry.notes) entry.notes = {};
+      entry.notes[date] = entry.excused[date];
+      changed++;
+    });
+    delete entry.excused;
+  }
+  
+  entry.attendance = attendance;
+  return changed;
+}
+
+// =============================================================================
+// 입력/데이터 형식 검증
+// =============================================================================
+// 스키마 형식: { 필드: '타입' }. 끝에 '?'를 붙이면 생략 가능(undefined/null 허용), '|'로 여러 타입 허용
+//   예) { year: 'year', month: 'month', memberId: 'string?', status: 'string|integer' }
+const FIELD_TYPES = {
+  string: { check: value => typeof value === 'string', description: 'a string' },
+  text: { check: value => typeof value === 'string' && value.trim() !== '', description: 'a non-empty string' },
+  number: { check: value => typeof value === 'number' && isFinite(value), description: 'a number' },
+  integer: { check: value => Number.isInteger(value), description: 'an integer' },
+  boolean: { check: value => typeof value === 'boolean', description: 'a boolean' },
+  array: { check: value => Array.isArray(value), description: 'an array' },
+  object: { check: value => isPlainObject(value), description: 'an object' },
+  date: { check: value => isValidDateKey(value), description: 'a valid date (YYYY-MM-DD)' },
+  monthKey: { check: value => isValidMonthKey(value), description: 'a valid month (YYYY-MM)' },
+  // year/month는 숫자 문자열도 허용 (검증 미들웨어가 정수로 바꿔 둠)
+  year: {
+    check: value => (typeof value === 'number' || typeof value === 'string') && /^\d{4}$/.test(String(value)),
+    description: 'a 4-digit year'
+  },
+  month: {
+    check: value => (typeof value === 'number' || typeof value === 'string') && /^\d{1,2}$/.test(String(value)) &&
+      parseInt(value, 10) >= 1 && parseInt(value, 10) <= 12,
+    description: 'a month between 1 and 12'
+  },
+  timestamp: { check: value => typeof value === 'string' && !isNaN(new Date(value).getTime()), description: 'a timestamp' }
 };
 
+// 월 명단 항목 형식 (저장 파일과 가져오기 데이터 검증에 사용)
+const ROSTER_ENTRY_SCHEMA = {
+  role: 'text',
+  attendance: 'object',
+  activities: 'array?',
+  order: 'integer?',
+  notes: 'object?',
+  exemption: 'object?'
+};
+const ACTIVITY_SCHEMA = { id: 'text', date: 'date?', type: 'text', description: 'string?', credit: 'number' };
+// 월 키 외에 저장 파일에 들어가는 최상위 섹션
+const DATA_SECTIONS = ['_schedule', '_roles', '_rules', '_members', '_sessions', '_statuses', '_months'];
+
+// 월 상태: open(기본) → locked(수정 잠금) → finalized(확정, 통계와 출석 조건 사본 보관)
+const MONTH_STATES = ['open', 'locked', 'finalized'];
+const MONTH_STATE_LABELS = { open: '다시 열기', locked: '잠금', finalized: '확정' };
+
+function createMonthLockedError(monthKey, state) {
+  const error = new Error(`${monthKey} is ${state}, an admin override with a reason is required`);
+  error.code = 'MONTH_LOCKED';
+  error.monthKey = monthKey;
+  error.state = state;
+  return error;
+}
+
+// 섹션 값이 before → after로 바뀔 때 영향을 받는 달의 기간 목록 ({ from, to }, null이면 끝이 없음)
+//   _sessions, _schedule.exceptions: 바뀐 날짜의 달
+//   _schedule.rules, _roles의 출석 조건 버전: 바뀐 규칙/버전의 기간
+function getSectionChangeRanges(section, before, after) {
+  const ranges = [];
+  const changedItems = (a, b) => {
+    const listA = Array.isArray(a) ? a : [];
+    const listB = Array.isArray(b) ? b : [];
+    return listA.filter(item => !listB.some(other => isSameValue(item, other)))
+      .concat(listB.filter(item => !listA.some(other => isSameValue(item, other))));
+  };
+  const addDates = (a, b) => {
+    const datesA = isPlainObject(a) ? a : {};
+    const datesB = isPlainObject(b) ? b : {};
+    Object.keys(Object.assign({}, datesA, datesB)).forEach(date => {
+      if (isValidDateKey(date) && !isSameValue(datesA[date], datesB[date])) {
+        ranges.push({ from: date.slice(0, 7), to: date.slice(0, 7) });
+      }
+    });
+  };
+
+  if (section === '_sessions') {
+    addDates(before, after);
+  } else if (section === '_schedule') {
+    addDates(before && before.exceptions, after && after.exceptions);
+    changedItems(before && before.rules, after && after.rules).forEach(rule => {
+      ranges.push({ from: rule.from || null, to: rule.to || null });
+    });
+  } else if (section === '_roles') {
+    const rolesA = isPlainObject(before) ? before : {};
+    const rolesB = isPlainObject(after) ? after : {};
+    Object.keys(Object.assign({}, rolesA, rolesB)).forEach(role => {
+      changedItems(rolesA[role] && rolesA[role].requirements, rolesB[role] && rolesB[role].requirements).forEach(requirement => {
+        ranges.push({ from: requirement.from || null, to: null });
+      });
+    });
+  }
+  return ranges;
+}
+
+function isValidDateKey(value) {
+  return ClubDate.isValidDateKey(value);
+}
+
+// shiftedDates 문제 메시지 (옮길 목록은 늦은 날짜부터이므로 날짜 순으로 뒤집어 보여 줌)
+function describeShiftedMoves(label, moves) {
+  return `하루 밀려 저장된 ${label} (${moves.slice().reverse().map(move => `${move.date} → ${move.target}`).join(', ')})`;
+}
+
+function isValidMonthKey(value) {
+  return typeof value === 'string' && MONTH_KEY_PATTERN.test(value) && isValidDateKey(value + '-01');
+}
+
+function parseFieldSpec(spec) {
+  return {
+    optional: spec.endsWith('?'),
+    types: spec.replace(/\?$/, '').split('|')
+  };
+}
+
+// 스키마에 맞지 않는 첫 필드의 오류 메시지 (문제가 없으면 null)
+function validateFields(values, schema) {
+  const fields = Object.keys(schema);
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    const spec = parseFieldSpec(schema[field]);
+    const value = values[field];
+    
+    if (value === undefined || value === null) {
+      if (!spec.optional) {
+        return 'Missing required field: ' + field;
+      }
+      continue;
+    }
+    if (!spec.types.some(type => FIELD_TYPES[type].check(value))) {
+      return field + ' must be ' + spec.types.map(type => FIELD_TYPES[type].description).join(' or ');
+    }
+  }
+  return null;
+}
+
+function validateRosterEntry(entry) {
+  if (!isPlainObject(entry)) {
+    return ['entry must be an object'];
+  }
+
+  const errors = [];
+  const error = validateFields(entry, ROSTER_ENTRY_SCHEMA);
+  if (error) {
+    errors.push(error);
+  }
+  (Array.isArray(entry.activities) ? entry.activities : []).forEach((activity, index) => {
+    const activityError = isPlainObject(activity) ? validateFields(activity, ACTIVITY_SCHEMA) : 'must be an object';
+    if (activityError) {
+      errors.push('activities[' + index + ']: ' + activityError);
+    }
+  });
+  return errors;
+}
+
+// 저장 파일 전체의 형식 검사. 문제 목록('경로: 오류')을 반환
+// 알 수 없는 최상위 키나 값의 의미(날짜, 역할, 상태)는 정합성 점검(checkIntegrity)에서 다룸
+function validateStoredData(data) {
+  if (!isPlainObject(data)) {
+    return ['(root): data must be an object'];
+  }
+
+  const problems = [];
+  Object.keys(data).forEach(key => {
+    if (DATA_SECTIONS.indexOf(key) !== -1) {
+      if (!isPlainObject(data[key])) {
+        problems.push(key + ': must be an object');
+      }
+      return;
+    }
+    if (!MONTH_KEY_PATTERN.test(key)) return;
+    
+    if (!isPlainObject(data[key])) {
+      problems.push(key + ': month roster must be an object');
+      return;
+    }
+    Object.keys(data[key]).forEach(memberId => {
+      validateRosterEntry(data[key][memberId]).forEach(error => problems.push(key + '.' + memberId + ': ' + error));
+    });
+  });
+  return problems;
+}
+
+// =============================================================================
+// 출석 조건 규칙 엔진
+// =============================================================================
+// 규칙 형식 (역할의 출석 조건 버전에서 id로 참조):
+//   {
+//     id, name,
+//     type: 'min_attendance' | 'min_extra',
+//     min: 3,                  // 최소 횟수
+//     weekdays: [1, 4],        // min_attendance 대상 요일 (생략 시 모든 세션)
+//     includeExtra: true,      // 기타 참여를 횟수에 포함
+//     extraMax: 1,             // 포함되는 기타 참여 상한 (null이면 제한 없음)
+//     excusedReduces: true     // 사유 결석 1회당 최소 횟수 1 차감
+//   }
+const REQUIREMENT_RULE_TYPES = ['min_attendance', 'min_extra'];
+
+function validateRequirementRule(rule) {
+  if (!rule.name || typeof rule.name !== 'string') {
+    return 'name is required';
+  }
+  if (REQUIREMENT_RULE_TYPES.indexOf(rule.type) === -1) {
+    return 'type must be one of ' + REQUIREMENT_RULE_TYPES.join(', ');
+  }
+  if (!Number.isInteger(rule.min) || rule.min < 0) {
+    return 'min must be a non-negative integer';
+  }
+  if (rule.weekdays !== undefined && rule.weekdays !== null) {
+    if (!Array.isArray(rule.weekdays) || rule.weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return 'weekdays must be integers between 0 and 6';
+    }
+  }
+  if (rule.extraMax !== undefined && rule.extraMax !== null && (!Number.isInteger(rule.extraMax) || rule.extraMax < 0)) {
+    return 'extraMax must be a non-negative integer';
+  }
+  return null;
+}
+
+// 역할 조건의 total/wednesday 값을 규칙으로 변환
+function buildLegacyRequirementRules(requirement) {
+  const rules = [];
+  if (requirement.total > 0) {
+    rules.push({
+      id: 'total',
+      name: `월 ${requirement.total}회 이상 출석`,
+      type: 'min_attendance',
+      min: requirement.total,
+      includeExtra: true
+    });
+  }
+  if (requirement.wednesday > 0) {
+    rules.push({
+      id: 'wednesday',
+      name: `수요일 ${requirement.wednesday}회 이상 출석`,
+      type: 'min_attendance',
+      min: requirement.wednesday,
+      weekdays: [3]
+    });
+  }
+  return rules;
+}
+
+// context: { sessions: [{ date, weekday }], weights: { date: 출석 상태 가중치 }, extraCount, excusedDates }
+function evaluateRequirementRule(rule, context) {
+  let actual = 0;
+  let required = rule.min;
+  
+  if (rule.type === 'min_extra') {
+    actual = context.extraCount;
+  } else {
+    const sessions = context.sessions.filter(session => !rule.weekdays || rule.weekdays.indexOf(session.weekday) !== -1);
+    for (let i = 0; i < sessions.length; i++) {
+      actual += context.weights[sessions[i].date] || 0;
+    }
+    
+    if (rule.includeExtra) {
+      const extraMax = rule.extraMax === undefined || rule.extraMax === null ? Infinity : rule.extraMax;
+      actual += Math.min(context.extraCount, extraMax);
+    }
+    
+    if (rule.excusedReduces) {
+      const excused = sessions.filter(session => context.excusedDates.indexOf(session.date) !== -1).length;
+      required = Math.max(0, required - excused);
+    }
+  }
+  
+  const passed = actual >= required;
+  return {
+    id: rule.id,
+    name: rule.name,
+    passed: passed,
+    actual: actual,
+    required: required,
+    message: passed ? null : `${rule.name} 미충족 (${actual}/${required}회)`
+  };
+}
+
+// 남은 세션으로 실패한 규칙을 채울 수 있는지
+//   remaining: 규칙 대상 요일의 남은 세션 수 (min_extra는 세션과 관계없으므로 null)
+//   maxWeight: 한 세션에서 얻을 수 있는 최대 출석 가중치
+//   closed   : 지난달이면 기타 참여도 더 늘어나지 않는 것으로 봄
+function projectRequirementRule(rule, result, remainingSessions, maxWeight, extraCount, closed) {
+  const needed = result.required - result.actual;
+  if (rule.type === 'min_extra') {
+    return { id: result.id, name: result.name, actual: result.actual, required: result.required, needed: needed, remaining: null, reachable: !closed };
+  }
+
+  const remaining = remainingSessions.filter(session => !rule.weekdays || rule.weekdays.indexOf(session.weekday) !== -1).length;
+  let reachable = remaining * maxWeight >= needed;
+  if (!reachable && rule.includeExtra && !closed) {
+    // 기타 참여는 아직 더 할 수 있음 (상한이 있으면 남은 만큼만)
+    const extraMax = rule.extraMax === undefined || rule.extraMax === null ? Infinity : rule.extraMax;
+    reachable = remaining * maxWeight + Math.max(0, extraMax - Math.min(extraCount, extraMax)) >= needed;
+  }
+  return { id: result.id, name: result.name, actual: result.actual, required: result.required, needed: needed, remaining: remaining, reachable: reachable };
+}
+
+// NOTIFY_* 환경변수 → 알림기 설정 목록
+//   NOTIFY_WEBHOOK_URL        : 일반 JSON 웹훅
+//   NOTIFY_SLACK_WEBHOOK_URL  : Slack 수신 웹훅
+//   NOTIFY_KAKAO_WEBHOOK_URL  : 카카오워크 봇 웹훅
+//   NOTIFY_SMTP_HOST, NOTIFY_SMTP_PORT, NOTIFY_SMTP_SECURE(true면 처음부터 TLS),
+//   NOTIFY_SMTP_USER, NOTIFY_SMTP_PASSWORD, NOTIFY_SMTP_FROM, NOTIFY_SMTP_TO(쉼표 구분)
+function loadNotifierConfigs(env) {
+  const configs = [];
+  if (env.NOTIFY_WEBHOOK_URL) {
+    configs.push({ type: 'webhook', name: 'webhook', url: env.NOTIFY_WEBHOOK_URL });
+  }
+  if (env.NOTIFY_SLACK_WEBHOOK_URL) {
+    configs.push({ type: 'slack', name: 'slack', url: env.NOTIFY_SLACK_WEBHOOK_URL });
+  }
+  if (env.NOTIFY_KAKAO_WEBHOOK_URL) {
+    configs.push({ type: 'kakao', name: 'kakao', url: env.NOTIFY_KAKAO_WEBHOOK_URL });
+  }
+  if (env.NOTIFY_SMTP_HOST) {
+    configs.push({
+      type: 'smtp',
+      name: 'email',
+      host: env.NOTIFY_SMTP_HOST,
+      port: parseInt(env.NOTIFY_SMTP_PORT) || null,
+      secure: env.NOTIFY_SMTP_SECURE === 'true',
+      user: env.NOTIFY_SMTP_USER || null,
+      password: env.NOTIFY_SMTP_PASSWORD || null,
+      from: env.NOTIFY_SMTP_FROM,
+      to: (env.NOTIFY_SMTP_TO || '').split(',').map(address => address.trim()).filter(address => address)
+    });
+  }
+  return configs;
+}
+
 // GitHub API 초기화
 let octokit = null;
 if (GITHUB_TOKEN) {
@@ -34,15 +613,37 @@ if (GITHUB_TOKEN) {
   });
 }
 
+// 저장소 초기화: 로컬 주 저장소 + (설정된 경우) GitHub 원격 저장소
+const storage = createStorage(STORAGE_BACKEND, { jsonFile: LOCAL_DATA_FILE, sqliteFile: SQLITE_DATA_FILE });
+const remoteStorage = octokit && GITHUB_OWNER && GITHUB_REPO
+  ? new GitHubStorage({ octokit: octokit, owner: GITHUB_OWNER, repo: GITHUB_REPO, path: DATA_FILE_PATH })
+  : null;
+
 // 백업 디렉토리 생성
 if (!fs.existsSync(BACKUP_DIR)) {
   fs.mkdirSync(BACKUP_DIR);
 }
 
 class GitHubAttendanceSystem {
-  constructor() {
+  constructor(storage, remote) {
+    this.storage = storage;
+    this.remote = remote;
     this.data = {};
+    this.dirtyKeys = []; // 마지막 저장 이후 바뀐 최상위 키 (null이면 전체)
     this.lastSha = null;
+    this.baseData = null; // 마지막으로 GitHub과 일치했던 데이터 (3-way 병합 기준)
+    this.writeQueue = Promise.resolve();
+    this.pendingWrites = 0;
+    this.pendingChanges = []; // GitHub에 아직 올리지 않은 변경 ({ message, at })
+    this.flushTimer = null;
+    this.snapshotTimer = null;
+    this.lastSnapshotAt = 0;
+    this.conflicts = [];
+    this.lastSyncError = null;
+    this.lastSyncedAt = null;
+    this.changeListeners = []; // recordChange마다 호출 (실시간 알림)
+    this.memberStores = {}; // 멤버 ID를 들고 있는 다른 저장소 (멤버 병합 때 함께 옮김)
+    this.staleSnapshots = {}; // override로 고친 확정 달 (저장할 때 사본을 다시 만듦)
     this.isInitialized = false;
     this.initializeData();
   }
@@ -54,8 +655,29 @@ class GitHubAttendanceSystem {
       if (await this.loadFromGitHub()) {
         console.log('GitHub에서 데이터를 성공적으로 로드했습니다.');
       } else {
-        console.log('GitHub 로드 실패, 로컬 파일에서 로드 시도...');
-        this.loadFromLocal();
+        console.log(`GitHub 로드 실패, 로컬 저장소(${this.storage.name})에서 로드 시도...`);
+        await this.loadFromStorage();
+      }
+      
+      const migrated = this.migrateMemberIdentity();
+      if (migrated > 0) {
+        console.log(`이름 기반 월 명단 ${migrated}건을 멤버 ID로 변환했습니다.`);
+        this.dirtyKeys = null;
+        await this.saveData('멤버 ID 도입: 월별 명단 변환');
+      }
+      
+      const rosterMigrated = this.migrateRosterEntries();
+      if (rosterMigrated > 0) {
+        console.log(`예전 형식의 출석 기록 ${rosterMigrated}건을 변환했습니다.`);
+        this.dirtyKeys = null;
+        await this.saveData('출석 기록 형식 변환 (출석 상태, 기타 활동)');
+      }
+      
+      // 자동으로 고치지는 않고 알리기만 함 (수정은 /api/admin/integrity)
+      const integrity = this.checkIntegrity();
+      if (integrity.total > 0 || integrity.schemaErrors.length > 0) {
+        console.log(`데이터 점검: 형식 오류 ${integrity.schemaErrors.length}건, 정합성 문제 ${integrity.total}건 (GET /api/admin/integrity에서 확인)`);
+        integrity.schemaErrors.slice(0, 10).forEach(problem => console.log('  - ' + problem));
       }
       
       this.isInitialized = true;
@@ -74,7 +696,7 @@ class GitHubAttendanceSystem {
   }
 
   async loadFromGitHub() {
-    if (!octokit || !GITHUB_OWNER || !GITHUB_REPO) {
+    if (!this.remote) {
       console.log('GitHub 설정이 없습니다. 로컬 모드로 실행합니다.');
       return false;
     }
@@ -82,42 +704,158 @@ class GitHubAttendanceSystem {
     try {
       console.log(`GitHub에서 데이터 로드 중: ${GITHUB_OWNER}/${GITHUB_REPO}/${DATA_FILE_PATH}`);
       
-      const response = await octokit.rest.repos.getContent({
-        owner: GITHUB_OWNER,
-        repo: GITHUB_REPO,
-        path: DATA_FILE_PATH,
-      });
-
-      if (response.data.content) {
-        const content = Buffer.from(response.data.content, 'base64').toString('utf8');
-        this.data = JSON.parse(content);
-        this.lastSha = response.data.sha;
-        this.saveToLocal();
-        console.log('GitHub에서 데이터 로드 성공');
+      const remote = await this.remote.load();
+      if (!remote) {
+        console.log('GitHub에 데이터 파일이 없습니다. 로컬 데이터로 새로 생성합니다.');
+        await this.loadFromStorage();
+        await this.saveToGitHub('초기 데이터 파일 생성');
         return true;
       }
+      
+      if (!isPlainObject(remote.data)) {
+        throw new Error('데이터 파일의 최상위 값이 객체가 아닙니다.');
+      }
+      
+      this.data = remote.data;
+      this.baseData = cloneValue(remote.data);
+      this.lastSha = remote.revision;
+      this.lastSyncedAt = new Date().toISOString();
+      this.dirtyKeys = null;
+      await this.saveToStorage();
+      console.log('GitHub에서 데이터 로드 성공');
+      return true;
     } catch (error) {
-      if (error.status === 404) {
-        console.log('GitHub에 데이터 파일이 없습니다. 새로 생성합니다.');
-        this.data = {};
-        await this.saveToGitHub('초기 데이터 파일 생성');
+      console.error('GitHub 로드 오류:', error.message);
+      return false;
+    }
+  }
+
+  // 쓰기 작업 직렬화: 이전 작업이 끝난 뒤 실행
+  enqueueWrite(task) {
+    this.pendingWrites++;
+    const run = this.writeQueue.then(() => task());
+    const done = () => { this.pendingWrites--; };
+    this.writeQueue = run.then(done, done);
+    return run;
+  }
+
+  // 원격 데이터를 가져와 로컬 변경과 3-way 병합 (로컬 변경은 버리지 않음)
+  async mergeFromGitHub() {
+    const remote = await this.remote.load();
+    if (!remote) {
+      this.lastSha = null;
+      return { applied: 0, conflicts: 0 };
+    }
+    if (!isPlainObject(remote.data)) {
+      throw new Error('GitHub 데이터 파일의 최상위 값이 객체가 아닙니다.');
+    }
+    
+    const applied = [];
+    const conflicts = [];
+    // 잠기거나 확정된 달에 영향을 주는 원격 변경은 바로 반영하지 않고 충돌로 남김 (관리자가 사유를 적고 골라 반영)
+    const canApply = (changePath, value) => {
+      try {
+        this.assertChangeEditable(changePath, value);
         return true;
-      } else {
-        console.error('GitHub 로드 오류:', error.message);
+      } catch (error) {
+        if (error.code === 'MONTH_LOCKED') return false;
+        throw error;
+      }
+    };
+    mergeRemoteChanges(this.baseData || {}, this.data, remote.data, [], applied, conflicts, canApply);
+    
+    applied.forEach(change => {
+      this.recordChange(Object.assign({ action: 'github_merge' }, describeChangePath(change.path), {
+        oldValue: change.ours,
+        newValue: change.theirs
+      }), { actor: 'github' });
+    });
+    
+    const detectedAt = new Date().toISOString();
+    conflicts.forEach(conflict => {
+      const key = conflict.path.join('/');
+      this.conflicts = this.conflicts.filter(c => c.path.join('/') !== key);
+      this.conflicts.push(Object.assign({ id: generateId('conflict'), detectedAt: detectedAt, path: conflict.path }, describeChangePath(conflict.path), {
+        base: conflict.base,
+        ours: conflict.ours,
+        theirs: conflict.theirs
+      }));
+    });
+    
+    if (conflicts.length > 0) {
+      console.log(`GitHub 병합 충돌 ${conflicts.length}건 - 로컬 값을 유지하고 /api/github/status에 기록합니다.`);
+    }
+    
+    this.baseData = remote.data;
+    this.lastSha = remote.revision;
+    await this.saveToStorage();
+    return { applied: applied.length, conflicts: conflicts.length };
+  }
+
+  async syncFromGitHub(options = {}) {
+    if (!this.remote) {
+      return false;
+    }
+    
+    return this.enqueueWrite(async () => {
+      try {
+        const result = await this.mergeFromGitHub();
+        this.recordChange({ action: 'github_sync' }, options);
+        
+        // 원격에 없는 로컬 변경이 남아 있으면 바로 올림
+        if (!isSameValue(this.data, this.baseData)) {
+          await this.pushPendingChanges('GitHub 동기화 병합');
+        }
+        console.log(`GitHub 동기화 완료 (원격 변경 ${result.applied}건 반영, 충돌 ${result.conflicts}건)`);
+        return true;
+      } catch (error) {
+        console.error('GitHub 동기화 오류:', error.message);
+        this.lastSyncError = error.message;
         return false;
       }
+    });
+  }
+
+  async resolveConflict(id, choice, options = {}) {
+    const conflict = this.conflicts.find(c => c.id === id);
+    if (!conflict) {
+      return false;
     }
-    return false;
+    
+    if (choice === 'theirs') {
+      this.assertChangeEditable(conflict.path, conflict.theirs, options);
+      this.recordChange({
+        action: 'conflict_resolve',
+        monthKey: conflict.monthKey,
+        member: conflict.member,
+        field: conflict.field,
+        oldValue: this.getValueAt(conflict.path),
+        newValue: conflict.theirs
+      }, options);
+      this.setValueAt(conflict.path, conflict.theirs);
+    }
+    
+    this.conflicts = this.conflicts.filter(c => c.id !== id);
+    if (choice === 'theirs') {
+      await this.saveData(`동기화 충돌 해결: ${conflict.path.join('/')}`);
+    }
+    return true;
   }
 
-  loadFromLocal() {
+  async loadFromStorage() {
     try {
-      if (fs.existsSync(LOCAL_DATA_FILE)) {
-        const rawData = fs.readFileSync(LOCAL_DATA_FILE, 'utf8');
-        this.data = JSON.parse(rawData);
-        console.log('로컬 파일에서 데이터 로드 성공');
+      const stored = await this.storage.load();
+      if (stored) {
+        if (!isPlainObject(stored.data)) {
+          throw new Error('저장된 데이터의 최상위 값이 객체가 아닙니다.');
+        }
+        this.data = stored.data;
+        console.log(`로컬 저장소(${this.storage.name})에서 데이터 로드 성공`);
       } else {
-        console.log('로컬 데이터 파일이 없습니다. 빈 데이터로 시작합니다.');
+        console.log('로컬 저장소에 데이터가 없습니다. 빈 데이터로 시작합니다.');
+        if (this.storage.name === 'sqlite' && fs.existsSync(LOCAL_DATA_FILE)) {
+          console.log(`기존 ${LOCAL_DATA_FILE}을 가져오려면 npm run migrate:sqlite를 실행하세요.`);
+        }
         this.data = {};
       }
     } catch (error) {
@@ -126,559 +864,6161 @@ class GitHubAttendanceSystem {
     }
   }
 
-  saveToLocal() {
+  // 바뀐 최상위 키(월 또는 섹션)를 기록해 두었다가 저장 시 그 부분만 다시 씀
+  markDirty(key) {
+    if (this.dirtyKeys && this.dirtyKeys.indexOf(key) === -1) {
+      this.dirtyKeys.push(key);
+    }
+  }
+
+  async saveToStorage() {
+    const dirtyKeys = this.dirtyKeys;
+    this.dirtyKeys = [];
+    
     try {
-      fs.writeFileSync(LOCAL_DATA_FILE, JSON.stringify(this.data, null, 2), 'utf8');
+      await this.storage.save(this.data, {
+        dirtyKeys: dirtyKeys,
+        getSessions: monthKey => this.getMonthSessions(parseInt(monthKey.slice(0, 4)), parseInt(monthKey.slice(5, 7)))
+      });
     } catch (error) {
       console.error('로컬 데이터 저장 오류:', error);
+      this.dirtyKeys = dirtyKeys && this.dirtyKeys ? dirtyKeys.concat(this.dirtyKeys) : null;
     }
   }
 
   async saveToGitHub(commitMessage = '출석 데이터 업데이트') {
-    if (!octokit || !GITHUB_OWNER || !GITHUB_REPO) {
+    if (!this.remote) {
       console.log('GitHub 설정이 없어 로컬에만 저장합니다.');
-      this.saveToLocal();
       return false;
     }
 
-    try {
-      const content = JSON.stringify(this.data, null, 2);
-      const contentBase64 = Buffer.from(content).toString('base64');
-
-      const payload = {
-        owner: GITHUB_OWNER,
-        repo: GITHUB_REPO,
-        path: DATA_FILE_PATH,
-        message: `${commitMessage} - ${new Date().toLocaleString('ko-KR')}`,
-        content: contentBase64,
-      };
-
-      if (this.lastSha) {
-        payload.sha = this.lastSha;
+    // SHA 충돌(409/422)이면 원격 데이터와 병합 후 재시도
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const snapshot = cloneValue(this.data);
+        
+        console.log('GitHub에 데이터 저장 중...');
+        const result = await this.remote.save(snapshot, {
+          message: commitMessage.replace(/^[^\n]*/, title => `${title} - ${ClubDate.formatDateTime(new Date())}`),
+          revision: this.lastSha
+        });
+        
+        this.lastSha = result.revision;
+        this.baseData = snapshot;
+        this.lastSyncError = null;
+        this.lastSyncedAt = new Date().toISOString();
+        
+        console.log('GitHub 저장 성공');
+        return true;
+      } catch (error) {
+        if ((error.status === 409 || error.status === 422) && attempt < 3) {
+          console.log('GitHub 저장 충돌 - 원격 데이터와 병합 후 다시 시도합니다.');
+          try {
+            await this.mergeFromGitHub();
+            continue;
+          } catch (mergeError) {
+            error = mergeError;
+          }
+        }
+        
+        console.error('GitHub 저장 오류:', error.message);
+        this.lastSyncError = error.message;
+        return false;
       }
-
-      console.log('GitHub에 데이터 저장 중...');
-      const response = await octokit.rest.repos.createOrUpdateFileContents(payload);
-      
-      this.lastSha = response.data.content.sha;
-      this.saveToLocal();
-      
-      console.log('GitHub 저장 성공');
-      return true;
-    } catch (error) {
-      console.error('GitHub 저장 오류:', error.message);
-      this.saveToLocal();
-      return false;
     }
   }
 
+  // 로컬 디스크에는 즉시 저장하고, GitHub에는 일괄 커밋으로 나중에 올림
   async saveData(commitMessage = '출석 데이터 업데이트') {
-    await this.saveToGitHub(commitMessage);
+    this.refreshStaleSnapshots();
+    this.scheduleSnapshot();
+    if (this.dirtyKeys && this.dirtyKeys.length === 0) {
+      this.dirtyKeys = null; // 변경 위치를 모르면 전체 저장
+    }
+    await this.saveToStorage();
+    
+    if (!this.remote) {
+      return;
+    }
+    
+    this.pendingChanges.push({ message: commitMessage, at: new Date().toISOString() });
+    this.scheduleFlush();
   }
 
-  getMonthKey(year, month) {
-    return year + '-' + (month < 10 ? '0' + month : month);
+  scheduleFlush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+    }
+    
+    const firstPendingAt = new Date(this.pendingChanges[0].at).getTime();
+    const maxWaitLeft = firstPendingAt + GITHUB_FLUSH_MAX_WAIT_MS - Date.now();
+    const delay = Math.max(0, Math.min(GITHUB_FLUSH_DELAY_MS, maxWaitLeft));
+    
+    this.flushTimer = setTimeout(() => {
+      this.flushToGitHub().catch(error => console.error('GitHub 일괄 저장 오류:', error.message));
+    }, delay);
   }
 
-  async initializeMonth(year, month) {
-    const monthKey = this.getMonthKey(year, month);
-    if (!this.data[monthKey]) {
-      this.data[monthKey] = {};
-      await this.saveData(`${year}년 ${month}월 초기화`);
+  async flushToGitHub() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
     }
+    return this.enqueueWrite(() => this.pushPendingChanges());
   }
 
-  async addMember(year, month, name, role) {
-    const monthKey = this.getMonthKey(year, month);
-    await this.initializeMonth(year, month);
-    
-    if (!this.data[monthKey][name]) {
-      this.data[monthKey][name] = {
-        role: role,
-        attendance: {},
-        extraAttendance: {},
-        order: Object.keys(this.data[monthKey]).length
-      };
-      await this.saveData(`멤버 추가: ${name} (${role})`);
+  // 쓰기 큐 안에서만 호출. 실패하면 변경 목록을 되돌려 다음 주기에 다시 시도
+  async pushPendingChanges(fallbackMessage) {
+    if (this.pendingChanges.length === 0 && !fallbackMessage) {
       return true;
     }
-    return false;
+    
+    const batch = this.pendingChanges;
+    this.pendingChanges = [];
+    const message = batch.length > 0 ? buildBatchCommitMessage(batch) : fallbackMessage;
+    
+    console.log(`GitHub 일괄 저장: 변경 ${batch.length}건`);
+    const success = await this.saveToGitHub(message);
+    
+    if (!success && batch.length > 0) {
+      this.pendingChanges = batch.concat(this.pendingChanges);
+      if (this.remote) {
+        this.scheduleFlush();
+      }
+    }
+    return success;
   }
 
-  async deleteMember(year, month, name) {
-    const monthKey = this.getMonthKey(year, month);
-    if (this.data[monthKey] && this.data[monthKey][name]) {
-      delete this.data[monthKey][name];
-      await this.saveData(`멤버 삭제: ${name}`);
-      return true;
+  // 마지막 스냅샷 후 BACKUP_INTERVAL이 지났으면 바로, 아니면 그때까지 모인 변경을 한 번에 남김
+  scheduleSnapshot() {
+    if (this.snapshotTimer) {
+      return;
+    }
+    
+    const delay = Math.max(0, this.lastSnapshotAt + BACKUP_INTERVAL_MS - Date.now());
+    this.snapshotTimer = setTimeout(() => {
+      this.snapshotTimer = null;
+      this.writeSnapshot();
+    }, delay);
+  }
+  
+  // backups/에 전체 데이터 스냅샷을 남겨 특정 시점 복원에 사용
+  writeSnapshot() {
+    if (this.snapshotTimer) {
+      clearTimeout(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+    this.lastSnapshotAt = Date.now();
+    
+    try {
+      const fileName = `snapshot-${Date.now()}.json`;
+      fs.writeFileSync(path.join(BACKUP_DIR, fileName), JSON.stringify(this.data), 'utf8');
+      
+      const snapshots = this.listSnapshots();
+      for (let i = 0; i < snapshots.length - BACKUP_RETENTION; i++) {
+        fs.unlinkSync(path.join(BACKUP_DIR, snapshots[i].id));
+      }
+    } catch (error) {
+      console.error('스냅샷 저장 오류:', error);
     }
-    return false;
   }
 
-  async updateMemberRole(year, month, name, newRole) {
-    const monthKey = this.getMonthKey(year, month);
-    if (this.data[monthKey] && this.data[monthKey][name]) {
-      this.data[monthKey][name].role = newRole;
-      await this.saveData(`${name} 역할 변경: ${newRole}`);
-      return true;
+  // 오래된 순으로 정렬된 로컬 스냅샷 목록
+  listSnapshots() {
+    return fs.readdirSync(BACKUP_DIR)
+      .map(fileName => {
+        const match = /^snapshot-(\d+)\.json$/.exec(fileName);
+        return match ? { source: 'local', id: fileName, time: parseInt(match[1]) } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.time - b.time)
+      .map(snapshot => ({ source: snapshot.source, id: snapshot.id, timestamp: new Date(snapshot.time).toISOString() }));
+  }
+
+  async listGitHubRevisions(until) {
+    if (!this.remote) {
+      return [];
     }
-    return false;
+    return this.remote.listRevisions(until);
   }
 
-  async updateMemberOrder(year, month, memberOrders) {
-    const monthKey = this.getMonthKey(year, month);
-    if (this.data[monthKey]) {
-      for (let i = 0; i < memberOrders.length; i++) {
-        const memberOrder = memberOrders[i];
-        if (this.data[monthKey][memberOrder.name]) {
-          this.data[monthKey][memberOrder.name].order = memberOrder.order;
-        }
+  async listRestorePoints() {
+    const points = this.listSnapshots();
+    try {
+      const revisions = await this.listGitHubRevisions();
+      revisions.forEach(revision => points.push(revision));
+    } catch (error) {
+      console.error('GitHub 커밋 이력 조회 오류:', error.message);
+    }
+    return points.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  // 지정 시각 당시의 전체 데이터 (source: 'local' 스냅샷 또는 'github' 커밋 이력)
+  async loadDataAt(timestamp, source) {
+    if (source === 'github') {
+      const revisions = await this.listGitHubRevisions(new Date(timestamp).toISOString());
+      if (revisions.length === 0) {
+        return null;
       }
-      await this.saveData('멤버 순서 변경');
-      return true;
+      
+      return {
+        point: revisions[0],
+        data: await this.remote.loadRevision(revisions[0].id)
+      };
     }
-    return false;
+    
+    const target = new Date(timestamp).getTime();
+    const candidates = this.listSnapshots().filter(snapshot => new Date(snapshot.timestamp).getTime() <= target);
+    if (candidates.length === 0) {
+      return null;
+    }
+    
+    const point = candidates[candidates.length - 1];
+    return {
+      point: point,
+      data: JSON.parse(fs.readFileSync(path.join(BACKUP_DIR, point.id), 'utf8'))
+    };
   }
 
-  async copyFromPreviousMonth(year, month) {
-    const currentMonthKey = this.getMonthKey(year, month);
-    let prevYear = year;
-    let prevMonth = month - 1;
+  async restoreMonth(year, month, timestamp, source, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    this.assertMonthEditable(monthKey, options);
+    const restored = await this.loadDataAt(timestamp, source);
+    if (!restored) {
+      return { success: false, error: 'No restore point found before the given time' };
+    }
     
-    if (prevMonth === 0) {
-      prevMonth = 12;
-      prevYear = year - 1;
+    const before = cloneValue(this.data[monthKey]);
+    const monthData = cloneValue(restored.data[monthKey]);
+    if (monthData === undefined) {
+      delete this.data[monthKey];
+    } else {
+      this.data[monthKey] = monthData;
     }
     
-    const prevMonthKey = this.getMonthKey(prevYear, prevMonth);
+    this.recordChange({
+      action: 'month_restore',
+      monthKey: monthKey,
+      oldValue: before,
+      newValue: monthData
+    }, options);
+    await this.saveData(`${year}년 ${month}월 복원 (${restored.point.timestamp} 시점)`);
+    return { success: true, restoredFrom: restored.point };
+  }
+
+  getAuditEntry(id) {
+    if (!fs.existsSync(AUDIT_LOG_FILE)) {
+      return null;
+    }
     
-    if (this.data[prevMonthKey]) {
-      this.data[currentMonthKey] = {};
-      
-      const prevMembers = Object.keys(this.data[prevMonthKey]);
-      for (let i = 0; i < prevMembers.length; i++) {
-        const name = prevMembers[i];
-        const memberData = this.data[prevMonthKey][name];
-        this.data[currentMonthKey][name] = {
-          role: memberData.role,
-          attendance: {},
-          extraAttendance: {},
-          order: memberData.order
-        };
+    const lines = fs.readFileSync(AUDIT_LOG_FILE, 'utf8').split('\n');
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (lines[i].indexOf(id) === -1) continue;
+      try {
+        const entry = JSON.parse(lines[i]);
+        if (entry.id === id) {
+          return entry;
+        }
+      } catch (error) {
+        continue;
       }
-      
-      await this.saveData(`${prevYear}년 ${prevMonth}월 멤버 복사`);
-      return true;
     }
-    return false;
+    return null;
   }
 
-  async updateAttendance(year, month, name, date, status) {
-    const monthKey = this.getMonthKey(year, month);
-    if (this.data[monthKey] && this.data[monthKey][name]) {
-      // 기타 참여인지 확인 (extra1, extra2, extra3)
-      if (date.startsWith('extra')) {
-        if (!this.data[monthKey][name].extraAttendance) {
-          this.data[monthKey][name].extraAttendance = {};
-        }
-        this.data[monthKey][name].extraAttendance[date] = parseInt(status);
-        await this.saveData(`${name} 기타 참여 업데이트 (${date})`);
-      } else {
-        // 정규 날짜 출석
-        this.data[monthKey][name].attendance[date] = parseInt(status);
-        await this.saveData(`${name} 출석 업데이트 (${date})`);
+  // 감사 로그 항목이 가리키는 데이터 위치 (예: ['2025-06', '김영훈', 'attendance', '2025-06-18'])
+  getChangePath(entry) {
+    const changePath = [];
+    // 체크인/멤버 요청처럼 출석 데이터 밖의 저장소 변경은 되돌릴 경로가 없음
+    if (entry.store) return changePath;
+    if (entry.monthKey) changePath.push(entry.monthKey);
+    if (entry.member) changePath.push(this.getMemberProfile(entry.member) ? entry.member : this.findMemberIdByLegacyName(entry.member));
+    if (entry.field) changePath.push.apply(changePath, entry.field.split('.'));
+    return changePath;
+  }
+
+  // 멤버 ID 도입 전 감사 로그는 member에 이름이 들어 있음
+  findMemberIdByLegacyName(name) {
+    const profile = this.findMemberProfiles(name)[0];
+    return profile ? profile.id : name;
+  }
+
+  getValueAt(changePath) {
+    let target = this.data;
+    for (let i = 0; i < changePath.length; i++) {
+      if (!target || typeof target !== 'object') {
+        return undefined;
       }
-      return true;
+      target = target[changePath[i]];
     }
-    return false;
+    return target;
   }
 
-  getMonthMembers(year, month) {
-    const monthKey = this.getMonthKey(year, month);
-    return this.data[monthKey] || {};
+  setValueAt(changePath, value) {
+    let target = this.data;
+    for (let i = 0; i < changePath.length - 1; i++) {
+      if (!target[changePath[i]] || typeof target[changePath[i]] !== 'object') {
+        target[changePath[i]] = {};
+      }
+      target = target[changePath[i]];
+    }
+    
+    const key = changePath[changePath.length - 1];
+    if (value === undefined) {
+      delete target[key];
+    } else {
+      target[key] = cloneValue(value);
+    }
   }
 
-  getMonthDates(year, month) {
-    const dates = [];
-    const date = new Date(year, month - 1, 1);
+  // changePath의 값을 value로 바꿔도 되는지 확인. 잠긴 달에 영향을 주면 override 없이는 MONTH_LOCKED
+  //   월 데이터는 그 달, 세션 정보/일정/역할 출석 조건은 바뀐 기간의 달, 상태 가중치와 출석 규칙은 잠긴 달 전부
+  assertChangeEditable(changePath, value, options = {}) {
+    const section = changePath[0];
+    if (MONTH_KEY_PATTERN.test(section)) {
+      this.assertMonthEditable(section, options);
+      return;
+    }
+    if (section === '_statuses' || section === '_rules') {
+      this.assertMonthRangeEditable(null, null, options);
+      return;
+    }
     
-    while (date.getMonth() === month - 1) {
-      const weekday = date.getDay();
-      if (weekday === 1 || weekday === 3 || weekday === 4) {
-        dates.push(date.toISOString().split('T')[0]);
+    const before = this.data[section];
+    let after = value;
+    if (changePath.length > 1) {
+      after = isPlainObject(before) ? cloneValue(before) : {};
+      let target = after;
+      for (let i = 1; i < changePath.length - 1; i++) {
+        if (!isPlainObject(target[changePath[i]])) {
+          target[changePath[i]] = {};
+        }
+        target = target[changePath[i]];
+      }
+      if (value === undefined) {
+        delete target[changePath[changePath.length - 1]];
+      } else {
+        target[changePath[changePath.length - 1]] = value;
       }
-      date.setDate(date.getDate() + 1);
     }
-    
-    return dates;
+    getSectionChangeRanges(section, before, after).forEach(range => {
+      this.assertMonthRangeEditable(range.from, range.to, options);
+    });
   }
 
-  calculateMonthlyStats(year, month, name) {
-    const monthKey = this.getMonthKey(year, month);
-    const members = this.data[monthKey] || {};
+  // 변경 한 건을 되돌림. 이후 같은 항목이 다시 바뀌었으면 force 없이는 거부
+  async revertChange(id, force, options = {}) {
+    const entry = this.getAuditEntry(id);
+    if (!entry) {
+      return { success: false, status: 404, error: 'Audit entry not found' };
+    }
     
-    if (!members[name]) {
-      return { 
-        total: 0, 
-        regular: 0,
-        wednesday: 0, 
-        extra: 0,
-        extra1: 0,
-        extra2: 0,
-        extra3: 0,
-        meets_requirement: false 
-      };
+    const changePath = this.getChangePath(entry);
+    if (changePath.length === 0 || !('oldValue' in entry || 'newValue' in entry)) {
+      return { success: false, status: 400, error: 'This change cannot be reverted' };
+    }
+    // 월 상태는 사유를 받는 월 상태 API로만 바꿈
+    if (changePath[0] === '_months') {
+      return { success: false, status: 400, error: 'Month state changes cannot be reverted, change the month state instead' };
     }
-  
-    const member = members[name];
-    const role = member.role;
-    const attendance = member.attendance;
-    const extraAttendance = member.extraAttendance || {};
     
-    const monthDates = this.getMonthDates(year, month);
+    const current = this.getValueAt(changePath);
+    if (!force && !isSameValue(current, entry.newValue)) {
+      return { success: false, status: 409, error: 'Value has changed since this entry', current: current === undefined ? null : current };
+    }
     
-    let totalAttendance = 0;
-    let wednesdayAttendance = 0;
-    let extraCount = 0;
-    let extra1 = 0, extra2 = 0, extra3 = 0;
+    this.assertChangeEditable(changePath, entry.oldValue, options);
+    this.setValueAt(changePath, entry.oldValue);
+    this.recordChange({
+      action: 'revert',
+      monthKey: entry.monthKey,
+      member: entry.member,
+      field: entry.field,
+      oldValue: current,
+      newValue: entry.oldValue,
+      revertOf: entry.id
+    }, options);
+    await this.saveData(`변경 되돌리기: ${entry.member || entry.monthKey || entry.field} (${entry.action})`);
+    return { success: true };
+  }
+
+  // 변경 이력(감사 로그)에 한 건 추가. undefined 값은 '없던 항목'으로 JSON에서 생략됨
+  recordChange(change, options = {}) {
+    const entry = {
+      id: generateId('audit'),
+      timestamp: new Date().toISOString(),
+      actor: options.actor || 'system',
+      action: change.action,
+      monthKey: change.monthKey || null,
+      member: change.member || null,
+      field: change.field || null,
+      oldValue: cloneValue(change.oldValue),
+      newValue: cloneValue(change.newValue)
+    };
+    if (change.revertOf) {
+      entry.revertOf = change.revertOf;
+    }
+    if (options.override) {
+      entry.override = options.override.reason;
+    }
+    if (options.request) {
+      entry.request = options.request;
+    }
+    if (change.store) {
+      entry.store = change.store;
+    }
     
-    // 정규 날짜 출석 계산
-    for (let i = 0; i < monthDates.length; i++) {
-      const dateStr = monthDates[i];
-      if (attendance[dateStr] === 1) {
-        totalAttendance++;
-        
-        const dateObj = new Date(dateStr);
-        if (dateObj.getDay() === 3) {
-          wednesdayAttendance++;
-        }
-      }
+    const topKey = entry.monthKey || (entry.field ? entry.field.split('.')[0] : null);
+    if (topKey) {
+      this.markDirty(topKey);
     }
     
-    // 기타 참여 계산
-    for (let i = 1; i <= 3; i++) {
-      if (extraAttendance['extra' + i] === 1) {
-        extraCount++;
-        if (i === 1) extra1 = 1;
-        if (i === 2) extra2 = 1;
-        if (i === 3) extra3 = 1;
-      }
+    try {
+      fs.appendFileSync(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+      console.error('감사 로그 기록 오류:', error);
     }
     
-    // 전체 출석 = 정규 출석 + 기타 참여
-    const totalWithExtra = totalAttendance + extraCount;
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.error('변경 알림 오류:', error);
+      }
+    });
+    return entry;
+  }
+
+  onChange(listener) {
+    this.changeListeners.push(listener);
+  }
+
+  // store.reassignMember(sourceId, targetId): 멤버 병합 때 호출. 바뀐 게 있으면 { before, after }, 없으면 null
+  addMemberStore(name, store) {
+    this.memberStores[name] = store;
+  }
+
+  recordSectionChange(section, action, before, options) {
+    return this.recordChange({
+      action: action,
+      field: section,
+      oldValue: before,
+      newValue: cloneValue(this.data[section])
+    }, options);
+  }
+
+  // 필터: member, monthKey, date(출석 날짜), from/to(변경 시각의 클럽 시간대 날짜, YYYY-MM-DD), action, request(멤버 요청 ID), limit
+  queryAuditLog(filters = {}) {
+    if (!fs.existsSync(AUDIT_LOG_FILE)) {
+      return [];
+    }
     
-    const requirements = ROLE_REQUIREMENTS[role] || { total: 0, wednesday: 0 };
-    let meetsRequirement = true;
+    const lines = fs.readFileSync(AUDIT_LOG_FILE, 'utf8').split('\n');
+    const results = [];
+    const memberKeys = filters.member ? [filters.member, this.getMemberName(filters.member)] : null;
     
-    if (role !== '운영진') {
-      // 기타 참여 포함한 전체 출석으로 조건 확인
-      if (totalWithExtra < requirements.total) {
-        meetsRequirement = false;
-      }
-      if (wednesdayAttendance < requirements.wednesday) {
-        meetsRequirement = false;
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!lines[i].trim()) continue;
+      
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        continue;
       }
+      
+      if (memberKeys && memberKeys.indexOf(entry.member) === -1) continue;
+      if (filters.monthKey && entry.monthKey !== filters.monthKey) continue;
+      if (filters.action && entry.action !== filters.action) continue;
+      if (filters.request && entry.request !== filters.request) continue;
+      if (filters.date && !(entry.field && entry.field.endsWith('.' + filters.date))) continue;
+      if (filters.from && ClubDate.toDateKey(entry.timestamp) < filters.from) continue;
+      if (filters.to && ClubDate.toDateKey(entry.timestamp) > filters.to) continue;
+      
+      results.push(entry);
+      if (filters.limit && results.length >= filters.limit) break;
     }
     
-    return {
-      total: totalWithExtra, // 기타 참여 포함한 전체
-      regular: totalAttendance, // 정규 출석만
-      wednesday: wednesdayAttendance,
-      extra: extraCount,
-      extra1: extra1,
-      extra2: extra2,
-      extra3: extra3,
-      meets_requirement: meetsRequirement,
-      required_total: requirements.total,
-      required_wednesday: requirements.wednesday
+    return results;
+  }
+
+  getMonthKey(year, month) {
+    return year + '-' + (month < 10 ? '0' + month : month);
+  }
+
+  // =========================================================================
+  // 멤버 명부: 월과 무관한 고유 ID와 프로필 (월별 명단은 이 ID를 키로 사용)
+  // =========================================================================
+  getMemberRegistry() {
+    return this.data._members || {};
+  }
+
+  ensureMemberRegistry() {
+    if (!this.data._members) {
+      this.data._members = {};
+    }
+    return this.data._members;
+  }
+
+  getMemberProfile(memberId) {
+    return this.getMemberRegistry()[memberId] || null;
+  }
+
+  getMemberName(memberId) {
+    const profile = this.getMemberProfile(memberId);
+    return profile ? profile.name : memberId;
+  }
+
+  // 이름이 같은 프로필 목록 (다른 멤버로 병합된 프로필 제외)
+  findMemberProfiles(name) {
+    const registry = this.getMemberRegistry();
+    return Object.keys(registry)
+      .map(memberId => registry[memberId])
+      .filter(profile => profile.name === name && !profile.mergedInto);
+  }
+
+  validateMemberProfile(profile) {
+    if (profile.name !== undefined && (typeof profile.name !== 'string' || !profile.name.trim())) {
+      return 'name must be a non-empty string';
+    }
+    if (profile.status !== undefined && MEMBER_STATUSES.indexOf(profile.status) === -1) {
+      return 'status must be one of ' + MEMBER_STATUSES.join(', ');
+    }
+    if (profile.joinedAt && !isValidDateKey(profile.joinedAt)) {
+      return 'joinedAt must be YYYY-MM-DD';
+    }
+    if (profile.phone && typeof profile.phone !== 'string') {
+      return 'phone must be a string';
+    }
+    return null;
+  }
+
+  // 프로필 생성 (저장은 호출하는 쪽에서)
+  createMemberProfile(profile, options = {}) {
+    const registry = this.ensureMemberRegistry();
+    const memberId = generateId('member');
+    registry[memberId] = {
+      id: memberId,
+      name: profile.name.trim(),
+      phone: profile.phone || null,
+      joinedAt: profile.joinedAt || null,
+      status: profile.status || 'active',
+      createdAt: new Date().toISOString()
     };
+    this.recordChange({
+      action: 'member_profile_add',
+      field: '_members.' + memberId,
+      oldValue: undefined,
+      newValue: registry[memberId]
+    }, options);
+    return registry[memberId];
   }
 
-  async importMonthData(year, month, importData) {
-    try {
-      const monthKey = this.getMonthKey(year, month);
-      
-      delete this.data[monthKey];
-      this.data[monthKey] = {};
+  findOrCreateMemberProfile(name, options = {}) {
+    return this.findMemberProfiles(name.trim())[0] || this.createMemberProfile({ name: name }, options);
+  }
+
+  async addMemberProfile(profile, options = {}) {
+    const created = this.createMemberProfile(profile, options);
+    await this.saveData(`멤버 등록: ${created.name}`);
+    return created;
+  }
+
+  // 프로필 수정. 이름을 바꾸면 모든 월 명단에 바로 반영됨 (명단은 ID로 참조)
+  async updateMemberProfile(memberId, updates, options = {}) {
+    const profile = this.getMemberProfile(memberId);
+    if (!profile) {
+      return null;
+    }
+    
+    const before = cloneValue(profile);
+    if (updates.name !== undefined) profile.name = updates.name.trim();
+    if (updates.phone !== undefined) profile.phone = updates.phone || null;
+    if (updates.joinedAt !== undefined) profile.joinedAt = updates.joinedAt || null;
+    if (updates.status !== undefined) profile.status = updates.status;
+    
+    this.recordChange({
+      action: before.name !== profile.name ? 'member_rename' : 'member_profile_update',
+      field: '_members.' + memberId,
+      oldValue: before,
+      newValue: profile
+    }, options);
+    await this.saveData(before.name !== profile.name ? `멤버 이름 변경: ${before.name} → ${profile.name}` : `멤버 정보 수정: ${profile.name}`);
+    return profile;
+  }
+
+  // source 멤버의 모든 월 기록을 target 멤버로 옮김. 같은 달에 둘 다 있으면 출석 기록을 합침
+  async mergeMembers(sourceId, targetId, options = {}) {
+    const source = this.getMemberProfile(sourceId);
+    const target = this.getMemberProfile(targetId);
+    if (!source || !target) {
+      return { success: false, status: 404, error: 'Member not found' };
+    }
+    if (sourceId === targetId || source.mergedInto || target.mergedInto) {
+      return { success: false, status: 400, error: 'Cannot merge these members' };
+    }
+    
+    const monthKeys = Object.keys(this.data).filter(key => MONTH_KEY_PATTERN.test(key) && this.data[key][sourceId]);
+    monthKeys.forEach(monthKey => this.assertMonthEditable(monthKey, options));
+    monthKeys.forEach(monthKey => {
+      const roster = this.data[monthKey];
+      const before = cloneValue(roster);
+      const from = roster[sourceId];
       
-      if (importData.members) {
-        const memberEntries = Object.keys(importData.members);
-        
-        for (let i = 0; i < memberEntries.length; i++) {
-          const name = memberEntries[i];
-          const memberData = importData.members[name];
-          
-          this.data[monthKey][name] = {
-            role: memberData.role || '미정',
-            attendance: memberData.attendance || {},
-            extraAttendance: memberData.extraAttendance || {},
-            order: memberData.order !== undefined ? memberData.order : i
-          };
+      if (!roster[targetId]) {
+        roster[targetId] = from;
+      } else {
+        const into = roster[targetId];
+        into.activities = (into.activities || []).concat(from.activities || []);
+        ['attendance', 'notes'].forEach(field => {
+          const values = from[field] || {};
+          Object.keys(values).forEach(key => {
+            if (!into[field]) into[field] = {};
+            if (!into[field][key] || into[field][key] === 'absent') into[field][key] = values[key];
+          });
+        });
+        if (!into.exemption && from.exemption) {
+          into.exemption = from.exemption;
         }
       }
+      delete roster[sourceId];
       
-      await this.saveData(`${year}년 ${month}월 데이터 가져오기`);
-      return { success: true, message: '데이터를 성공적으로 가져왔습니다.' };
-    } catch (error) {
-      console.error('월 데이터 import 오류:', error);
-      return { success: false, error: '데이터 가져오기 중 오류가 발생했습니다: ' + error.message };
+      this.recordChange({
+        action: 'member_merge',
+        monthKey: monthKey,
+        oldValue: before,
+        newValue: roster
+      }, options);
+    });
+    
+    const before = cloneValue(this.getMemberRegistry());
+    if (source.joinedAt && (!target.joinedAt || source.joinedAt < target.joinedAt)) {
+      target.joinedAt = source.joinedAt;
+    }
+    source.status = 'retired';
+    source.mergedInto = targetId;
+    this.recordSectionChange('_members', 'member_merge', before, options);
+    
+    // 세션 페이서 배정도 target으로 옮김
+    const sessionsBefore = cloneValue(this.data._sessions);
+    let sessionsChanged = false;
+    const metadata = this.getSessionMetadata();
+    Object.keys(metadata).forEach(date => {
+      const meta = metadata[date];
+      if (meta.leadPacer === sourceId) {
+        meta.leadPacer = targetId;
+        sessionsChanged = true;
+      }
+      (meta.paceGroups || []).forEach(group => {
+        if (group.pacers.indexOf(sourceId) === -1) return;
+        group.pacers = group.pacers.map(memberId => memberId === sourceId ? targetId : memberId)
+          .filter((memberId, index, list) => list.indexOf(memberId) === index);
+        sessionsChanged = true;
+      });
+    });
+    if (sessionsChanged) {
+      this.recordSectionChange('_sessions', 'member_merge', sessionsBefore, options);
     }
+    
+    // 체크인과 멤버 요청도 target으로 옮겨야 병합 뒤에 승인/조회가 target 기준으로 맞음
+    Object.keys(this.memberStores).forEach(name => {
+      const change = this.memberStores[name].reassignMember(sourceId, targetId);
+      if (change) {
+        this.recordChange({
+          action: 'member_merge',
+          member: targetId,
+          store: name,
+          oldValue: change.before,
+          newValue: change.after
+        }, options);
+      }
+    });
+    
+    await this.saveData(`멤버 병합: ${source.name} → ${target.name} (${monthKeys.length}개월)`);
+    return { success: true, months: monthKeys };
   }
 
-  exportAllData() {
+  // 요청의 멤버 참조(ID 또는 이름)를 해당 월 명단의 멤버 ID로 변환
+  resolveRosterMember(year, month, ref) {
+    const roster = this.data[this.getMonthKey(year, month)] || {};
+    if (!ref) {
+      return { status: 400, error: 'Missing required fields' };
+    }
+    if (roster[ref]) {
+      return { id: ref };
+    }
+    
+    const matches = Object.keys(roster).filter(memberId => this.getMemberName(memberId) === ref);
+    if (matches.length === 1) {
+      return { id: matches[0] };
+    }
+    if (matches.length > 1) {
+      return { status: 409, error: 'Member name is ambiguous, use memberId' };
+    }
+    return { status: 404, error: 'Member not found' };
+  }
+
+  // 멤버의 월별 출석 기록 (year를 주면 해당 연도만)
+  getMemberHistory(memberId, year) {
+    const months = Object.keys(this.data)
+      .filter(key => MONTH_KEY_PATTERN.test(key) && this.data[key][memberId])
+      .filter(key => !year || key.slice(0, 4) === String(year))
+      .sort()
+      .map(monthKey => {
+        const y = parseInt(monthKey.slice(0, 4));
+        const m = parseInt(monthKey.slice(5, 7));
+        return {
+          monthKey: monthKey,
+          year: y,
+          month: m,
+          role: this.data[monthKey][memberId].role,
+          stats: this.calculateMonthlyStats(y, m, memberId)
+        };
+      });
+    
     return {
-      exportDate: new Date().toISOString(),
-      version: '1.0',
-      data: this.data
+      months: months,
+      totals: {
+        months: months.length,
+        regular: months.reduce((sum, entry) => sum + entry.stats.regular, 0),
+        extra: months.reduce((sum, entry) => sum + entry.stats.extra, 0),
+        total: months.reduce((sum, entry) => sum + entry.stats.total, 0),
+        metMonths: months.filter(entry => entry.stats.meets_requirement).length
+      }
     };
   }
 
-  exportMonthData(year, month) {
-    const monthKey = this.getMonthKey(year, month);
-    const members = this.getMonthMembers(year, month);
-    const dates = this.getMonthDates(year, month);
+  // 이름을 키로 쓰던 월별 명단을 멤버 ID 기준으로 변환 (같은 이름은 같은 멤버로 간주)
+  migrateMemberIdentity() {
+    const monthKeys = Object.keys(this.data).filter(key => MONTH_KEY_PATTERN.test(key)).sort();
+    let migrated = 0;
     
-    const report = {};
-    const memberEntries = Object.keys(members);
-    memberEntries.sort((a, b) => {
-      const orderA = members[a].order || 0;
-      const orderB = members[b].order || 0;
-      return orderA - orderB;
+    monthKeys.forEach(monthKey => {
+      const roster = this.data[monthKey];
+      const rekeyed = {};
+      Object.keys(roster).forEach(key => {
+        if (this.getMemberProfile(key)) {
+          rekeyed[key] = roster[key];
+          return;
+        }
+        const profile = this.findMemberProfiles(key)[0] || this.createMemberProfile({ name: key, joinedAt: monthKey + '-01' });
+        rekeyed[profile.id] = roster[key];
+        migrated++;
+      });
+      this.data[monthKey] = rekeyed;
+    });
+    
+    return migrated;
+  }
+
+  // 예전 형식의 월 명단 항목(0/1 출석, excused, 기타 슬롯)을 현재 형식으로 변환
+  migrateRosterEntries() {
+    let migrated = 0;
+    Object.keys(this.data).filter(key => MONTH_KEY_PATTERN.test(key)).forEach(monthKey => {
+      const roster = this.data[monthKey];
+      Object.keys(roster).forEach(memberId => {
+        migrated += normalizeRosterEntry(roster[memberId]);
+      });
+    });
+    return migrated;
+  }
+
+  getAttendanceStatuses() {
+    return this.data._statuses || JSON.parse(JSON.stringify(DEFAULT_ATTENDANCE_STATUSES));
+  }
+
+  ensureAttendanceStatuses() {
+    if (!this.data._statuses) {
+      this.data._statuses = JSON.parse(JSON.stringify(DEFAULT_ATTENDANCE_STATUSES));
+    }
+    return this.data._statuses;
+  }
+
+  hasAttendanceStatus(key) {
+    return (this.data._statuses || DEFAULT_ATTENDANCE_STATUSES).hasOwnProperty(normalizeAttendanceStatus(key));
+  }
+
+  // 출석 조건에 반영되는 값 (중립 상태는 null, 기록이 없거나 모르는 상태는 0)
+  getStatusWeight(status) {
+    const definition = (this.data._statuses || DEFAULT_ATTENDANCE_STATUSES)[normalizeAttendanceStatus(status)];
+    return definition ? definition.weight : 0;
+  }
+
+  // 출석 인원에 포함되는 상태인지 (가중치가 0보다 큰 상태)
+  isAttendedStatus(status) {
+    return status !== undefined && this.getStatusWeight(status) > 0;
+  }
+
+  validateAttendanceStatus(definition) {
+    if (!definition.label || typeof definition.label !== 'string') {
+      return 'label is required';
+    }
+    if (definition.short !== undefined && definition.short !== null && typeof definition.short !== 'string') {
+      return 'short must be a string';
+    }
+    if (definition.weight !== null && (typeof definition.weight !== 'number' || definition.weight < 0)) {
+      return 'weight must be a non-negative number or null';
+    }
+    if (definition.order !== undefined && !Number.isInteger(definition.order)) {
+      return 'order must be an integer';
+    }
+    return null;
+  }
+
+  isAttendanceStatusInUse(key) {
+    return Object.keys(this.data).filter(monthKey => MONTH_KEY_PATTERN.test(monthKey)).some(monthKey => {
+      const roster = this.data[monthKey];
+      return Object.keys(roster).some(memberId => {
+        const attendance = roster[memberId].attendance || {};
+        return Object.keys(attendance).some(date => attendance[date] === key);
+      });
     });
+  }
+
+  async setAttendanceStatus(key, definition, options = {}) {
+    const before = cloneValue(this.data._statuses);
+    const statuses = this.ensureAttendanceStatuses();
+    const current = statuses[key];
+    // 잠긴 달은 스냅샷 없이 현재 가중치로 다시 계산되므로 기존 상태의 변경은 잠긴 달 결과도 바꿈
+    if (current) {
+      this.assertMonthRangeEditable(null, null, options);
+    }
+    
+    statuses[key] = {
+      label: definition.label,
+      short: definition.short || definition.label,
+      weight: definition.weight,
+      order: definition.order !== undefined ? definition.order : (current ? current.order : Object.keys(statuses).length)
+    };
+    this.recordSectionChange('_statuses', current ? 'status_update' : 'status_add', before, options);
+    await this.saveData(`출석 상태 ${current ? '변경' : '추가'}: ${definition.label}`);
+    return statuses[key];
+  }
+
+  async deleteAttendanceStatus(key, options = {}) {
+    const before = cloneValue(this.data._statuses);
+    const statuses = this.ensureAttendanceStatuses();
+    if (!statuses[key]) {
+      return false;
+    }
+    this.assertMonthRangeEditable(null, null, options);
+    const label = statuses[key].label;
+    delete statuses[key];
+    this.recordSectionChange('_statuses', 'status_delete', before, options);
+    await this.saveData(`출석 상태 삭제: ${label}`);
+    return true;
+  }
+
+  getRoles() {
+    return this.data._roles || JSON.parse(JSON.stringify(DEFAULT_ROLES));
+  }
+
+  ensureRoles() {
+    if (!this.data._roles) {
+      this.data._roles = JSON.parse(JSON.stringify(DEFAULT_ROLES));
+    }
+    return this.data._roles;
+  }
+
+  hasRole(name) {
+    return !!this.getRoles()[name];
+  }
+
+  validateRoleRequirement(requirement) {
+    if (!Number.isInteger(requirement.total) || requirement.total < 0) {
+      return 'total must be a non-negative integer';
+    }
+    if (!Number.isInteger(requirement.wednesday) || requirement.wednesday < 0) {
+      return 'wednesday must be a non-negative integer';
+    }
+    if (requirement.from && !MONTH_KEY_PATTERN.test(requirement.from)) {
+      return 'from must be YYYY-MM';
+    }
+    if (requirement.rules !== undefined) {
+      if (!Array.isArray(requirement.rules)) {
+        return 'rules must be an array of rule ids';
+      }
+      const rules = this.getRequirementRules();
+      const unknown = requirement.rules.filter(id => !rules[id]);
+      if (unknown.length > 0) {
+        return 'Unknown rules: ' + unknown.join(', ');
+      }
+    }
+    return null;
+  }
+
+  // 해당 월 시점에 유효한 출석 조건 (from이 그 달 이전인 것 중 가장 최근 버전)
+  getRoleRequirements(role, year, month) {
+    const roleInfo = this.getRoles()[role];
+    if (!roleInfo) {
+      return { from: null, total: 0, wednesday: 0 };
+    }
+    
+    const monthKey = this.getMonthKey(year, month);
+    let selected = null;
+    for (let i = 0; i < roleInfo.requirements.length; i++) {
+      const requirement = roleInfo.requirements[i];
+      if (requirement.from && requirement.from > monthKey) continue;
+      if (!selected || (requirement.from || '') >= (selected.from || '')) {
+        selected = requirement;
+      }
+    }
+    
+    return selected || { from: null, total: 0, wednesday: 0 };
+  }
+
+  isRoleInUse(name) {
+    const monthKeys = Object.keys(this.data).filter(key => MONTH_KEY_PATTERN.test(key));
+    for (let i = 0; i < monthKeys.length; i++) {
+      const members = this.data[monthKeys[i]];
+      const memberNames = Object.keys(members);
+      for (let j = 0; j < memberNames.length; j++) {
+        if (members[memberNames[j]].role === name) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  async addRole(name, requirement, options = {}) {
+    const before = cloneValue(this.data._roles);
+    const roles = this.ensureRoles();
+    if (roles[name]) {
+      return false;
+    }
+    
+    roles[name] = {
+      order: Object.keys(roles).length,
+      requirements: [{
+        from: requirement.from || null,
+        total: requirement.total,
+        wednesday: requirement.wednesday,
+        rules: requirement.rules || []
+      }]
+    };
+    this.recordSectionChange('_roles', 'role_add', before, options);
+    await this.saveData(`역할 추가: ${name}`);
+    return true;
+  }
+
+  async updateRoleOrder(name, order, options = {}) {
+    const before = cloneValue(this.data._roles);
+    const roles = this.ensureRoles();
+    if (!roles[name]) {
+      return false;
+    }
+    roles[name].order = order;
+    this.recordSectionChange('_roles', 'role_order', before, options);
+    await this.saveData(`역할 순서 변경: ${name}`);
+    return true;
+  }
+
+  // 같은 from의 버전이 있으면 교체, 없으면 새 버전 추가 (이전 달의 판정은 그대로 유지)
+  async setRoleRequirement(name, requirement, options = {}) {
+    const before = cloneValue(this.data._roles);
+    const roles = this.ensureRoles();
+    if (!roles[name]) {
+      return false;
+    }
+    
+    const from = requirement.from || null;
+    this.assertMonthRangeEditable(from, null, options);
+    const requirements = roles[name].requirements.filter(r => (r.from || null) !== from);
+    requirements.push({
+      from: from,
+      total: requirement.total,
+      wednesday: requirement.wednesday,
+      rules: requirement.rules || []
+    });
+    requirements.sort((a, b) => (a.from || '').localeCompare(b.from || ''));
+    roles[name].requirements = requirements;
+    
+    this.recordSectionChange('_roles', 'role_requirement', before, options);
+    await this.saveData(`${name} 출석 조건 변경 (${from || '처음'}부터)`);
+    return true;
+  }
+
+  async deleteRole(name, options = {}) {
+    const before = cloneValue(this.data._roles);
+    const roles = this.ensureRoles();
+    if (!roles[name]) {
+      return false;
+    }
+    delete roles[name];
+    this.recordSectionChange('_roles', 'role_delete', before, options);
+    await this.saveData(`역할 삭제: ${name}`);
+    return true;
+  }
+
+  getRequirementRules() {
+    return this.data._rules || {};
+  }
+
+  isRequirementRuleInUse(id) {
+    const roles = this.getRoles();
+    return Object.keys(roles).some(name => roles[name].requirements.some(r => (r.rules || []).indexOf(id) !== -1));
+  }
+
+  async addRequirementRule(rule, options = {}) {
+    const before = cloneValue(this.data._rules);
+    if (!this.data._rules) {
+      this.data._rules = {};
+    }
+    const id = generateId('req');
+    this.data._rules[id] = Object.assign({}, rule, { id: id });
+    this.recordSectionChange('_rules', 'rule_add', before, options);
+    await this.saveData(`출석 규칙 추가: ${rule.name}`);
+    return this.data._rules[id];
+  }
+
+  async updateRequirementRule(id, rule, options = {}) {
+    const before = cloneValue(this.data._rules);
+    const rules = this.getRequirementRules();
+    if (!rules[id]) {
+      return null;
+    }
+    this.assertMonthRangeEditable(null, null, options);
+    rules[id] = Object.assign({}, rule, { id: id });
+    this.recordSectionChange('_rules', 'rule_update', before, options);
+    await this.saveData(`출석 규칙 변경: ${rule.name}`);
+    return rules[id];
+  }
+
+  async deleteRequirementRule(id, options = {}) {
+    const before = cloneValue(this.data._rules);
+    const rules = this.getRequirementRules();
+    if (!rules[id]) {
+      return false;
+    }
+    this.assertMonthRangeEditable(null, null, options);
+    delete rules[id];
+    this.recordSectionChange('_rules', 'rule_delete', before, options);
+    await this.saveData('출석 규칙 삭제');
+    return true;
+  }
+
+  // 해당 월에 역할이 적용받는 규칙 목록 (total/wednesday 조건 + 참조 규칙)
+  getRulesForRole(role, year, month) {
+    const requirement = this.getRoleRequirements(role, year, month);
+    const registry = this.getRequirementRules();
+    const rules = buildLegacyRequirementRules(requirement);
+    
+    (requirement.rules || []).forEach(id => {
+      if (registry[id]) {
+        rules.push(registry[id]);
+      }
+    });
+    
+    return rules;
+  }
+
+  async setMemberExemption(year, month, memberId, reason, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    this.assertMonthEditable(monthKey, options);
+    if (this.data[monthKey] && this.data[monthKey][memberId]) {
+      const before = cloneValue(this.data[monthKey][memberId].exemption);
+      this.recordChange({
+        action: 'member_exemption',
+        monthKey: monthKey,
+        member: memberId,
+        field: 'exemption',
+        oldValue: before,
+        newValue: reason ? { reason: reason } : undefined
+      }, options);
+      
+      if (reason) {
+        this.data[monthKey][memberId].exemption = { reason: reason };
+        await this.saveData(`${this.getMemberName(memberId)} 출석 조건 면제 (${reason})`);
+      } else {
+        delete this.data[monthKey][memberId].exemption;
+        await this.saveData(`${this.getMemberName(memberId)} 출석 조건 면제 해제`);
+      }
+      return true;
+    }
+    return false;
+  }
+
+  // 사유 결석: 상태를 excused로 바꾸고 사유는 notes에 기록. reason이 없으면 해제(결석으로 되돌림)
+  async setExcusedAbsence(year, month, memberId, date, reason, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    this.assertMonthEditable(monthKey, options);
+    if (this.data[monthKey] && this.data[monthKey][memberId]) {
+      const member = this.data[monthKey][memberId];
+      if (!member.notes) {
+        member.notes = {};
+      }
+      
+      const oldStatus = member.attendance[date];
+      const newStatus = reason ? 'excused' : (oldStatus === 'excused' ? 'absent' : oldStatus);
+      if (newStatus !== oldStatus) {
+        this.recordChange({
+          action: 'excused_absence',
+          monthKey: monthKey,
+          member: memberId,
+          field: 'attendance.' + date,
+          oldValue: oldStatus,
+          newValue: newStatus
+        }, options);
+        member.attendance[date] = newStatus;
+      }
+      this.recordChange({
+        action: 'excused_absence',
+        monthKey: monthKey,
+        member: memberId,
+        field: 'notes.' + date,
+        oldValue: member.notes[date],
+        newValue: reason || undefined
+      }, options);
+      
+      if (reason) {
+        member.notes[date] = reason;
+        await this.saveData(`${this.getMemberName(memberId)} 사유 결석 등록 (${date})`);
+      } else {
+        delete member.notes[date];
+        await this.saveData(`${this.getMemberName(memberId)} 사유 결석 해제 (${date})`);
+      }
+      return true;
+    }
+    return false;
+  }
+
+  // =========================================================================
+  // 월 상태 (open → locked → finalized)
+  //   _months: { 'YYYY-MM': { state, changedAt, changedBy, reason, snapshot } } (open인 달은 항목 없음)
+  //   snapshot: 확정할 때의 세션 날짜, 출석 상태, 역할별 출석 조건과 규칙, 멤버별 통계
+  // 잠기거나 확정된 달을 바꾸는 변경은 관리자 override({ reason })가 있어야 하고, 없으면 MONTH_LOCKED 오류
+  // =========================================================================
+  getMonthState(monthKey) {
+    return (this.data._months || {})[monthKey] || { state: 'open' };
+  }
+
+  // 사본의 멤버별 통계는 빼고 상태만
+  describeMonthState(monthKey) {
+    const entry = this.getMonthState(monthKey);
+    return {
+      monthKey: monthKey,
+      state: entry.state,
+      changedAt: entry.changedAt || null,
+      changedBy: entry.changedBy || null,
+      reason: entry.reason || null,
+      finalizedAt: entry.snapshot ? entry.snapshot.createdAt : null
+    };
+  }
+
+  isMonthEditable(monthKey, options = {}) {
+    return this.getMonthState(monthKey).state === 'open' || !!(options.override && options.override.reason);
+  }
+
+  assertMonthEditable(monthKey, options = {}) {
+    const state = this.getMonthState(monthKey).state;
+    if (state === 'open') return;
+    if (!this.isMonthEditable(monthKey, options)) {
+      throw createMonthLockedError(monthKey, state);
+    }
+    if (state === 'finalized') {
+      this.staleSnapshots[monthKey] = true;
+    }
+  }
+
+  // from~to(YYYY-MM, null이면 끝이 없음) 기간에 잠긴 달이 있으면 그 달들도 override가 필요함
+  assertMonthRangeEditable(from, to, options = {}) {
+    Object.keys(this.data._months || {}).forEach(monthKey => {
+      if ((from && monthKey < from) || (to && monthKey > to)) return;
+      this.assertMonthEditable(monthKey, options);
+    });
+  }
+
+  buildMonthSnapshot(year, month) {
+    const roster = this.data[this.getMonthKey(year, month)] || {};
+    const roles = {};
+    const stats = {};
+    Object.keys(roster).forEach(memberId => {
+      const role = roster[memberId].role;
+      if (!roles[role]) {
+        roles[role] = {
+          requirement: cloneValue(this.getRoleRequirements(role, year, month)),
+          rules: cloneValue(this.getRulesForRole(role, year, month))
+        };
+      }
+      stats[memberId] = this.calculateMonthlyStats(year, month, memberId, true);
+    });
+    
+    return {
+      createdAt: new Date().toISOString(),
+      sessions: this.getMonthDates(year, month),
+      statuses: cloneValue(this.getAttendanceStatuses()),
+      roles: roles,
+      stats: stats
+    };
+  }
+
+  // override로 고친 확정 달은 저장 전에 사본을 다시 만듦 (고친 사유는 감사 로그에 남음)
+  refreshStaleSnapshots() {
+    Object.keys(this.staleSnapshots).forEach(monthKey => {
+      const entry = (this.data._months || {})[monthKey];
+      if (entry && entry.state === 'finalized') {
+        entry.snapshot = this.buildMonthSnapshot(parseInt(monthKey.slice(0, 4)), parseInt(monthKey.slice(5, 7)));
+        this.markDirty('_months');
+      }
+    });
+    this.staleSnapshots = {};
+  }
+
+  // 앞으로(잠금, 확정)는 언제든, 뒤로(다시 열기, 확정 해제)는 사유가 있어야 함
+  async setMonthState(year, month, state, reason, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    if (!this.data[monthKey]) {
+      return { success: false, status: 404, error: 'Month not found' };
+    }
+    
+    const current = this.getMonthState(monthKey);
+    if (current.state === state) {
+      return { success: false, status: 409, error: `Month is already ${state}` };
+    }
+    if (MONTH_STATES.indexOf(state) < MONTH_STATES.indexOf(current.state) && !reason) {
+      return { success: false, status: 400, error: 'reason is required to reopen a month' };
+    }
+    
+    if (!this.data._months) {
+      this.data._months = {};
+    }
+    const before = cloneValue(this.data._months[monthKey]);
+    if (state === 'open') {
+      delete this.data._months[monthKey];
+    } else {
+      this.data._months[monthKey] = {
+        state: state,
+        changedAt: new Date().toISOString(),
+        changedBy: options.actor || 'system',
+        reason: reason || null
+      };
+      if (state === 'finalized') {
+        this.data._months[monthKey].snapshot = this.buildMonthSnapshot(year, month);
+      }
+    }
+    
+    this.recordChange({
+      action: 'month_state',
+      field: '_months.' + monthKey,
+      oldValue: before,
+      newValue: cloneValue(this.data._months[monthKey])
+    }, options);
+    await this.saveData(`${year}년 ${month}월 ${MONTH_STATE_LABELS[state]}${reason ? ' (' + reason + ')' : ''}`);
+    return { success: true, state: this.describeMonthState(monthKey) };
+  }
+
+  async initializeMonth(year, month, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    if (!this.data[monthKey]) {
+      this.data[monthKey] = {};
+      this.recordChange({ action: 'month_init', monthKey: monthKey, oldValue: undefined, newValue: {} }, options);
+      await this.saveData(`${year}년 ${month}월 초기화`);
+    }
+  }
+
+  async addMember(year, month, memberId, role, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    this.assertMonthEditable(monthKey, options);
+    await this.initializeMonth(year, month, options);
+    
+    if (!this.data[monthKey][memberId]) {
+      this.data[monthKey][memberId] = {
+        role: role,
+        attendance: {},
+        activities: [],
+        order: Object.keys(this.data[monthKey]).length
+      };
+      this.recordChange({
+        action: 'member_add',
+        monthKey: monthKey,
+        member: memberId,
+        oldValue: undefined,
+        newValue: cloneValue(this.data[monthKey][memberId])
+      }, options);
+      await this.saveData(`멤버 추가: ${this.getMemberName(memberId)} (${role})`);
+      return true;
+    }
+    return false;
+  }
+
+  async deleteMember(year, month, memberId, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    this.assertMonthEditable(monthKey, options);
+    if (this.data[monthKey] && this.data[monthKey][memberId]) {
+      this.recordChange({
+        action: 'member_delete',
+        monthKey: monthKey,
+        member: memberId,
+        oldValue: cloneValue(this.data[monthKey][memberId]),
+        newValue: undefined
+      }, options);
+      delete this.data[monthKey][memberId];
+      await this.saveData(`멤버 삭제: ${this.getMemberName(memberId)}`);
+      return true;
+    }
+    return false;
+  }
+
+  async updateMemberRole(year, month, memberId, newRole, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    this.assertMonthEditable(monthKey, options);
+    if (this.data[monthKey] && this.data[monthKey][memberId]) {
+      this.recordChange({
+        action: 'member_role',
+        monthKey: monthKey,
+        member: memberId,
+        field: 'role',
+        oldValue: this.data[monthKey][memberId].role,
+        newValue: newRole
+      }, options);
+      this.data[monthKey][memberId].role = newRole;
+      await this.saveData(`${this.getMemberName(memberId)} 역할 변경: ${newRole}`);
+      return true;
+    }
+    return false;
+  }
+
+  async updateMemberOrder(year, month, memberOrders, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    this.assertMonthEditable(monthKey, options);
+    if (this.data[monthKey]) {
+      for (let i = 0; i < memberOrders.length; i++) {
+        const memberOrder = memberOrders[i];
+        const member = this.data[monthKey][memberOrder.memberId];
+        if (member && member.order !== memberOrder.order) {
+          this.recordChange({
+            action: 'member_order',
+            monthKey: monthKey,
+            member: memberOrder.memberId,
+            field: 'order',
+            oldValue: member.order,
+            newValue: memberOrder.order
+          }, options);
+          member.order = memberOrder.order;
+        }
+      }
+      await this.saveData('멤버 순서 변경');
+      return true;
+    }
+    return false;
+  }
+
+  async copyFromPreviousMonth(year, month, options = {}) {
+    const currentMonthKey = this.getMonthKey(year, month);
+    let prevYear = year;
+    let prevMonth = month - 1;
+    
+    if (prevMonth === 0) {
+      prevMonth = 12;
+      prevYear = year - 1;
+    }
+    
+    const prevMonthKey = this.getMonthKey(prevYear, prevMonth);
+    this.assertMonthEditable(currentMonthKey, options);
+    
+    if (this.data[prevMonthKey]) {
+      const before = cloneValue(this.data[currentMonthKey]);
+      this.data[currentMonthKey] = {};
+      
+      // 휴식/탈퇴 상태인 멤버는 새 달 명단에 넣지 않음
+      const prevMembers = Object.keys(this.data[prevMonthKey]).filter(memberId => {
+        const profile = this.getMemberProfile(memberId);
+        return !profile || profile.status === 'active';
+      });
+      for (let i = 0; i < prevMembers.length; i++) {
+        const memberId = prevMembers[i];
+        const memberData = this.data[prevMonthKey][memberId];
+        this.data[currentMonthKey][memberId] = {
+          role: memberData.role,
+          attendance: {},
+          activities: [],
+          order: memberData.order
+        };
+      }
+      
+      this.recordChange({
+        action: 'month_copy',
+        monthKey: currentMonthKey,
+        oldValue: before,
+        newValue: cloneValue(this.data[currentMonthKey])
+      }, options);
+      await this.saveData(`${prevYear}년 ${prevMonth}월 멤버 복사`);
+      return true;
+    }
+    return false;
+  }
+
+  async updateAttendance(year, month, memberId, date, status, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    this.assertMonthEditable(monthKey, options);
+    if (this.data[monthKey] && this.data[monthKey][memberId]) {
+      // 예전 클라이언트의 0/1도 상태 키로 변환
+      const value = normalizeAttendanceStatus(status);
+      this.recordChange({
+        action: 'attendance',
+        monthKey: monthKey,
+        member: memberId,
+        field: 'attendance.' + date,
+        oldValue: this.data[monthKey][memberId].attendance[date],
+        newValue: value
+      }, options);
+      this.data[monthKey][memberId].attendance[date] = value;
+      await this.saveData(`${this.getMemberName(memberId)} 출석 업데이트 (${date})`);
+      return true;
+    }
+    return false;
+  }
+
+  // 오프라인에서 모아 둔 출석 변경처럼 다른 사람의 변경과 엇갈렸을 수 있는 변경. 칸(멤버+날짜)마다 따로 판단함
+  //   baseStatus: 클라이언트가 바꾸기 전에 보던 값. 서버 값이 그대로일 때만 반영 (생략하면 덮어씀)
+  //   반환: { result: 'applied' | 'unchanged' | 'conflict', serverStatus }
+  // 저장은 호출하는 쪽에서 모아서 한 번에 함
+  applyAttendanceChange(year, month, memberId, date, status, baseStatus, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    this.assertMonthEditable(monthKey, options);
+    const attendance = this.data[monthKey][memberId].attendance;
+    const current = normalizeAttendanceStatus(attendance[date]) || 'absent';
+    const value = normalizeAttendanceStatus(status);
+    
+    if (current === value) {
+      return { result: 'unchanged', serverStatus: current };
+    }
+    if (baseStatus !== undefined && baseStatus !== null && normalizeAttendanceStatus(baseStatus) !== current) {
+      return { result: 'conflict', serverStatus: current };
+    }
+    
+    this.recordChange({
+      action: 'attendance',
+      monthKey: monthKey,
+      member: memberId,
+      field: 'attendance.' + date,
+      oldValue: attendance[date],
+      newValue: value
+    }, options);
+    attendance[date] = value;
+    return { result: 'applied', serverStatus: value };
+  }
+
+  // 기타 활동 (대회 지원, 촬영, 행사 스태프 등). 월 명단 멤버별 activities 배열에 저장
+  validateActivity(activity, monthKey) {
+    if (activity.date !== undefined && activity.date !== null) {
+      if (!isValidDateKey(activity.date)) {
+        return 'date must be YYYY-MM-DD';
+      }
+      if (!activity.date.startsWith(monthKey)) {
+        return 'date must be in ' + monthKey;
+      }
+    }
+    if (activity.type !== undefined && !EXTRA_ACTIVITY_TYPES[activity.type]) {
+      return 'type must be one of ' + Object.keys(EXTRA_ACTIVITY_TYPES).join(', ');
+    }
+    if (activity.description !== undefined && activity.description !== null && typeof activity.description !== 'string') {
+      return 'description must be a string';
+    }
+    if (activity.credit !== undefined && (typeof activity.credit !== 'number' || activity.credit < 0)) {
+      return 'credit must be a non-negative number';
+    }
+    return null;
+  }
+
+  findActivity(activityId) {
+    const monthKeys = Object.keys(this.data).filter(key => MONTH_KEY_PATTERN.test(key));
+    for (let i = 0; i < monthKeys.length; i++) {
+      const roster = this.data[monthKeys[i]];
+      const memberIds = Object.keys(roster);
+      for (let j = 0; j < memberIds.length; j++) {
+        const activities = roster[memberIds[j]].activities || [];
+        const index = activities.findIndex(activity => activity.id === activityId);
+        if (index !== -1) {
+          return { monthKey: monthKeys[i], memberId: memberIds[j], activity: activities[index], index: index };
+        }
+      }
+    }
+    return null;
+  }
+
+  getMonthActivities(year, month) {
+    const roster = this.data[this.getMonthKey(year, month)] || {};
+    const activities = [];
+    Object.keys(roster).forEach(memberId => {
+      (roster[memberId].activities || []).forEach(activity => {
+        activities.push(Object.assign({ memberId: memberId, name: this.getMemberName(memberId) }, activity));
+      });
+    });
+    return activities.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  }
+
+  async addActivity(year, month, memberId, activity, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    this.assertMonthEditable(monthKey, options);
+    const member = this.data[monthKey] && this.data[monthKey][memberId];
+    if (!member) {
+      return null;
+    }
+    
+    const before = cloneValue(member.activities);
+    const newActivity = {
+      id: generateId('activity'),
+      date: activity.date || null,
+      type: activity.type || 'other',
+      description: activity.description || null,
+      credit: activity.credit !== undefined ? activity.credit : 1
+    };
+    member.activities = (member.activities || []).concat([newActivity]);
+    
+    this.recordChange({
+      action: 'activity_add',
+      monthKey: monthKey,
+      member: memberId,
+      field: 'activities',
+      oldValue: before,
+      newValue: cloneValue(member.activities)
+    }, options);
+    await this.saveData(`${this.getMemberName(memberId)} 기타 활동 추가: ${EXTRA_ACTIVITY_TYPES[newActivity.type]}${newActivity.date ? ' (' + newActivity.date + ')' : ''}`);
+    return newActivity;
+  }
+
+  async updateActivity(activityId, updates, options = {}) {
+    const found = this.findActivity(activityId);
+    if (!found) {
+      return null;
+    }
+    this.assertMonthEditable(found.monthKey, options);
+    
+    const member = this.data[found.monthKey][found.memberId];
+    const before = cloneValue(member.activities);
+    ['date', 'type', 'description', 'credit'].forEach(field => {
+      if (updates[field] !== undefined) {
+        found.activity[field] = updates[field];
+      }
+    });
+    
+    this.recordChange({
+      action: 'activity_update',
+      monthKey: found.monthKey,
+      member: found.memberId,
+      field: 'activities',
+      oldValue: before,
+      newValue: cloneValue(member.activities)
+    }, options);
+    await this.saveData(`${this.getMemberName(found.memberId)} 기타 활동 변경`);
+    return found.activity;
+  }
+
+  async deleteActivity(activityId, options = {}) {
+    const found = this.findActivity(activityId);
+    if (!found) {
+      return false;
+    }
+    this.assertMonthEditable(found.monthKey, options);
+    
+    const member = this.data[found.monthKey][found.memberId];
+    const before = cloneValue(member.activities);
+    member.activities.splice(found.index, 1);
+    
+    this.recordChange({
+      action: 'activity_delete',
+      monthKey: found.monthKey,
+      member: found.memberId,
+      field: 'activities',
+      oldValue: before,
+      newValue: cloneValue(member.activities)
+    }, options);
+    await this.saveData(`${this.getMemberName(found.memberId)} 기타 활동 삭제`);
+    return true;
+  }
+
+  // 월 명단 (멤버 ID별, 표시용 name 포함)
+  getMonthMembers(year, month) {
+    const monthKey = this.getMonthKey(year, month);
+    const roster = this.data[monthKey] || {};
+    const members = {};
+    Object.keys(roster).forEach(memberId => {
+      members[memberId] = Object.assign({ name: this.getMemberName(memberId) }, roster[memberId]);
+    });
+    return members;
+  }
+
+  getSchedule() {
+    return this.data._schedule || JSON.parse(JSON.stringify(DEFAULT_SCHEDULE));
+  }
+
+  ensureSchedule() {
+    if (!this.data._schedule) {
+      this.data._schedule = JSON.parse(JSON.stringify(DEFAULT_SCHEDULE));
+    }
+    return this.data._schedule;
+  }
+
+  validateScheduleRule(rule) {
+    if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0) {
+      return 'weekdays must be a non-empty array';
+    }
+    for (let i = 0; i < rule.weekdays.length; i++) {
+      const weekday = rule.weekdays[i];
+      if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        return 'weekdays must be integers between 0 and 6';
+      }
+    }
+    if (rule.from && !MONTH_KEY_PATTERN.test(rule.from)) {
+      return 'from must be YYYY-MM';
+    }
+    if (rule.to && !MONTH_KEY_PATTERN.test(rule.to)) {
+      return 'to must be YYYY-MM';
+    }
+    if (rule.from && rule.to && rule.from > rule.to) {
+      return 'from must not be after to';
+    }
+    return null;
+  }
+
+  // 해당 월에 적용되는 요일 규칙 (기간이 겹치면 시작월이 가장 늦은 규칙 우선)
+  getScheduleRuleForMonth(monthKey) {
+    const rules = this.getSchedule().rules;
+    let selected = null;
+    
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      if (rule.from && rule.from > monthKey) continue;
+      if (rule.to && rule.to < monthKey) continue;
+      if (!selected || (rule.from || '') >= (selected.from || '')) {
+        selected = rule;
+      }
+    }
+    
+    return selected;
+  }
+
+  async addScheduleRule(rule, options = {}) {
+    this.assertMonthRangeEditable(rule.from || null, rule.to || null, options);
+    const before = cloneValue(this.data._schedule);
+    const schedule = this.ensureSchedule();
+    const newRule = {
+      id: generateId('rule'),
+      from: rule.from || null,
+      to: rule.to || null,
+      weekdays: rule.weekdays.slice().sort((a, b) => a - b)
+    };
+    schedule.rules.push(newRule);
+    this.recordSectionChange('_schedule', 'schedule_rule_add', before, options);
+    await this.saveData(`일정 규칙 추가 (${newRule.from || '처음'} ~ ${newRule.to || '계속'})`);
+    return newRule;
+  }
+
+  async updateScheduleRule(id, updates, options = {}) {
+    const before = cloneValue(this.data._schedule);
+    const schedule = this.ensureSchedule();
+    const rule = schedule.rules.find(r => r.id === id);
+    if (!rule) {
+      return null;
+    }
+    // 바뀌기 전 기간과 바뀐 뒤 기간 모두 세션 날짜가 달라질 수 있음
+    this.assertMonthRangeEditable(rule.from, rule.to, options);
+    this.assertMonthRangeEditable(updates.from !== undefined ? updates.from || null : rule.from, updates.to !== undefined ? updates.to || null : rule.to, options);
+    
+    if (updates.from !== undefined) rule.from = updates.from || null;
+    if (updates.to !== undefined) rule.to = updates.to || null;
+    if (updates.weekdays !== undefined) rule.weekdays = updates.weekdays.slice().sort((a, b) => a - b);
+    
+    this.recordSectionChange('_schedule', 'schedule_rule_update', before, options);
+    await this.saveData(`일정 규칙 변경 (${rule.from || '처음'} ~ ${rule.to || '계속'})`);
+    return rule;
+  }
+
+  async deleteScheduleRule(id, options = {}) {
+    const before = cloneValue(this.data._schedule);
+    const schedule = this.ensureSchedule();
+    const index = schedule.rules.findIndex(r => r.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.assertMonthRangeEditable(schedule.rules[index].from, schedule.rules[index].to, options);
+    schedule.rules.splice(index, 1);
+    this.recordSectionChange('_schedule', 'schedule_rule_delete', before, options);
+    await this.saveData('일정 규칙 삭제');
+    return true;
+  }
+
+  async setScheduleException(date, exception, options = {}) {
+    this.assertMonthEditable(date.slice(0, 7), options);
+    const before = cloneValue(this.data._schedule);
+    const schedule = this.ensureSchedule();
+    schedule.exceptions[date] = {
+      type: exception.type,
+      label: exception.label || null,
+      reason: exception.reason || null
+    };
+    this.recordSectionChange('_schedule', 'schedule_exception_set', before, options);
+    await this.saveData(`일정 예외 설정: ${date} (${exception.type})`);
+    return schedule.exceptions[date];
+  }
+
+  async deleteScheduleException(date, options = {}) {
+    this.assertMonthEditable(date.slice(0, 7), options);
+    const before = cloneValue(this.data._schedule);
+    const schedule = this.ensureSchedule();
+    if (!schedule.exceptions[date]) {
+      return false;
+    }
+    delete schedule.exceptions[date];
+    this.recordSectionChange('_schedule', 'schedule_exception_delete', before, options);
+    await this.saveData(`일정 예외 삭제: ${date}`);
+    return true;
+  }
+
+  // 세션(날짜)별 메타데이터: 장소, 코스, 거리, 메모, 리드 페이서, 페이스 그룹별 페이서 배정
+  getSessionMetadata() {
+    return this.data._sessions || {};
+  }
+
+  ensureSessionMetadata() {
+    if (!this.data._sessions) {
+      this.data._sessions = {};
+    }
+    return this.data._sessions;
+  }
+
+  validateSessionMeta(meta) {
+    const textFields = ['location', 'course', 'notes'];
+    for (let i = 0; i < textFields.length; i++) {
+      const value = meta[textFields[i]];
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        return textFields[i] + ' must be a string';
+      }
+    }
+    if (meta.distance !== undefined && meta.distance !== null && (typeof meta.distance !== 'number' || meta.distance < 0)) {
+      return 'distance must be a non-negative number (km)';
+    }
+    if (meta.leadPacer && !this.getMemberProfile(meta.leadPacer)) {
+      return 'Unknown leadPacer: ' + meta.leadPacer;
+    }
+    if (meta.paceGroups !== undefined) {
+      if (!Array.isArray(meta.paceGroups)) {
+        return 'paceGroups must be an array';
+      }
+      for (let i = 0; i < meta.paceGroups.length; i++) {
+        const group = meta.paceGroups[i];
+        if (!group || typeof group.name !== 'string' || !group.name.trim()) {
+          return 'Each pace group needs a name';
+        }
+        if (group.pacers !== undefined && !Array.isArray(group.pacers)) {
+          return 'pacers must be an array of member ids';
+        }
+        const unknown = (group.pacers || []).filter(memberId => !this.getMemberProfile(memberId));
+        if (unknown.length > 0) {
+          return 'Unknown pacers: ' + unknown.join(', ');
+        }
+        if (group.minPacers !== undefined && (!Number.isInteger(group.minPacers) || group.minPacers < 0)) {
+          return 'minPacers must be a non-negative integer';
+        }
+      }
+    }
+    return null;
+  }
+
+  async setSessionMeta(date, meta, options = {}) {
+    this.assertMonthEditable(date.slice(0, 7), options);
+    const before = cloneValue(this.data._sessions);
+    const sessions = this.ensureSessionMetadata();
+    const current = sessions[date] || {};
+    
+    const pick = (field, fallback) => meta[field] !== undefined ? meta[field] : (current[field] !== undefined ? current[field] : fallback);
+    const paceGroups = meta.paceGroups !== undefined
+      ? meta.paceGroups.map(group => ({
+        id: group.id || generateId('pace'),
+        name: group.name.trim(),
+        pace: group.pace || null,
+        pacers: (group.pacers || []).filter((memberId, index, list) => list.indexOf(memberId) === index),
+        minPacers: group.minPacers !== undefined ? group.minPacers : DEFAULT_PACE_GROUP_MIN_PACERS
+      }))
+      : (current.paceGroups || []);
+    
+    sessions[date] = {
+      location: pick('location', null),
+      course: pick('course', null),
+      distance: pick('distance', null),
+      notes: pick('notes', null),
+      leadPacer: pick('leadPacer', null),
+      paceGroups: paceGroups
+    };
+    
+    this.recordSectionChange('_sessions', 'session_update', before, options);
+    await this.saveData(`세션 정보 변경: ${date}`);
+    return sessions[date];
+  }
+
+  async deleteSessionMeta(date, options = {}) {
+    this.assertMonthEditable(date.slice(0, 7), options);
+    const before = cloneValue(this.data._sessions);
+    const sessions = this.ensureSessionMetadata();
+    if (!sessions[date]) {
+      return false;
+    }
+    delete sessions[date];
+    this.recordSectionChange('_sessions', 'session_delete', before, options);
+    await this.saveData(`세션 정보 삭제: ${date}`);
+    return true;
+  }
+
+  // 해당 월 세션 목록에 메타데이터, 출석 인원, 페이스 그룹별 페이서 출석 현황을 붙임.
+  // 지난 세션 중 배정된 페이서가 그룹 최소 인원보다 적게 온 경우 understaffed로 표시
+  getSessionSummaries(year, month) {
+    const roster = this.data[this.getMonthKey(year, month)] || {};
+    const memberIds = Object.keys(roster);
+    const metadata = this.getSessionMetadata();
+    const today = ClubDate.today();
+    
+    return this.getMonthSessions(year, month).map(session => {
+      const meta = metadata[session.date] || null;
+      const attended = memberId => !!roster[memberId] && this.isAttendedStatus(roster[memberId].attendance[session.date]);
+      const past = session.date <= today;
+      
+      const paceGroups = (meta ? meta.paceGroups : []).map(group => {
+        const attendedPacers = group.pacers.filter(attended);
+        return Object.assign({}, group, {
+          pacerNames: group.pacers.map(memberId => this.getMemberName(memberId)),
+          attendedPacers: attendedPacers,
+          understaffed: past && attendedPacers.length < group.minPacers
+        });
+      });
+      
+      return Object.assign({}, session, {
+        meta: meta ? Object.assign({}, meta, {
+          leadPacerName: meta.leadPacer ? this.getMemberName(meta.leadPacer) : null,
+          paceGroups: paceGroups
+        }) : null,
+        headcount: memberIds.filter(attended).length,
+        pacersRequired: paceGroups.reduce((sum, group) => sum + group.minPacers, 0),
+        pacersAttended: paceGroups.reduce((sum, group) => sum + group.attendedPacers.length, 0),
+        understaffed: paceGroups.some(group => group.understaffed)
+      });
+    });
+  }
+
+  // 예외를 적용하기 전, 요일 규칙에 따른 해당 월의 세션 날짜
+  getScheduledDates(year, month) {
+    const rule = this.getScheduleRuleForMonth(this.getMonthKey(year, month));
+    return rule ? ClubDate.getMonthDates(year, month, rule.weekdays) : [];
+  }
+
+  // 요일 규칙과 날짜별 예외(취소/추가/라벨 변경)를 적용한 해당 월의 세션 목록
+  getMonthSessions(year, month) {
+    const monthKey = this.getMonthKey(year, month);
+    const schedule = this.getSchedule();
+    const sessions = {};
+    this.getScheduledDates(year, month).forEach(dateStr => {
+      sessions[dateStr] = { date: dateStr, label: null, type: 'regular', reason: null };
+    });
+    
+    const exceptionDates = Object.keys(schedule.exceptions);
+    for (let i = 0; i < exceptionDates.length; i++) {
+      const dateStr = exceptionDates[i];
+      if (!dateStr.startsWith(monthKey)) continue;
+      
+      const exception = schedule.exceptions[dateStr];
+      if (exception.type === 'cancel') {
+        delete sessions[dateStr];
+      } else if (exception.type === 'add') {
+        sessions[dateStr] = { date: dateStr, label: exception.label, type: 'extra', reason: exception.reason };
+      } else if (exception.type === 'relabel' && sessions[dateStr]) {
+        sessions[dateStr].label = exception.label;
+        sessions[dateStr].reason = exception.reason;
+      }
+    }
+    
+    return Object.keys(sessions).sort().map(dateStr => sessions[dateStr]);
+  }
+
+  getMonthDates(year, month) {
+    return this.getMonthSessions(year, month).map(session => session.date);
+  }
+
+  // 확정된 달은 확정할 때 보관한 통계를 돌려줌 (이후 출석 조건이나 상태 가중치가 바뀌어도 발표한 결과 유지)
+  // live: 보관한 통계 대신 지금 데이터로 계산 (사본을 만들 때)
+  calculateMonthlyStats(year, month, memberId, live = false) {
+    const monthKey = this.getMonthKey(year, month);
+    const members = this.data[monthKey] || {};
+    
+    const snapshot = live ? null : this.getMonthState(monthKey).snapshot;
+    if (snapshot && snapshot.stats[memberId]) {
+      return cloneValue(snapshot.stats[memberId]);
+    }
+    
+    if (!members[memberId]) {
+      return { 
+        total: 0, 
+        regular: 0,
+        wednesday: 0, 
+        extra: 0,
+        activities: 0,
+        meets_requirement: false,
+        exempt: false,
+        status_counts: {},
+        rule_results: [],
+        failed_rules: []
+      };
+    }
+  
+    const member = members[memberId];
+    const role = member.role;
+    const attendance = member.attendance;
+    const activities = member.activities || [];
+    
+    const monthDates = this.getMonthDates(year, month);
+    
+    let totalAttendance = 0;
+    let wednesdayAttendance = 0;
+    
+    // 정규 날짜 출석 계산 (출석 상태의 가중치 합, 중립 상태는 사유 결석으로 취급)
+    const sessions = [];
+    const weights = {};
+    const excusedDates = [];
+    const statusCounts = {};
+    for (let i = 0; i < monthDates.length; i++) {
+      const dateStr = monthDates[i];
+      const weekday = ClubDate.getWeekday(dateStr);
+      const status = attendance[dateStr];
+      const weight = status === undefined ? 0 : this.getStatusWeight(status);
+      sessions.push({ date: dateStr, weekday: weekday });
+      weights[dateStr] = weight;
+      
+      if (status !== undefined) {
+        statusCounts[status] = (statusCounts[status] || 0) + 1;
+      }
+      if (weight === null) {
+        excusedDates.push(dateStr);
+      } else if (weight > 0) {
+        totalAttendance += weight;
+        
+        if (weekday === 3) {
+          wednesdayAttendance += weight;
+        }
+      }
+    }
+    
+    // 기타 활동 credit 합계
+    const extraCount = activities.reduce((sum, activity) => sum + (activity.credit || 0), 0);
+    
+    // 전체 출석 = 정규 출석 + 기타 참여
+    const totalWithExtra = totalAttendance + extraCount;
+    
+    const requirements = this.getRoleRequirements(role, year, month);
+    const context = {
+      sessions: sessions,
+      weights: weights,
+      extraCount: extraCount,
+      excusedDates: excusedDates
+    };
+    const ruleResults = this.getRulesForRole(role, year, month).map(rule => evaluateRequirementRule(rule, context));
+    const failedRules = ruleResults.filter(result => !result.passed);
+    
+    // 면제된 멤버는 규칙 결과와 관계없이 조건 충족
+    const exempt = !!member.exemption;
+    const meetsRequirement = exempt || failedRules.length === 0;
+    
+    return {
+      total: totalWithExtra, // 기타 참여 포함한 전체
+      regular: totalAttendance, // 정규 출석만
+      wednesday: wednesdayAttendance,
+      extra: extraCount,
+      activities: activities.length,
+      meets_requirement: meetsRequirement,
+      required_total: requirements.total,
+      required_wednesday: requirements.wednesday,
+      exempt: exempt,
+      exemption_reason: exempt ? member.exemption.reason : null,
+      status_counts: statusCounts,
+      rule_results: ruleResults,
+      failed_rules: exempt ? [] : failedRules.map(result => result.message)
+    };
+  }
+
+  // 출석 조건 전망: date(클럽 날짜, 포함) 이후 아직 기록이 없는 세션에 모두 나온다고 보고
+  //   met: 이미 충족, behind: 남은 세션으로 충족 가능, unreachable: 이번 달 안에 충족 불가, exempt: 면제
+  // 지난달(closed)이면 남은 세션이 없으므로 미충족 멤버는 모두 unreachable
+  getRequirementOutlook(year, month, date = ClubDate.today()) {
+    const monthKey = this.getMonthKey(year, month);
+    const roster = this.data[monthKey] || {};
+    const monthDates = this.getMonthDates(year, month);
+    const closed = date > ClubDate.formatDateKey(year, month, ClubDate.getDaysInMonth(year, month));
+    const outlook = {
+      monthKey: monthKey,
+      date: date,
+      closed: closed,
+      sessions: { total: monthDates.length, remaining: monthDates.filter(sessionDate => sessionDate >= date).length },
+      met: [],
+      behind: [],
+      unreachable: [],
+      exempt: []
+    };
+    
+    Object.keys(roster)
+      .sort((a, b) => (roster[a].order || 0) - (roster[b].order || 0))
+      .forEach(memberId => {
+        const entry = roster[memberId];
+        const member = { memberId: memberId, name: this.getMemberName(memberId), role: entry.role };
+        const stats = this.calculateMonthlyStats(year, month, memberId);
+        if (stats.exempt) {
+          outlook.exempt.push(Object.assign(member, { reason: stats.exemption_reason }));
+          return;
+        }
+        if (stats.meets_requirement) {
+          outlook.met.push(member);
+          return;
+        }
+        
+        member.rules = this.projectMemberRules(year, month, memberId, stats, date);
+        outlook[member.rules.every(rule => rule.reachable) ? 'behind' : 'unreachable'].push(member);
+      });
+    
+    return outlook;
+  }
+
+  // 멤버의 미충족 규칙마다 date(포함) 이후 아직 기록이 없는 세션으로 채울 수 있는지 (stats: calculateMonthlyStats 결과)
+  projectMemberRules(year, month, memberId, stats, date) {
+    const monthKey = this.getMonthKey(year, month);
+    const entry = this.data[monthKey][memberId];
+    const statuses = this.getAttendanceStatuses();
+    const maxWeight = Object.keys(statuses).reduce((max, key) => Math.max(max, statuses[key].weight || 0), 0);
+    const snapshot = this.getMonthState(monthKey).snapshot;
+    const closed = date > ClubDate.formatDateKey(year, month, ClubDate.getDaysInMonth(year, month));
+    
+    const remainingSessions = this.getMonthDates(year, month)
+      .filter(sessionDate => sessionDate >= date && entry.attendance[sessionDate] === undefined)
+      .map(sessionDate => ({ date: sessionDate, weekday: ClubDate.getWeekday(sessionDate) }));
+    // 확정된 달의 통계는 사본이므로 규칙도 사본의 것과 맞춤
+    const rules = snapshot && snapshot.roles[entry.role] ? snapshot.roles[entry.role].rules : this.getRulesForRole(entry.role, year, month);
+    return stats.rule_results
+      .map((result, index) => result.passed ? null : projectRequirementRule(rules[index], result, remainingSessions, maxWeight, stats.extra, closed))
+      .filter(rule => rule);
+  }
+
+  // 멤버 개인 페이지: date(클럽 날짜)가 속한 달의 출석과 출석 조건, 남은 세션, 지난달 기록
+  //   current: 그 달 명단에 없으면 null
+  getMemberPortal(memberId, date = ClubDate.today()) {
+    const { year, month } = ClubDate.parseDateKey(date);
+    const monthKey = this.getMonthKey(year, month);
+    const profile = this.getMemberProfile(memberId);
+    const entry = (this.data[monthKey] || {})[memberId];
+    
+    let current = null;
+    if (entry) {
+      const stats = this.calculateMonthlyStats(year, month, memberId);
+      const sessions = this.getMonthSessions(year, month).map(session => ({
+        date: session.date,
+        label: session.label,
+        status: entry.attendance[session.date] === undefined ? null : entry.attendance[session.date],
+        note: (entry.notes || {})[session.date] || null
+      }));
+      current = {
+        monthKey: monthKey,
+        year: year,
+        month: month,
+        role: entry.role,
+        state: this.getMonthState(monthKey).state,
+        stats: stats,
+        rules: stats.meets_requirement ? [] : this.projectMemberRules(year, month, memberId, stats, date),
+        sessions: sessions,
+        remaining: sessions.filter(session => session.date >= date)
+      };
+    }
+    
+    const history = this.getMemberHistory(memberId);
+    return {
+      member: { id: memberId, name: profile.name, status: profile.status },
+      date: date,
+      statuses: this.getAttendanceStatuses(),
+      current: current,
+      history: {
+        months: history.months.filter(entry => entry.monthKey < monthKey).reverse(),
+        totals: history.totals
+      }
+    };
+  }
+
+  // from~to(YYYY-MM) 사이의 월 키 목록 (데이터가 없는 월도 포함)
+  getMonthKeysInRange(from, to) {
+    const monthKeys = [];
+    let year = parseInt(from.slice(0, 4));
+    let month = parseInt(from.slice(5, 7));
+    
+    while (this.getMonthKey(year, month) <= to) {
+      monthKeys.push(this.getMonthKey(year, month));
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+    
+    return monthKeys;
+  }
+
+  // 데이터가 있는 첫 달과 마지막 달 (memberId를 주면 해당 멤버가 명단에 있던 달 기준)
+  getDataMonthRange(memberId) {
+    const monthKeys = Object.keys(this.data)
+      .filter(key => MONTH_KEY_PATTERN.test(key))
+      .filter(key => !memberId || this.data[key][memberId])
+      .sort();
+    
+    if (monthKeys.length === 0) {
+      return null;
+    }
+    return { from: monthKeys[0], to: monthKeys[monthKeys.length - 1] };
+  }
+
+  // 기간 통계: 멤버별 합계, 조건 충족/미충족 월, 연속 충족 기록, 요일별 출석률과 날짜별 전체 출석 인원
+  calculateRangeStats(from, to) {
+    const monthKeys = this.getMonthKeysInRange(from, to);
+    const today = ClubDate.today();
+    const members = {};
+    const months = [];
+    const sessions = [];
+    
+    const getAccumulator = (memberId) => {
+      if (!members[memberId]) {
+        members[memberId] = {
+          id: memberId,
+          name: this.getMemberName(memberId),
+          months: 0,
+          regular: 0,
+          extra: 0,
+          total: 0,
+          metMonths: 0,
+          failedMonths: 0,
+          exemptMonths: 0,
+          currentStreak: 0,
+          longestStreak: 0,
+          weekdays: {},
+          monthly: []
+        };
+      }
+      return members[memberId];
+    };
+    
+    for (let i = 0; i < monthKeys.length; i++) {
+      const monthKey = monthKeys[i];
+      const year = parseInt(monthKey.slice(0, 4));
+      const month = parseInt(monthKey.slice(5, 7));
+      const roster = this.data[monthKey] || {};
+      const memberIds = Object.keys(roster);
+      const monthSessions = this.data[monthKey] ? this.getMonthSessions(year, month) : [];
+      const summary = { monthKey: monthKey, members: memberIds.length, sessions: monthSessions.length, attendance: 0, metMembers: 0 };
+      
+      // 날짜별 전체 출석 인원
+      for (let j = 0; j < monthSessions.length; j++) {
+        const session = monthSessions[j];
+        const count = memberIds.filter(memberId => this.isAttendedStatus(roster[memberId].attendance[session.date])).length;
+        sessions.push({
+          date: session.date,
+          label: session.label,
+          type: session.type,
+          weekday: ClubDate.getWeekday(session.date),
+          count: count,
+          rosterSize: memberIds.length
+        });
+      }
+      
+      for (let j = 0; j < memberIds.length; j++) {
+        const memberId = memberIds[j];
+        const attendance = roster[memberId].attendance;
+        const stats = this.calculateMonthlyStats(year, month, memberId);
+        const acc = getAccumulator(memberId);
+        
+        acc.months++;
+        acc.regular += stats.regular;
+        acc.extra += stats.extra;
+        acc.total += stats.total;
+        if (stats.meets_requirement) {
+          acc.metMonths++;
+          summary.metMembers++;
+        } else {
+          acc.failedMonths++;
+        }
+        if (stats.exempt) {
+          acc.exemptMonths++;
+        }
+        summary.attendance += stats.regular;
+        acc.monthly.push({
+          monthKey: monthKey,
+          role: roster[memberId].role,
+          regular: stats.regular,
+          extra: stats.extra,
+          total: stats.total,
+          sessions: monthSessions.length,
+          meets_requirement: stats.meets_requirement,
+          exempt: stats.exempt
+        });
+        
+        // 아직 지나지 않은 세션은 출석률 분모에서 제외
+        for (let k = 0; k < monthSessions.length; k++) {
+          const session = monthSessions[k];
+          if (session.date > today) continue;
+          
+          const weekday = ClubDate.getWeekday(session.date);
+          if (!acc.weekdays[weekday]) {
+            acc.weekdays[weekday] = { sessions: 0, attended: 0 };
+          }
+          acc.weekdays[weekday].sessions++;
+          if (this.isAttendedStatus(attendance[session.date])) {
+            acc.weekdays[weekday].attended++;
+          }
+        }
+      }
+      
+      // 연속 충족은 달력상 연속된 월 기준 (명단에 없던 달이 있으면 끊김)
+      const accIds = Object.keys(members);
+      for (let j = 0; j < accIds.length; j++) {
+        const acc = members[accIds[j]];
+        const entry = acc.monthly[acc.monthly.length - 1];
+        if (entry && entry.monthKey === monthKey && entry.meets_requirement) {
+          acc.currentStreak++;
+          acc.longestStreak = Math.max(acc.longestStreak, acc.currentStreak);
+        } else {
+          acc.currentStreak = 0;
+        }
+      }
+      
+      months.push(summary);
+    }
+    
+    const memberList = Object.keys(members).map(memberId => {
+      const acc = members[memberId];
+      const weekdayRates = Object.keys(acc.weekdays).map(weekday => {
+        const entry = acc.weekdays[weekday];
+        return {
+          weekday: parseInt(weekday),
+          sessions: entry.sessions,
+          attended: entry.attended,
+          rate: entry.sessions > 0 ? entry.attended / entry.sessions : null
+        };
+      });
+      const pastSessions = weekdayRates.reduce((sum, entry) => sum + entry.sessions, 0);
+      const attended = weekdayRates.reduce((sum, entry) => sum + entry.attended, 0);
+      
+      delete acc.weekdays;
+      acc.weekdayRates = weekdayRates;
+      acc.attendanceRate = pastSessions > 0 ? attended / pastSessions : null;
+      return acc;
+    });
+    memberList.sort((a, b) => b.total - a.total || a.name.localeCompare(b.name, 'ko'));
+    
+    // 클럽 전체 요일별 출석률
+    const clubWeekdays = {};
+    for (let i = 0; i < memberList.length; i++) {
+      const rates = memberList[i].weekdayRates;
+      for (let j = 0; j < rates.length; j++) {
+        const entry = clubWeekdays[rates[j].weekday] || { weekday: rates[j].weekday, sessions: 0, attended: 0 };
+        entry.sessions += rates[j].sessions;
+        entry.attended += rates[j].attended;
+        clubWeekdays[rates[j].weekday] = entry;
+      }
+    }
+    
+    return {
+      from: from,
+      to: to,
+      months: months,
+      members: memberList,
+      sessions: sessions,
+      weekdayRates: Object.keys(clubWeekdays).map(weekday => {
+        const entry = clubWeekdays[weekday];
+        entry.rate = entry.sessions > 0 ? entry.attended / entry.sessions : null;
+        return entry;
+      })
+    };
+  }
+
+  // =========================================================================
+  // 데이터 정합성 점검: 분류(INTEGRITY_CATEGORIES)별 문제 목록과 자동 수정
+  // =========================================================================
+  // 문제 항목: { type, monthKey, memberId, memberName, key, date, target, value, message }
+  //   type: top_level | member | field | attendance | notes | activity | order | role | session | schedule_exception
+  //   moves: shiftedDates에서 그 달에 옮길 키 목록 [{ date, target }] (type: roster | session | schedule_exception)
+  checkIntegrity() {
+    const issues = {};
+    Object.keys(INTEGRITY_CATEGORIES).forEach(category => {
+      issues[category] = [];
+    });
+    const statuses = this.getAttendanceStatuses();
+    const exceptions = this.getSchedule().exceptions;
+    const exceptionDates = Object.keys(exceptions);
+    
+    Object.keys(this.data).forEach(key => {
+      if (MONTH_KEY_PATTERN.test(key) || DATA_SECTIONS.indexOf(key) !== -1) return;
+      issues.orphanKeys.push({ type: 'top_level', key: key, message: `알 수 없는 최상위 키 '${key}'` });
+    });
+    
+    Object.keys(this.data).filter(key => MONTH_KEY_PATTERN.test(key)).sort().forEach(monthKey => {
+      const roster = this.data[monthKey];
+      if (!isPlainObject(roster)) return;
+      
+      const sessionDates = this.getMonthDates(parseInt(monthKey.slice(0, 4)), parseInt(monthKey.slice(5, 7)));
+      const orders = {};
+      
+      // 밀린 키는 한 멤버만 봐서는 알 수 없으므로 명단 전체의 출석/메모 키로 판단하고, 옮길 키는 아래 날짜 점검에서 뺌
+      const rosterKeys = [];
+      Object.keys(roster).forEach(memberId => {
+        const entry = roster[memberId];
+        if (!isPlainObject(entry)) return;
+        ['attendance', 'notes'].forEach(field => {
+          if (isPlainObject(entry[field])) {
+            Object.keys(entry[field]).forEach(key => rosterKeys.push(key));
+          }
+        });
+      });
+      const shiftedMoves = findShiftedMonthDates(monthKey, rosterKeys, sessionDates, exceptionDates);
+      const shiftedKeys = shiftedMoves ? shiftedMoves.map(move => move.date) : [];
+      if (shiftedMoves) {
+        issues.shiftedDates.push({ type: 'roster', monthKey: monthKey, moves: shiftedMoves, message: describeShiftedMoves('출석 기록과 메모', shiftedMoves) });
+      }
+      
+      Object.keys(roster).forEach(memberId => {
+        const entry = roster[memberId];
+        if (!isPlainObject(entry)) return;
+        
+        const add = (category, issue) => issues[category].push(Object.assign({
+          monthKey: monthKey,
+          memberId: memberId,
+          memberName: this.getMemberName(memberId)
+        }, issue));
+        
+        Object.keys(entry).filter(field => !ROSTER_ENTRY_SCHEMA.hasOwnProperty(field)).forEach(field => {
+          add('orphanKeys', { type: 'field', key: field, value: entry[field], message: `알 수 없는 항목 '${field}'` });
+        });
+        
+        const attendance = isPlainObject(entry.attendance) ? entry.attendance : {};
+        Object.keys(attendance).forEach(key => {
+          const value = attendance[key];
+          if (!isValidDateKey(key)) {
+            add('orphanKeys', { type: 'attendance', key: key, value: value, message: `출석 기록에 날짜가 아닌 키 '${key}'` });
+            return;
+          }
+          const shifted = shiftedKeys.indexOf(key) !== -1;
+          if (!shifted && !key.startsWith(monthKey)) {
+            add('datesOutsideMonth', { type: 'attendance', date: key, value: value, message: `${monthKey} 명단에 ${key} 출석 기록` });
+          } else if (!shifted && sessionDates.indexOf(key) === -1) {
+            add('datesOutsideSchedule', { type: 'attendance', date: key, value: value, message: `세션이 없는 날짜(${key})의 출석 기록` });
+          }
+          if (!statuses.hasOwnProperty(value)) {
+            add('invalidStatuses', { type: 'attendance', date: key, value: value, message: `알 수 없는 출석 상태 ${JSON.stringify(value)} (${key})` });
+          }
+        });
+        
+        const notes = isPlainObject(entry.notes) ? entry.notes : {};
+        Object.keys(notes).forEach(key => {
+          if (!isValidDateKey(key)) {
+            add('orphanKeys', { type: 'notes', key: key, value: notes[key], message: `메모에 날짜가 아닌 키 '${key}'` });
+          } else if (shiftedKeys.indexOf(key) === -1 && !key.startsWith(monthKey)) {
+            add('datesOutsideMonth', { type: 'notes', date: key, value: notes[key], message: `${monthKey} 명단에 ${key} 메모` });
+          }
+        });
+        
+        (Array.isArray(entry.activities) ? entry.activities : []).forEach(activity => {
+          if (isPlainObject(activity) && activity.date && !String(activity.date).startsWith(monthKey)) {
+            add('datesOutsideMonth', { type: 'activity', key: activity.id, date: activity.date, value: activity, message: `${monthKey} 명단에 ${activity.date} 기타 활동` });
+          }
+        });
+        
+        if (typeof entry.role === 'string' && !this.hasRole(entry.role)) {
+          add('unknownRoles', { type: 'role', key: entry.role, message: `등록되지 않은 역할 '${entry.role}'` });
+        }
+        
+        if (Number.isInteger(entry.order)) {
+          (orders[entry.order] = orders[entry.order] || []).push(memberId);
+        } else {
+          add('duplicateOrders', { type: 'order', value: entry.order, message: '순서 값이 없거나 정수가 아님' });
+        }
+        
+        // 멤버 ID를 바꾸는 수정이라 같은 멤버의 다른 문제보다 뒤에 둠
+        if (!this.getMemberProfile(memberId)) {
+          add('orphanKeys', { type: 'member', key: memberId, message: `명부에 없는 멤버 '${memberId}'` });
+        }
+      });
+      
+      Object.keys(orders).filter(order => orders[order].length > 1).forEach(order => {
+        const names = orders[order].map(memberId => this.getMemberName(memberId)).join(', ');
+        orders[order].forEach(memberId => issues.duplicateOrders.push({
+          type: 'order',
+          monthKey: monthKey,
+          memberId: memberId,
+          memberName: this.getMemberName(memberId),
+          value: parseInt(order),
+          message: `순서 ${order} 중복 (${names})`
+        }));
+      });
+    });
+    
+    // 세션 정보와 일정 예외는 월 명단 밖에 있으므로 키가 걸친 달(그 날과 다음 날이 속한 달)마다 따로 판단
+    const monthsAround = dates => dates.filter(isValidDateKey)
+      .reduce((monthKeys, date) => monthKeys.concat(date.slice(0, 7), ClubDate.addDays(date, 1).slice(0, 7)), [])
+      .filter((monthKey, index, list) => list.indexOf(monthKey) === index)
+      .sort();
+    const monthDates = monthKey => this.getMonthDates(parseInt(monthKey.slice(0, 4)), parseInt(monthKey.slice(5, 7)));
+    
+    const sessionMeta = this.getSessionMetadata();
+    const shiftedSessionKeys = [];
+    monthsAround(Object.keys(sessionMeta)).forEach(monthKey => {
+      const moves = findShiftedMonthDates(monthKey, Object.keys(sessionMeta), monthDates(monthKey), exceptionDates);
+      if (!moves) return;
+      moves.forEach(move => shiftedSessionKeys.push(move.date));
+      issues.shiftedDates.push({ type: 'session', monthKey: monthKey, moves: moves, message: describeShiftedMoves('세션 정보', moves) });
+    });
+    Object.keys(sessionMeta).sort().forEach(date => {
+      if (shiftedSessionKeys.indexOf(date) !== -1) return;
+      if (!isValidDateKey(date) || monthDates(date.slice(0, 7)).indexOf(date) === -1) {
+        issues.datesOutsideSchedule.push({ type: 'session', date: date, value: sessionMeta[date], message: `세션이 없는 날짜(${date})의 세션 정보` });
+      }
+    });
+    
+    // 취소/라벨 변경 예외는 요일 규칙의 날짜에만 의미가 있음 (추가 세션은 날짜를 직접 입력하므로 제외)
+    const ruleExceptionDates = exceptionDates.filter(date => exceptions[date].type !== 'add');
+    monthsAround(ruleExceptionDates).forEach(monthKey => {
+      const scheduledDates = this.getScheduledDates(parseInt(monthKey.slice(0, 4)), parseInt(monthKey.slice(5, 7)));
+      const moves = findShiftedMonthDates(monthKey, ruleExceptionDates, scheduledDates);
+      if (moves) {
+        issues.shiftedDates.push({ type: 'schedule_exception', monthKey: monthKey, moves: moves, message: describeShiftedMoves('일정 예외', moves) });
+      }
+    });
+    
+    const categories = {};
+    let total = 0;
+    Object.keys(INTEGRITY_CATEGORIES).forEach(category => {
+      categories[category] = Object.assign({}, INTEGRITY_CATEGORIES[category], {
+        count: issues[category].length,
+        issues: issues[category]
+      });
+      total += issues[category].length;
+    });
+    
+    return {
+      checkedAt: new Date().toISOString(),
+      total: total,
+      schemaErrors: validateStoredData(this.data),
+      categories: categories
+    };
+  }
+
+  // 문제 한 건을 고치고 고쳤으면 true. 바꾸기 전에 touch(최상위 키)로 이전 값을 남김
+  fixIntegrityIssue(category, issue, touch, options = {}) {
+    if (category === 'shiftedDates') {
+      return this.fixShiftedDate(issue, touch);
+    }
+    if (issue.type === 'top_level') {
+      touch(issue.key);
+      delete this.data[issue.key];
+      return true;
+    }
+    if (issue.type === 'session') {
+      touch('_sessions');
+      delete this.data._sessions[issue.date];
+      return true;
+    }
+    
+    const roster = this.data[issue.monthKey];
+    const entry = isPlainObject(roster) ? roster[issue.memberId] : null;
+    if (!isPlainObject(entry)) {
+      return false;
+    }
+    touch(issue.monthKey);
+    
+    if (category === 'orphanKeys') {
+      if (issue.type === 'member') {
+        // migrateMemberIdentity와 같은 방식: 같은 이름의 프로필을 쓰고, 없으면 새로 등록
+        const profile = this.findMemberProfiles(issue.memberId)[0] ||
+          this.createMemberProfile({ name: issue.memberId, joinedAt: issue.monthKey + '-01' }, options);
+        if (roster[profile.id]) {
+          return false;
+        }
+        roster[profile.id] = entry;
+        delete roster[issue.memberId];
+        return true;
+      }
+      
+      // 예전 형식(기타 슬롯, extraAttendance, excused)은 지우기 전에 현재 형식으로 변환
+      if (LEGACY_EXTRA_KEY_PATTERN.test(issue.key) || issue.key === 'extraAttendance' || issue.key === 'excused') {
+        normalizeRosterEntry(entry);
+      }
+      if (issue.type === 'field') {
+        delete entry[issue.key];
+      } else if (entry[issue.type]) {
+        delete entry[issue.type][issue.key];
+      }
+      return true;
+    }
+    
+    if (category === 'datesOutsideMonth') {
+      const targetMonthKey = String(issue.date).slice(0, 7);
+      const targetRoster = this.data[targetMonthKey];
+      const target = isPlainObject(targetRoster) && isPlainObject(targetRoster[issue.memberId]) ? targetRoster[issue.memberId] : null;
+      
+      if (issue.type === 'activity') {
+        const index = (entry.activities || []).findIndex(activity => activity.id === issue.key);
+        if (index === -1) {
+          return false;
+        }
+        const activity = entry.activities.splice(index, 1)[0];
+        if (target) {
+          touch(targetMonthKey);
+          target.activities = (target.activities || []).concat([activity]);
+        }
+        return true;
+      }
+      
+      // attendance 또는 notes. 옮길 곳에 이미 값이 있으면 그 값을 유지
+      const field = issue.type;
+      if (target && (!isPlainObject(target[field]) || target[field][issue.date] === undefined)) {
+        touch(targetMonthKey);
+        if (!isPlainObject(target[field])) {
+          target[field] = {};
+        }
+        target[field][issue.date] = entry[field][issue.date];
+      }
+      delete entry[field][issue.date];
+      return true;
+    }
+    
+    if (category === 'datesOutsideSchedule') {
+      delete entry.attendance[issue.date];
+      if (isPlainObject(entry.notes)) {
+        delete entry.notes[issue.date];
+      }
+      return true;
+    }
+    
+    if (category === 'unknownRoles') {
+      if (!this.hasRole(entry.role)) {
+        touch('_roles');
+        const roles = this.ensureRoles();
+        roles[entry.role] = {
+          order: Object.keys(roles).length,
+          requirements: [{ from: null, total: 0, wednesday: 0, rules: [] }]
+        };
+      }
+      return true;
+    }
+    
+    if (category === 'invalidStatuses') {
+      entry.attendance[issue.date] = this.hasAttendanceStatus(issue.value) ? normalizeAttendanceStatus(issue.value) : 'absent';
+      return true;
+    }
+    
+    return false;
+  }
+
+  // 하루 밀린 달의 키를 늦은 날짜부터 실제 세션 날짜로 옮김 (옮길 곳에 이미 값이 있는 키는 그대로 둠)
+  fixShiftedDate(issue, touch) {
+    if (issue.type === 'session') {
+      touch('_sessions');
+      return isPlainObject(this.data._sessions) && moveShiftedDates(this.data._sessions, issue.moves) > 0;
+    }
+    if (issue.type === 'schedule_exception') {
+      touch('_schedule');
+      return moveShiftedDates(this.ensureSchedule().exceptions, issue.moves) > 0;
+    }
+    
+    const roster = this.data[issue.monthKey];
+    if (!isPlainObject(roster)) {
+      return false;
+    }
+    touch(issue.monthKey);
+    let moved = 0;
+    Object.keys(roster).forEach(memberId => {
+      const entry = roster[memberId];
+      if (!isPlainObject(entry)) return;
+      ['attendance', 'notes'].forEach(field => {
+        if (isPlainObject(entry[field])) {
+          moved += moveShiftedDates(entry[field], issue.moves);
+        }
+      });
+    });
+    return moved > 0;
+  }
+
+  // 현재 순서, 이름 순으로 0부터 다시 매김 (순서가 없으면 맨 뒤)
+  renumberRosterOrder(monthKey) {
+    const roster = this.data[monthKey];
+    const orderOf = memberId => Number.isInteger(roster[memberId].order) ? roster[memberId].order : Infinity;
+    Object.keys(roster)
+      .filter(memberId => isPlainObject(roster[memberId]))
+      .sort((a, b) => (orderOf(a) - orderOf(b)) || this.getMemberName(a).localeCompare(this.getMemberName(b), 'ko'))
+      .forEach((memberId, index) => {
+        roster[memberId].order = index;
+      });
+  }
+
+  // 선택한 분류의 문제를 모두 자동 수정. 바뀐 월/섹션마다 감사 로그(integrity_fix)를 남김
+  async fixIntegrity(categories, options = {}) {
+    const before = {};
+    const touch = key => {
+      if (!before.hasOwnProperty(key)) {
+        before[key] = cloneValue(this.data[key]);
+      }
+    };
+    const fixed = {};
+    const skipped = {};
+    
+    // 잠긴 달의 문제는 override가 없으면 건너뜀
+    const isEditable = issue => {
+      const monthKeys = [issue.monthKey, issue.date, issue.target]
+        .filter(value => MONTH_KEY_PATTERN.test(value) || isValidDateKey(value))
+        .map(value => value.slice(0, 7));
+      if (monthKeys.some(monthKey => !this.isMonthEditable(monthKey, options))) {
+        return false;
+      }
+      monthKeys.forEach(monthKey => this.assertMonthEditable(monthKey, options));
+      return true;
+    };
+    
+    // 앞 분류의 수정(멤버 ID 변경 등)이 반영되도록 분류마다 다시 점검
+    categories.forEach(category => {
+      const allIssues = this.checkIntegrity().categories[category].issues;
+      const issues = allIssues.filter(isEditable);
+      fixed[category] = 0;
+      skipped[category] = allIssues.length - issues.length;
+      
+      if (category === 'duplicateOrders') {
+        const monthKeys = issues.map(issue => issue.monthKey).filter((monthKey, index, list) => list.indexOf(monthKey) === index);
+        monthKeys.forEach(monthKey => {
+          touch(monthKey);
+          this.renumberRosterOrder(monthKey);
+        });
+        fixed[category] = issues.length;
+        return;
+      }
+      
+      issues.forEach(issue => {
+        if (this.fixIntegrityIssue(category, issue, touch, options)) {
+          fixed[category]++;
+        }
+      });
+    });
+    
+    Object.keys(before).forEach(key => {
+      if (isSameValue(before[key], this.data[key])) return;
+      if (MONTH_KEY_PATTERN.test(key)) {
+        this.recordChange({
+          action: 'integrity_fix',
+          monthKey: key,
+          oldValue: before[key],
+          newValue: cloneValue(this.data[key])
+        }, options);
+      } else {
+        this.recordSectionChange(key, 'integrity_fix', before[key], options);
+      }
+    });
+    
+    const count = Object.keys(fixed).reduce((sum, category) => sum + fixed[category], 0);
+    if (count > 0) {
+      const labels = categories.map(category => INTEGRITY_CATEGORIES[category].label).join(', ');
+      await this.saveData(`데이터 정합성 자동 수정: ${labels} (${count}건)`);
+    }
+    return { fixed: fixed, skipped: skipped, report: this.checkIntegrity() };
+  }
+
+  // 가져올 월 데이터 검증. 문제가 있으면 오류 메시지, 없으면 null
+  // (예전 형식의 0/1 출석, excused, 기타 슬롯은 가져올 때 변환되므로 허용)
+  validateImportData(year, month, importData) {
+    if (!isPlainObject(importData)) {
+      return 'data must be an object';
+    }
+    if (importData.members === undefined) {
+      return null;
+    }
+    if (!isPlainObject(importData.members)) {
+      return 'data.members must be an object';
+    }
+    
+    const monthKey = this.getMonthKey(year, month);
+    const isMonthDate = date => isValidDateKey(date) && date.startsWith(monthKey);
+    const keys = Object.keys(importData.members);
+    for (let i = 0; i < keys.length; i++) {
+      const memberData = importData.members[keys[i]];
+      const prefix = 'members.' + keys[i] + ': ';
+      if (!isPlainObject(memberData)) {
+        return prefix + 'must be an object';
+      }
+      
+      const error = validateFields(memberData, {
+        name: 'text?',
+        role: 'text',
+        attendance: 'object?',
+        activities: 'array?',
+        order: 'integer?',
+        notes: 'object?',
+        exemption: 'object?',
+        extraAttendance: 'object?',
+        excused: 'object?'
+      });
+      if (error) {
+        return prefix + error;
+      }
+      if (!this.hasRole(memberData.role)) {
+        return prefix + 'Unknown role: ' + memberData.role;
+      }
+      
+      const attendance = memberData.attendance || {};
+      const dates = Object.keys(attendance);
+      for (let j = 0; j < dates.length; j++) {
+        const date = dates[j];
+        if (LEGACY_EXTRA_KEY_PATTERN.test(date)) continue;
+        if (!isMonthDate(date)) {
+          return prefix + 'attendance date ' + date + ' is not in ' + monthKey;
+        }
+        if (!this.hasAttendanceStatus(attendance[date])) {
+          return prefix + 'Unknown attendance status: ' + attendance[date] + ' (' + date + ')';
+        }
+      }
+      
+      const noteDates = Object.keys(memberData.notes || {}).concat(Object.keys(memberData.excused || {}));
+      const invalidNote = noteDates.find(date => !isMonthDate(date));
+      if (invalidNote) {
+        return prefix + 'note date ' + invalidNote + ' is not in ' + monthKey;
+      }
+      
+      const activities = memberData.activities || [];
+      for (let j = 0; j < activities.length; j++) {
+        const activityError = isPlainObject(activities[j]) ? this.validateActivity(activities[j], monthKey) : 'must be an object';
+        if (activityError) {
+          return prefix + 'activities[' + j + ']: ' + activityError;
+        }
+      }
+    }
+    return null;
+  }
+
+  async importMonthData(year, month, importData, options = {}) {
+    this.assertMonthEditable(this.getMonthKey(year, month), options);
+    try {
+      const monthKey = this.getMonthKey(year, month);
+      const before = cloneValue(this.data[monthKey]);
+      
+      delete this.data[monthKey];
+      this.data[monthKey] = {};
+      
+      if (importData.members) {
+        const memberEntries = Object.keys(importData.members);
+        
+        for (let i = 0; i < memberEntries.length; i++) {
+          const key = memberEntries[i];
+          const memberData = importData.members[key];
+          // 키가 등록된 멤버 ID가 아니면 이름으로 찾고, 없으면 명부에 새로 등록
+          const memberId = this.getMemberProfile(key) ? key : this.findOrCreateMemberProfile(memberData.name || key, options).id;
+          
+          this.data[monthKey][memberId] = {
+            role: memberData.role || '미정',
+            attendance: memberData.attendance || {},
+            activities: memberData.activities || [],
+            order: memberData.order !== undefined ? memberData.order : i
+          };
+          if (memberData.extraAttendance) {
+            this.data[monthKey][memberId].extraAttendance = memberData.extraAttendance;
+          }
+          
+          if (memberData.notes) {
+            this.data[monthKey][memberId].notes = memberData.notes;
+          }
+          // 예전 형식(0/1, excused, 기타 슬롯)으로 내보낸 파일도 변환
+          if (memberData.excused) {
+            this.data[monthKey][memberId].excused = memberData.excused;
+          }
+          normalizeRosterEntry(this.data[monthKey][memberId]);
+          if (memberData.exemption) {
+            this.data[monthKey][memberId].exemption = memberData.exemption;
+          }
+        }
+      }
+      
+      this.recordChange({
+        action: 'month_import',
+        monthKey: monthKey,
+        oldValue: before,
+        newValue: cloneValue(this.data[monthKey])
+      }, options);
+      await this.saveData(`${year}년 ${month}월 데이터 가져오기`);
+      return { success: true, message: '데이터를 성공적으로 가져왔습니다.' };
+    } catch (error) {
+      console.error('월 데이터 import 오류:', error);
+      return { success: false, error: '데이터 가져오기 중 오류가 발생했습니다: ' + error.message };
+    }
+  }
+
+  // =========================================================================
+  // 스프레드시트(CSV/XLSX) 가져오기: 미리보기(buildSpreadsheetImport)로 차이를 확인한 뒤 적용
+  //   merge  : 시트에 있는 멤버/날짜 칸만 바꿈 (빈 칸, 다른 멤버, 기타 활동은 그대로)
+  //   replace: 이 달 명단과 출석을 시트 내용으로 교체 (남는 멤버의 기타 활동, 메모, 면제는 유지)
+  // =========================================================================
+  // 셀 값 → { status, note }. 빈 칸이면 null, 알 수 없는 값이면 status가 null
+  parseImportCell(value) {
+    let text = String(value || '').trim();
+    if (text === '' || text === '-') return null;
+    
+    // 내보낸 파일의 '출석 (메모)' 형식
+    let note = null;
+    const noteMatch = text.match(/^(.+?)\s*\((.*)\)$/);
+    if (noteMatch) {
+      text = noteMatch[1];
+      note = noteMatch[2].trim() || null;
+    }
+    
+    const lower = text.toLowerCase();
+    const statuses = this.getAttendanceStatuses();
+    const status = Object.keys(statuses).find(key => (
+      key === lower || statuses[key].label === text || String(statuses[key].short || '').toLowerCase() === lower
+    )) || Object.keys(IMPORT_STATUS_ALIASES).find(key => IMPORT_STATUS_ALIASES[key].indexOf(lower) !== -1);
+    return { status: status || null, note: note };
+  }
+
+  // 가장 최근 달 명단의 역할 (monthKey 이전 달만)
+  getLatestRole(memberId, monthKey) {
+    const monthKeys = Object.keys(this.data)
+      .filter(key => MONTH_KEY_PATTERN.test(key) && key < monthKey && this.data[key][memberId])
+      .sort();
+    return monthKeys.length > 0 ? this.data[monthKeys[monthKeys.length - 1]][memberId].role : null;
+  }
+
+  // 미리보기 후 적용할 때 그 사이에 이 달 데이터가 바뀌었는지 확인하는 값
+  getMonthHash(monthKey) {
+    return crypto.createHash('sha1').update(JSON.stringify(this.data[monthKey] || null)).digest('hex').slice(0, 16);
+  }
+
+  // rows: readSpreadsheet 결과. options: { mode, mapping, members: { 시트 이름: memberId | 'new' | 'skip' }, defaultRole }
+  // 데이터는 바꾸지 않고 { success, preview, roster(적용할 명단), newMembers: { 임시 키: 이름 } }를 반환
+  buildSpreadsheetImport(year, month, rows, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    const mode = options.mode || 'merge';
+    const roster = this.data[monthKey] || {};
+    const registry = this.getMemberRegistry();
+    const mapping = Object.assign(detectColumns(rows, year, month), options.mapping || {});
+    const header = rows[mapping.headerRow] || [];
+    const warnings = [];
+    
+    if (!Number.isInteger(mapping.nameColumn)) {
+      return { success: false, status: 400, error: 'Could not find the name column, set mapping.nameColumn' };
+    }
+    
+    // 날짜 열은 이 달의 세션 날짜만 사용
+    const sessionDates = this.getMonthDates(year, month);
+    const dateColumns = {};
+    Object.keys(mapping.dateColumns || {}).forEach(index => {
+      const date = mapping.dateColumns[index];
+      const label = header[index] || date;
+      if (!isValidDateKey(date) || !date.startsWith(monthKey)) {
+        warnings.push(`'${label}' 열은 ${monthKey}의 날짜가 아니어서 건너뜁니다.`);
+      } else if (sessionDates.indexOf(date) === -1) {
+        warnings.push(`'${label}' 열(${date})은 세션 날짜가 아니어서 건너뜁니다.`);
+      } else {
+        dateColumns[index] = date;
+      }
+    });
+    if (Object.keys(dateColumns).length === 0) {
+      return { success: false, status: 400, error: 'No session date columns found for ' + monthKey };
+    }
+    
+    const candidates = Object.keys(registry)
+      .filter(memberId => !registry[memberId].mergedInto)
+      .map(memberId => ({ id: memberId, name: registry[memberId].name, inRoster: !!roster[memberId] }));
+    const overrides = options.members || {};
+    const unknownValues = {};
+    const sheetRows = [];
+    const imported = {};
+    
+    for (let i = mapping.headerRow + 1; i < rows.length; i++) {
+      const row = rows[i];
+      const name = (row[mapping.nameColumn] || '').trim();
+      if (!name || IMPORT_SUMMARY_ROW_PATTERN.test(name)) continue;
+      
+      const match = matchMemberName(name, candidates);
+      const override = overrides[name];
+      let action = 'new';
+      let memberId = null;
+      if (override === 'skip' || override === 'new') {
+        action = override;
+      } else if (override) {
+        if (!registry[override]) {
+          return { success: false, status: 400, error: 'Unknown memberId in members: ' + override };
+        }
+        action = 'match';
+        memberId = override;
+      } else if (match.method === 'exact' || match.method === 'fuzzy') {
+        action = 'match';
+        memberId = match.memberId;
+      } else if (match.method === 'ambiguous') {
+        action = 'skip';
+        warnings.push(`'${name}'과(와) 비슷한 멤버가 여럿이라 건너뜁니다. 멤버를 직접 지정하세요.`);
+      }
+      
+      let role = null;
+      const roleText = Number.isInteger(mapping.roleColumn) ? (row[mapping.roleColumn] || '').trim() : '';
+      if (roleText && this.hasRole(roleText)) {
+        role = roleText;
+      } else if (roleText) {
+        warnings.push(`${name}: 등록되지 않은 직책 '${roleText}'은(는) 무시합니다.`);
+      }
+      
+      const cells = {};
+      Object.keys(dateColumns).forEach(index => {
+        const cell = this.parseImportCell(row[index]);
+        if (!cell) return;
+        if (!cell.status) {
+          unknownValues[row[index]] = (unknownValues[row[index]] || 0) + 1;
+          return;
+        }
+        cells[dateColumns[index]] = cell;
+      });
+      
+      sheetRows.push({
+        row: i + 1,
+        name: name,
+        action: action,
+        memberId: memberId,
+        memberName: memberId ? registry[memberId].name : null,
+        match: { method: match.method, score: match.score },
+        candidates: match.candidates,
+        role: role,
+        cells: Object.keys(cells).length
+      });
+      if (action === 'skip') continue;
+      
+      // 같은 멤버가 여러 행에 있으면 나중 행의 칸이 우선
+      const key = memberId || 'new:' + normalizeName(name);
+      if (imported[key]) {
+        warnings.push(`'${name}'이(가) 여러 행에 있어 ${i + 1}행의 값으로 합칩니다.`);
+        Object.assign(imported[key].cells, cells);
+        imported[key].role = role || imported[key].role;
+      } else {
+        imported[key] = { memberId: memberId, name: name, role: role, cells: cells };
+      }
+    }
+    Object.keys(unknownValues).forEach(value => {
+      warnings.push(`알 수 없는 출석 표시 '${value}' (${unknownValues[value]}칸)은(는) 빈 칸으로 처리합니다.`);
+    });
+    
+    // 역할을 알 수 없는 새 멤버: defaultRole → 이 달에 가장 많은 역할 → 첫 번째 역할
+    const roleCounts = {};
+    Object.keys(roster).forEach(memberId => {
+      roleCounts[roster[memberId].role] = (roleCounts[roster[memberId].role] || 0) + 1;
+    });
+    const roles = this.getRoles();
+    const fallbackRole = options.defaultRole ||
+      Object.keys(roleCounts).sort((a, b) => roleCounts[b] - roleCounts[a])[0] ||
+      Object.keys(roles).sort((a, b) => roles[a].order - roles[b].order)[0];
+    
+    const next = mode === 'replace' ? {} : cloneValue(roster);
+    let nextOrder = Object.keys(next).reduce((max, memberId) => Math.max(max, (next[memberId].order || 0) + 1), 0);
+    const newMembers = {};
+    Object.keys(imported).forEach((key, index) => {
+      const entry = imported[key];
+      const current = entry.memberId ? roster[entry.memberId] : null;
+      const memberKey = entry.memberId || key;
+      const target = current ? cloneValue(current) : { role: null, attendance: {}, activities: [] };
+      
+      target.role = entry.role || (current && current.role) || (entry.memberId && this.getLatestRole(entry.memberId, monthKey)) || fallbackRole;
+      if (mode === 'replace') {
+        target.attendance = {};
+        target.order = index;
+      } else if (!current) {
+        target.order = nextOrder++;
+      }
+      Object.keys(entry.cells).forEach(date => {
+        // 기록이 없는 칸은 결석으로 보므로 빈 칸에 '결석'을 새로 적지 않음 (내보낸 파일을 다시 가져올 때)
+        if (entry.cells[date].status === 'absent' && !entry.cells[date].note && !(current && current.attendance[date])) return;
+        target.attendance[date] = entry.cells[date].status;
+        if (entry.cells[date].note) {
+          if (!target.notes) target.notes = {};
+          target.notes[date] = entry.cells[date].note;
+        }
+      });
+      
+      next[memberKey] = target;
+      if (!entry.memberId) {
+        newMembers[memberKey] = entry.name;
+      }
+    });
+    
+    const diff = { added: [], changed: [], removed: [], roles: [], membersAdded: [], membersRemoved: [] };
+    Object.keys(roster).concat(Object.keys(next).filter(memberKey => !roster[memberKey])).forEach(memberKey => {
+      const from = roster[memberKey];
+      const to = next[memberKey];
+      const name = newMembers[memberKey] || this.getMemberName(memberKey);
+      const memberId = newMembers[memberKey] ? null : memberKey;
+      
+      if (!from) diff.membersAdded.push({ memberId: memberId, name: name, role: to.role });
+      if (!to) diff.membersRemoved.push({ memberId: memberId, name: name, role: from.role });
+      if (from && to && from.role !== to.role) {
+        diff.roles.push({ memberId: memberId, name: name, from: from.role, to: to.role });
+      }
+      
+      const before = (from && from.attendance) || {};
+      const after = (to && to.attendance) || {};
+      const beforeNotes = (from && from.notes) || {};
+      const afterNotes = (to && to.notes) || {};
+      Object.keys(before).concat(Object.keys(after).filter(date => before[date] === undefined)).sort().forEach(date => {
+        const cell = { memberId: memberId, name: name, date: date, from: before[date] === undefined ? null : before[date], to: after[date] === undefined ? null : after[date] };
+        if (cell.from === null) {
+          diff.added.push(Object.assign(cell, { note: afterNotes[date] || null }));
+        } else if (cell.to === null) {
+          diff.removed.push(cell);
+        } else if (cell.from !== cell.to || (beforeNotes[date] || null) !== (afterNotes[date] || null)) {
+          diff.changed.push(Object.assign(cell, { note: afterNotes[date] || null }));
+        }
+      });
+    });
+    
+    return {
+      success: true,
+      preview: {
+        monthKey: monthKey,
+        mode: mode,
+        monthHash: this.getMonthHash(monthKey),
+        header: header,
+        mapping: {
+          headerRow: mapping.headerRow,
+          nameColumn: mapping.nameColumn,
+          roleColumn: Number.isInteger(mapping.roleColumn) ? mapping.roleColumn : null,
+          dateColumns: dateColumns
+        },
+        rows: sheetRows,
+        diff: diff,
+        summary: {
+          added: diff.added.length,
+          changed: diff.changed.length,
+          removed: diff.removed.length,
+          roles: diff.roles.length,
+          membersAdded: diff.membersAdded.length,
+          membersRemoved: diff.membersRemoved.length,
+          newProfiles: Object.keys(newMembers).length
+        },
+        warnings: warnings
+      },
+      roster: next,
+      newMembers: newMembers
+    };
+  }
+
+  async applySpreadsheetImport(year, month, plan, options = {}) {
+    const monthKey = this.getMonthKey(year, month);
+    this.assertMonthEditable(monthKey, options);
+    const summary = plan.preview.summary;
+    const total = summary.added + summary.changed + summary.removed + summary.roles + summary.membersAdded + summary.membersRemoved;
+    if (total === 0) {
+      return { success: true, changed: false, summary: summary };
+    }
+    
+    // 새 멤버는 명부에 등록하고 임시 키를 멤버 ID로 바꿈
+    const roster = plan.roster;
+    Object.keys(plan.newMembers).forEach(key => {
+      const profile = this.createMemberProfile({ name: plan.newMembers[key] }, options);
+      roster[profile.id] = roster[key];
+      delete roster[key];
+    });
+    
+    const before = cloneValue(this.data[monthKey]);
+    this.data[monthKey] = roster;
+    this.recordChange({
+      action: 'month_import',
+      monthKey: monthKey,
+      oldValue: before,
+      newValue: cloneValue(roster)
+    }, options);
+    await this.saveData(`${year}년 ${month}월 스프레드시트 가져오기 (${plan.preview.mode === 'replace' ? '교체' : '병합'}: 추가 ${summary.added}, 변경 ${summary.changed}, 삭제 ${summary.removed})`);
+    return { success: true, changed: true, summary: summary };
+  }
+
+  exportAllData() {
+    return {
+      exportDate: new Date().toISOString(),
+      version: '1.0',
+      data: this.data
+    };
+  }
+
+  exportMonthData(year, month) {
+    const monthKey = this.getMonthKey(year, month);
+    const members = this.getMonthMembers(year, month);
+    const sessions = this.getSessionSummaries(year, month);
+    const dates = sessions.map(session => session.date);
+    const statuses = this.getAttendanceStatuses();
+    
+    const report = {};
+    const memberEntries = Object.keys(members);
+    memberEntries.sort((a, b) => {
+      const orderA = members[a].order || 0;
+      const orderB = members[b].order || 0;
+      return orderA - orderB;
+    });
+    
+    for (let i = 0; i < memberEntries.length; i++) {
+      const memberId = memberEntries[i];
+      const memberInfo = members[memberId];
+      const stats = this.calculateMonthlyStats(year, month, memberId);
+      
+      report[memberId] = {
+        name: memberInfo.name,
+        role: memberInfo.role,
+        order: memberInfo.order || 0,
+        stats: stats,
+        attendance: {},
+        attendanceLabels: {},
+        activities: memberInfo.activities || [],
+        notes: memberInfo.notes || {},
+        exemption: memberInfo.exemption || null
+      };
+      
+      // 기록이 없는 날짜는 결석으로 내보내고, 상태 라벨도 함께 제공
+      for (let j = 0; j < dates.length; j++) {
+        const dateStr = dates[j];
+        const status = memberInfo.attendance[dateStr] || 'absent';
+        report[memberId].attendance[dateStr] = status;
+        report[memberId].attendanceLabels[dateStr] = statuses[status] ? statuses[status].label : status;
+      }
+    }
+    
+    return {
+      exportDate: new Date().toISOString(),
+      year: year,
+      month: month,
+      members: report,
+      dates: dates,
+      sessions: sessions,
+      statuses: statuses,
+      activityTypes: EXTRA_ACTIVITY_TYPES,
+      monthState: this.describeMonthState(monthKey)
+    };
+  }
+}
+
+function getCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (let i = 0; i < cookies.length; i++) {
+    const parts = cookies[i].trim().split('=');
+    if (parts[0] === name) {
+      return decodeURIComponent(parts.slice(1).join('='));
+    }
+  }
+  return null;
+}
+
+class AuthManager {
+  constructor() {
+    this.users = {};
+    this.sessions = new Map();
+    this.loadUsers();
+    this.bootstrapAdmin();
+  }
+
+  loadUsers() {
+    try {
+      if (fs.existsSync(USERS_FILE)) {
+        this.users = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+      }
+    } catch (error) {
+      console.error('사용자 파일 로드 오류:', error);
+      this.users = {};
+    }
+  }
+
+  saveUsers() {
+    try {
+      fs.writeFileSync(USERS_FILE, JSON.stringify(this.users, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+      console.error('사용자 파일 저장 오류:', error);
+    }
+  }
+
+  // 사용자가 없으면 ADMIN_USERNAME / ADMIN_PASSWORD 환경변수로 관리자 계정 생성
+  bootstrapAdmin() {
+    if (Object.keys(this.users).length > 0) {
+      return;
+    }
+    
+    if (process.env.ADMIN_PASSWORD) {
+      const username = process.env.ADMIN_USERNAME || 'admin';
+      this.createUser(username, process.env.ADMIN_PASSWORD, 'admin');
+      console.log(`관리자 계정 생성: ${username}`);
+    } else {
+      console.log('등록된 사용자가 없습니다. ADMIN_PASSWORD 환경변수로 관리자 계정을 생성하세요.');
+    }
+  }
+
+  hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, 64).toString('hex');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  publicUser(username) {
+    const user = this.users[username];
+    return user ? { username: username, role: user.role } : null;
+  }
+
+  listUsers() {
+    return Object.keys(this.users).map(username => ({
+      username: username,
+      role: this.users[username].role,
+      createdAt: this.users[username].createdAt,
+      apiTokens: (this.users[username].apiTokens || []).length
+    }));
+  }
+
+  createUser(username, password, role) {
+    if (this.users[username]) {
+      return false;
+    }
+    
+    const salt = crypto.randomBytes(16).toString('hex');
+    this.users[username] = {
+      role: role,
+      salt: salt,
+      passwordHash: this.hashPassword(password, salt),
+      apiTokens: [],
+      createdAt: new Date().toISOString()
+    };
+    this.saveUsers();
+    return true;
+  }
+
+  updateUser(username, updates) {
+    const user = this.users[username];
+    if (!user) {
+      return false;
+    }
+    
+    if (updates.role) {
+      user.role = updates.role;
+    }
+    if (updates.password) {
+      user.salt = crypto.randomBytes(16).toString('hex');
+      user.passwordHash = this.hashPassword(updates.password, user.salt);
+      this.revokeSessions(username);
+    }
+    this.saveUsers();
+    return true;
+  }
+
+  deleteUser(username) {
+    if (!this.users[username]) {
+      return false;
+    }
+    delete this.users[username];
+    this.revokeSessions(username);
+    this.saveUsers();
+    return true;
+  }
+
+  verifyPassword(username, password) {
+    const user = this.users[username];
+    if (!user || typeof password !== 'string') {
+      return false;
+    }
+    
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const actual = Buffer.from(this.hashPassword(password, user.salt), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  createSession(username) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(token, { username: username, expiresAt: Date.now() + SESSION_TTL_MS });
+    return token;
+  }
+
+  destroySession(token) {
+    this.sessions.delete(token);
+  }
+
+  revokeSessions(username) {
+    this.sessions.forEach((session, token) => {
+      if (session.username === username) {
+        this.sessions.delete(token);
+      }
+    });
+  }
+
+  createApiToken(username, label) {
+    const user = this.users[username];
+    if (!user) {
+      return null;
+    }
+    
+    const token = 'ppa_' + crypto.randomBytes(24).toString('hex');
+    const entry = {
+      id: generateId('tok'),
+      label: label || 'API 토큰',
+      hash: this.hashToken(token),
+      createdAt: new Date().toISOString()
+    };
+    user.apiTokens = user.apiTokens || [];
+    user.apiTokens.push(entry);
+    this.saveUsers();
+    
+    return { id: entry.id, label: entry.label, createdAt: entry.createdAt, token: token };
+  }
+
+  listApiTokens(username) {
+    const user = this.users[username];
+    return (user && user.apiTokens || []).map(t => ({ id: t.id, label: t.label, createdAt: t.createdAt }));
+  }
+
+  revokeApiToken(username, id) {
+    const user = this.users[username];
+    if (!user || !user.apiTokens) {
+      return false;
+    }
+    const before = user.apiTokens.length;
+    user.apiTokens = user.apiTokens.filter(t => t.id !== id);
+    this.saveUsers();
+    return user.apiTokens.length !== before;
+  }
+
+  getSessionToken(req) {
+    return getCookie(req, SESSION_COOKIE);
+  }
+
+  // 세션 쿠키 또는 Authorization: Bearer <API 토큰>으로 사용자 확인
+  getUserFromRequest(req) {
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+      const hash = this.hashToken(authHeader.slice(7).trim());
+      const usernames = Object.keys(this.users);
+      for (let i = 0; i < usernames.length; i++) {
+        const tokens = this.users[usernames[i]].apiTokens || [];
+        if (tokens.some(t => t.hash === hash)) {
+          return this.publicUser(usernames[i]);
+        }
+      }
+      return null;
+    }
+    
+    const sessionToken = this.getSessionToken(req);
+    if (!sessionToken) {
+      return null;
+    }
+    
+    const session = this.sessions.get(sessionToken);
+    if (!session || session.expiresAt < Date.now()) {
+      this.sessions.delete(sessionToken);
+      return null;
+    }
+    return this.publicUser(session.username);
+  }
+}
+
+// 셀프 체크인: 리드가 세션의 체크인 창을 열면 창마다 비밀 값으로 바뀌는 6자리 코드(QR)가 만들어짐
+//   open  : opensAt ~ closesAt 사이에는 바로 출석 처리
+//   late  : closesAt ~ lateUntil 사이에는 승인 대기 요청으로 남고 리드가 승인하면 출석 처리
+//   closed: 그 이후 (또는 리드가 닫은 경우)
+class CheckinManager {
+  constructor() {
+    this.windows = {};
+    this.requests = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(CHECKIN_FILE)) {
+        const state = JSON.parse(fs.readFileSync(CHECKIN_FILE, 'utf8'));
+        this.windows = state.windows || {};
+        this.requests = state.requests || {};
+      }
+    } catch (error) {
+      console.error('체크인 파일 로드 오류:', error);
+    }
+    this.prune();
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(CHECKIN_FILE, JSON.stringify({ windows: this.windows, requests: this.requests }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+      console.error('체크인 파일 저장 오류:', error);
+    }
+  }
+
+  // 보관 기간이 지난 창과 처리된 요청 정리
+  prune() {
+    const cutoff = Date.now() - CHECKIN_RETENTION_MS;
+    Object.keys(this.windows).forEach(id => {
+      if (Date.parse(this.windows[id].lateUntil) < cutoff) {
+        delete this.windows[id];
+      }
+    });
+    Object.keys(this.requests).forEach(id => {
+      const request = this.requests[id];
+      if (request.status !== 'pending' && Date.parse(request.resolvedAt) < cutoff) {
+        delete this.requests[id];
+      }
+    });
+  }
+
+  getWindowState(window, now = Date.now()) {
+    if (now < Date.parse(window.opensAt)) return 'scheduled';
+    if (now <= Date.parse(window.closesAt)) return 'open';
+    if (now <= Date.parse(window.lateUntil)) return 'late';
+    return 'closed';
+  }
+
+  // 비밀 값을 뺀 창 정보
+  publicWindow(window) {
+    return {
+      id: window.id,
+      date: window.date,
+      openedBy: window.openedBy,
+      opensAt: window.opensAt,
+      closesAt: window.closesAt,
+      lateUntil: window.lateUntil,
+      state: this.getWindowState(window),
+      checkins: window.checkins,
+      pending: this.listRequests('pending').filter(request => request.windowId === window.id).length
+    };
+  }
+
+  listWindows() {
+    return Object.keys(this.windows)
+      .map(id => this.windows[id])
+      .sort((a, b) => b.opensAt.localeCompare(a.opensAt));
+  }
+
+  findActiveWindow(date) {
+    return this.listWindows().find(window => window.date === date && this.getWindowState(window) !== 'closed') || null;
+  }
+
+  // options: { opensAt, minutes, lateMinutes, openedBy }
+  openWindow(date, options = {}) {
+    const opensAt = options.opensAt ? Date.parse(options.opensAt) : Date.now();
+    const closesAt = opensAt + (options.minutes || CHECKIN_DEFAULT_MINUTES) * 60 * 1000;
+    const lateMinutes = options.lateMinutes !== undefined && options.lateMinutes !== null ? options.lateMinutes : CHECKIN_DEFAULT_LATE_MINUTES;
+    const window = {
+      id: generateId('checkin'),
+      date: date,
+      secret: crypto.randomBytes(16).toString('hex'),
+      openedBy: options.openedBy || null,
+      opensAt: new Date(opensAt).toISOString(),
+      closesAt: new Date(closesAt).toISOString(),
+      lateUntil: new Date(closesAt + lateMinutes * 60 * 1000).toISOString(),
+      checkins: []
+    };
+    this.windows[window.id] = window;
+    this.prune();
+    this.save();
+    return window;
+  }
+
+  // 바로 닫음 (늦은 체크인도 더 받지 않음)
+  closeWindow(id) {
+    const window = this.windows[id];
+    if (!window) {
+      return null;
+    }
+    const now = new Date().toISOString();
+    if (window.closesAt > now) window.closesAt = now;
+    if (window.lateUntil > now) window.lateUntil = now;
+    this.save();
+    return window;
+  }
+
+  getCodeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / CHECKIN_CODE_STEP_SECONDS);
+  }
+
+  getCode(window, step = this.getCodeStep()) {
+    const digest = crypto.createHmac('sha256', window.secret).update(String(step)).digest();
+    return String(digest.readUInt32BE(0) % 1000000).padStart(6, '0');
+  }
+
+  // 코드가 맞는 열린 창 (현재 코드와 직전 코드 인정). windowId를 주면(QR) 그 창만 확인
+  findWindowByCode(code, windowId) {
+    const step = this.getCodeStep();
+    const candidates = windowId ? [this.windows[windowId]] : this.listWindows();
+    return candidates.find(window => (
+      window && ['open', 'late'].indexOf(this.getWindowState(window)) !== -1 &&
+      (this.getCode(window, step) === code || this.getCode(window, step - 1) === code)
+    )) || null;
+  }
+
+  // 코드 확인 후 이름을 고르는 동안 쓰는 서명된 티켓: '<창 ID>.<만료 시각>.<서명>'
+  createTicket(window) {
+    const payload = window.id + '.' + (Date.now() + CHECKIN_TICKET_TTL_MS);
+    return payload + '.' + crypto.createHmac('sha256', window.secret).update(payload).digest('hex').slice(0, 32);
+  }
+
+  verifyTicket(ticket) {
+    const parts = String(ticket).split('.');
+    const window = parts.length === 3 ? this.windows[parts[0]] : null;
+    if (!window || parseInt(parts[1]) < Date.now()) {
+      return null;
+    }
+    const expected = crypto.createHmac('sha256', window.secret).update(parts[0] + '.' + parts[1]).digest('hex').slice(0, 32);
+    if (expected.length !== parts[2].length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts[2]))) {
+      return null;
+    }
+    return window;
+  }
+
+  addCheckin(window, memberId, deviceId) {
+    window.checkins.push({ memberId: memberId, deviceId: deviceId, at: new Date().toISOString() });
+    this.save();
+  }
+
+  countDeviceCheckins(window, deviceId) {
+    const requests = this.listRequests().filter(request => request.windowId === window.id && request.status !== 'rejected');
+    return window.checkins.concat(requests).filter(entry => entry.deviceId === deviceId).length;
+  }
+
+  listRequests(status) {
+    return Object.keys(this.requests)
+      .map(id => this.requests[id])
+      .filter(request => !status || request.status === status)
+      .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+  }
+
+  findRequest(window, memberId) {
+    return this.listRequests('pending').find(request => request.windowId === window.id && request.memberId === memberId) || null;
+  }
+
+  addRequest(window, memberId, deviceId) {
+    const request = {
+      id: generateId('checkinreq'),
+      windowId: window.id,
+      date: window.date,
+      memberId: memberId,
+      deviceId: deviceId,
+      requestedAt: new Date().toISOString(),
+      status: 'pending'
+    };
+    this.requests[request.id] = request;
+    this.save();
+    return request;
+  }
+
+  resolveRequest(id, status, resolvedBy) {
+    const request = this.requests[id];
+    request.status = status;
+    request.resolvedAt = new Date().toISOString();
+    request.resolvedBy = resolvedBy;
+    this.save();
+    return request;
+  }
+
+  // 멤버 병합: 체크인 기록과 늦은 체크인 요청의 멤버 ID를 옮김. 값은 창별 checkins 목록과 요청 전체
+  reassignMember(sourceId, targetId) {
+    const before = { windows: {}, requests: {} };
+    const after = { windows: {}, requests: {} };
+    Object.keys(this.windows).forEach(id => {
+      const window = this.windows[id];
+      if (!window.checkins.some(checkin => checkin.memberId === sourceId)) return;
+      before.windows[id] = cloneValue(window.checkins);
+      window.checkins.forEach(checkin => {
+        if (checkin.memberId === sourceId) checkin.memberId = targetId;
+      });
+      after.windows[id] = cloneValue(window.checkins);
+    });
+    this.listRequests().filter(request => request.memberId === sourceId).forEach(request => {
+      before.requests[request.id] = cloneValue(request);
+      request.memberId = targetId;
+      after.requests[request.id] = cloneValue(request);
+    });
+    
+    if (Object.keys(before.windows).length === 0 && Object.keys(before.requests).length === 0) {
+      return null;
+    }
+    this.save();
+    return { before: before, after: after };
+  }
+}
+
+// 멤버 개인 페이지 링크와 멤버 요청
+// 링크 토큰: '<멤버 ID>.<버전>.<서명>'. 링크를 다시 만들면 버전이 올라가 예전 링크는 더 이상 쓸 수 없음
+// 요청: { id, type: absence(결석 예고) | correction(출석 정정), memberId, date, status(정정할 출석 상태), reason,
+//         evidenceUrl(사진/Strava 링크), requestedBy(리드가 대신 올렸으면 사용자 이름, 멤버 본인이면 null), requestedAt,
+//         state: pending | approved | rejected | cancelled, resolvedAt, resolvedBy, note }
+// 승인해서 바뀐 출석은 변경 이력에 요청 ID(request)가 남음
+class PortalManager {
+  constructor() {
+    this.secret = null;
+    this.links = {};
+    this.requests = {};
+    this.load();
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      this.save();
+    }
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(PORTAL_FILE)) {
+        const state = JSON.parse(fs.readFileSync(PORTAL_FILE, 'utf8'));
+        this.secret = state.secret || null;
+        this.links = state.links || {};
+        this.requests = state.requests || {};
+      }
+    } catch (error) {
+      console.error('개인 페이지 파일 로드 오류:', error);
+    }
+    this.prune();
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(PORTAL_FILE, JSON.stringify({ secret: this.secret, links: this.links, requests: this.requests }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+      console.error('개인 페이지 파일 저장 오류:', error);
+    }
+  }
+
+  // 처리된 지 오래된 요청 정리
+  prune() {
+    const cutoff = Date.now() - PORTAL_RETENTION_MS;
+    Object.keys(this.requests).forEach(id => {
+      const request = this.requests[id];
+      if (request.state !== 'pending' && Date.parse(request.resolvedAt) < cutoff) {
+        delete this.requests[id];
+      }
+    });
+  }
+
+  sign(memberId, version) {
+    return crypto.createHmac('sha256', this.secret).update(memberId + '.' + version).digest('hex').slice(0, 32);
+  }
+
+  getLink(memberId) {
+    return this.links[memberId] || null;
+  }
+
+  createLink(memberId, issuedBy) {
+    const version = this.links[memberId] ? this.links[memberId].version + 1 : 1;
+    this.links[memberId] = { version: version, issuedAt: new Date().toISOString(), issuedBy: issuedBy || null, revoked: false };
+    this.save();
+    return memberId + '.' + version + '.' + this.sign(memberId, version);
+  }
+
+  revokeLink(memberId) {
+    if (!this.links[memberId] || this.links[memberId].revoked) {
+      return false;
+    }
+    this.links[memberId].revoked = true;
+    this.save();
+    return true;
+  }
+
+  // 토큰이 맞으면 멤버 ID, 아니면 null
+  verifyToken(token) {
+    const parts = String(token || '').split('.');
+    const link = parts.length === 3 ? this.links[parts[0]] : null;
+    if (!link || link.revoked || String(link.version) !== parts[1]) {
+      return null;
+    }
+    const expected = this.sign(parts[0], link.version);
+    if (expected.length !== parts[2].length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts[2]))) {
+      return null;
+    }
+    return parts[0];
+  }
+
+  // filter: { state, memberId }
+  listRequests(filter = {}) {
+    return Object.keys(this.requests)
+      .map(id => this.requests[id])
+      .filter(request => !filter.state || request.state === filter.state)
+      .filter(request => !filter.memberId || request.memberId === filter.memberId)
+      .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+  }
+
+  findPendingRequest(memberId, date) {
+    return this.listRequests({ state: 'pending', memberId: memberId }).find(request => request.date === date) || null;
+  }
+
+  addRequest(fields) {
+    const request = {
+      id: generateId('memberreq'),
+      type: fields.type,
+      memberId: fields.memberId,
+      date: fields.date,
+      status: fields.status || null,
+      reason: fields.reason,
+      evidenceUrl: fields.evidenceUrl || null,
+      requestedBy: fields.requestedBy || null,
+      requestedAt: new Date().toISOString(),
+      state: 'pending'
+    };
+    this.requests[request.id] = request;
+    this.prune();
+    this.save();
+    return request;
+  }
+
+  // state: approved | rejected | cancelled
+  resolveRequest(id, state, resolvedBy, note) {
+    const request = this.requests[id];
+    request.state = state;
+    request.resolvedAt = new Date().toISOString();
+    request.resolvedBy = resolvedBy;
+    request.note = note || null;
+    this.save();
+    return request;
+  }
+
+  // 멤버 병합: 요청의 멤버 ID를 옮김. 값은 요청 ID별 요청 전체
+  reassignMember(sourceId, targetId) {
+    const requests = this.listRequests({ memberId: sourceId });
+    if (requests.length === 0) {
+      return null;
+    }
+    const before = {};
+    const after = {};
+    requests.forEach(request => {
+      before[request.id] = cloneValue(request);
+      request.memberId = targetId;
+      after[request.id] = cloneValue(request);
+    });
+    this.save();
+    return { before: before, after: after };
+  }
+}
+
+// 실시간 변경 알림과 접속자 표시. 연결은 메모리에만 있고 재시작하면 클라이언트가 다시 연결함
+class LiveEventHub {
+  constructor() {
+    this.clients = new Map();
+    this.heartbeat = setInterval(() => this.ping(), LIVE_HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  // user는 접속자 목록에 보일 사용자 (익명이거나 조회 권한뿐이면 null)
+  // 접속자 목록은 편집자(user)에게만, 변경한 사람(actor)은 로그인한 사용자(signedIn)에게만 보냄
+  connect(req, res, { user, signedIn, page, month }) {
+    const client = {
+      id: generateId('live'),
+      res: res,
+      username: user ? user.username : null,
+      signedIn: !!(user || signedIn),
+      page: page || null,
+      month: month || null,
+      since: new Date().toISOString()
+    };
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${LIVE_RETRY_MS}\n\n`);
+    this.clients.set(client.id, client);
+    this.send(client, 'hello', { clientId: client.id, presence: client.username ? this.getPresence() : [] });
+    if (client.username) {
+      this.broadcastPresence();
+    }
+    
+    req.on('close', () => {
+      this.clients.delete(client.id);
+      if (client.username) {
+        this.broadcastPresence();
+      }
+    });
+    return client;
+  }
+
+  send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  ping() {
+    this.clients.forEach(client => client.res.write(': ping\n\n'));
+  }
+
+  getPresence() {
+    return Array.from(this.clients.values())
+      .filter(client => client.username)
+      .map(client => ({ clientId: client.id, username: client.username, page: client.page, month: client.month, since: client.since }));
+  }
+
+  broadcastPresence() {
+    const presence = this.getPresence();
+    this.clients.forEach(client => {
+      if (client.username) {
+        this.send(client, 'presence', presence);
+      }
+    });
+  }
+
+  // 감사 로그 항목 → 변경 알림. 가져오기처럼 값이 큰 변경도 있어서 값은 출석 칸 변경에만 붙임
+  // (출석 칸은 화면에서 바로 고치고, 나머지는 클라이언트가 해당 월을 다시 불러옴)
+  publishChange(entry) {
+    const change = {
+      id: entry.id,
+      timestamp: entry.timestamp,
+      action: entry.action,
+      monthKey: entry.monthKey,
+      member: entry.member,
+      field: entry.field
+    };
+    if (entry.monthKey && entry.member && entry.field && entry.field.startsWith('attendance.')) {
+      change.date = entry.field.slice('attendance.'.length);
+      change.status = entry.newValue || 'absent';
+    }
+    const changeWithActor = Object.assign({ actor: entry.actor }, change);
+    this.clients.forEach(client => this.send(client, 'change', client.signedIn ? changeWithActor : change));
+  }
+}
+
+// 출석 조건 중간 점검과 월말 결산을 정해진 날 알림기로 보냄
+//   reminder: 이번 달, REMINDER_DAYS에 해당하는 날
+//   summary : 지난달, 매월 1일
+// 서버가 그날 내내 꺼져 있었으면 건너뜀 (지난 알림을 뒤늦게 몰아 보내지 않도록). 관리자가 직접 보낼 수는 있음
+class ReminderScheduler {
+  constructor(system, notifiers) {
+    this.system = system;
+    this.notifiers = notifiers;
+    this.sent = {};
+    this.history = [];
+    this.timer = null;
+    this.running = false;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(REMINDER_FILE)) {
+        const state = JSON.parse(fs.readFileSync(REMINDER_FILE, 'utf8'));
+        this.sent = state.sent || {};
+        this.history = state.history || [];
+      }
+    } catch (error) {
+      console.error('알림 기록 파일 로드 오류:', error);
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(REMINDER_FILE, JSON.stringify({ sent: this.sent, history: this.history }, null, 2), 'utf8');
+    } catch (error) {
+      console.error('알림 기록 파일 저장 오류:', error);
+    }
+  }
+
+  start() {
+    if (this.notifiers.length === 0) {
+      console.log('알림 대상(NOTIFY_*)이 없어 출석 조건 알림을 보내지 않습니다.');
+      return;
+    }
+    console.log(`출석 조건 알림: 매월 ${REMINDER_DAYS.join(', ')}일 중간 점검, 1일 월말 결산 (${REMINDER_HOUR}시 이후, ${this.notifiers.map(notifier => notifier.name).join(', ')})`);
+    this.timer = setInterval(() => this.tick(), REMINDER_CHECK_INTERVAL_MS);
+    this.timer.unref();
+    this.tick();
+  }
+
+  // 지금(클럽 시간대) 보낼 차례인 알림 목록
+  getDueJobs(now = Date.now()) {
+    if (ClubDate.getHour(now) < REMINDER_HOUR) return [];
+    
+    const today = ClubDate.toDateKey(now);
+    const { year, month, day } = ClubDate.parseDateKey(today);
+    const jobs = [];
+    if (REMINDER_DAYS.indexOf(day) !== -1) {
+      jobs.push({ key: `reminder:${today}`, kind: 'reminder', year: year, month: month });
+    }
+    if (day === 1) {
+      const previous = ClubDate.parseDateKey(ClubDate.addDays(today, -1));
+      jobs.push({ key: `summary:${ClubDate.getMonthKey(previous.year, previous.month)}`, kind: 'summary', year: previous.year, month: previous.month });
+    }
+    return jobs;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      await this.system.waitForInitialization();
+      for (const job of this.getDueJobs()) {
+        if (this.sent[job.key]) continue;
+        // 명단이 없는 달은 보낼 내용이 없음. 모든 알림 대상에 실패했으면 다음 점검 때 다시 보냄
+        if (this.system.data[ClubDate.getMonthKey(job.year, job.month)]) {
+          const { results } = await this.send(job.kind, job.year, job.month, 'schedule');
+          if (!results.some(result => result.ok)) continue;
+        }
+        this.markSent(job.key);
+      }
+    } catch (error) {
+      console.error('출석 조건 알림 오류:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // 보낸 알림 키는 최근 것만 남김 (지난 날짜의 키는 다시 확인하지 않음)
+  markSent(key) {
+    this.sent[key] = new Date().toISOString();
+    const keys = Object.keys(this.sent).sort((a, b) => this.sent[b].localeCompare(this.sent[a]));
+    keys.slice(REMINDER_HISTORY_LIMIT).forEach(oldKey => delete this.sent[oldKey]);
+    this.save();
+  }
+
+  buildMessage(kind, year, month) {
+    switch (kind) {
+      case 'reminder':
+        return buildReminderMessage(this.system.getRequirementOutlook(year, month));
+      case 'summary': {
+        // 월말 다음 날 기준으로 보면 남은 세션이 없음
+        const nextMonthStart = ClubDate.addDays(ClubDate.formatDateKey(year, month, ClubDate.getDaysInMonth(year, month)), 1);
+        return buildMonthSummaryMessage(this.system.getRequirementOutlook(year, month, nextMonthStart));
+      }
+      default:
+        return buildTestMessage();
+    }
+  }
+
+  // kind: 'reminder' | 'summary' | 'test', trigger: 'schedule' | 보낸 사용자 이름
+  async send(kind, year, month, trigger) {
+    const message = this.buildMessage(kind, year, month);
+    const results = await sendToAll(this.notifiers, message);
+    results.filter(result => !result.ok).forEach(result => {
+      console.error(`알림 전송 실패 (${result.name}): ${result.error}`);
+    });
+    
+    this.history.unshift({
+      kind: kind,
+      monthKey: kind === 'test' ? null : ClubDate.getMonthKey(year, month),
+      trigger: trigger,
+      sentAt: new Date().toISOString(),
+      results: results
+    });
+    this.history = this.history.slice(0, REMINDER_HISTORY_LIMIT);
+    this.save();
+    return { message: message, results: results };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.notifiers.length > 0,
+      timeZone: ClubDate.getTimeZone(),
+      reminderDays: REMINDER_DAYS,
+      hour: REMINDER_HOUR,
+      notifiers: this.notifiers.map(notifier => ({ name: notifier.name, type: notifier.type, target: notifier.target })),
+      history: this.history
+    };
+  }
+}
+
+try {
+  ClubDate.setTimeZone(CLUB_TIME_ZONE);
+} catch (error) {
+  console.error(`지원하지 않는 CLUB_TIME_ZONE '${CLUB_TIME_ZONE}', ${ClubDate.DEFAULT_TIME_ZONE}을(를) 사용합니다.`);
+}
+
+const attendanceSystem = new GitHubAttendanceSystem(storage, remoteStorage);
+const authManager = new AuthManager();
+const checkinManager = new CheckinManager();
+const portalManager = new PortalManager();
+const liveEvents = new LiveEventHub();
+attendanceSystem.onChange(entry => liveEvents.publishChange(entry));
+attendanceSystem.addMemberStore('checkins', checkinManager);
+attendanceSystem.addMemberStore('portal', portalManager);
+const reminderScheduler = new ReminderScheduler(attendanceSystem, loadNotifierConfigs(process.env).map(config => {
+  try {
+    return createNotifier(config);
+  } catch (error) {
+    console.error(`알림 설정 오류 (${config.name}): ${error.message}`);
+    return null;
+  }
+}).filter(notifier => notifier));
+
+app.use((req, res, next) => {
+  req.user = authManager.getUserFromRequest(req);
+  next();
+});
+
+// 변경 이력에 남길 요청자 정보
+// 관리자가 X-Override-Reason 헤더(URL 인코딩)를 보내면 잠긴 달도 수정할 수 있고, 사유는 변경 이력에 남음
+function getChangeOptions(req) {
+  const options = { actor: req.user ? req.user.username : 'anonymous' };
+  const reason = req.get('X-Override-Reason');
+  if (reason && req.user && req.user.role === 'admin') {
+    try {
+      options.override = { reason: decodeURIComponent(reason).trim().slice(0, 500) };
+    } catch (error) {
+      options.override = { reason: reason.trim().slice(0, 500) };
+    }
+    if (!options.override.reason) delete options.override;
+  }
+  return options;
+}
+
+// 잠기거나 확정된 달을 수정하려 하면 423 응답. 응답을 보냈으면 true
+function sendMonthLocked(res, error) {
+  if (error.code !== 'MONTH_LOCKED') return false;
+  res.status(423).json({ error: error.message, monthKey: error.monthKey, state: error.state });
+  return true;
+}
+
+// memberId(또는 이전 방식의 name)를 해당 월 명단의 멤버 ID로 변환. 실패하면 오류 응답을 보내고 null 반환
+function resolveMemberParam(res, year, month, ref) {
+  const result = attendanceSystem.resolveRosterMember(year, month, ref);
+  if (result.error) {
+    res.status(result.status).json({ error: result.error });
+    return null;
+  }
+  return result.id;
+}
+
+// 출석 기록은 그 달의 세션 날짜에만 남길 수 있음. 문제가 있으면 오류 메시지 반환
+function checkSessionDate(year, month, date) {
+  if (!date.startsWith(attendanceSystem.getMonthKey(year, month))) {
+    return 'date must be in ' + attendanceSystem.getMonthKey(year, month);
+  }
+  if (attendanceSystem.getMonthDates(year, month).indexOf(date) === -1) {
+    return 'No session is scheduled on this date';
+  }
+  return null;
+}
+
+function requirePermission(level) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if ((PERMISSION_LEVELS[req.user.role] || 0) < PERMISSION_LEVELS[level]) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+    next();
+  };
+}
+
+// 요청 검증 미들웨어. source는 body, params, query 중 하나이고 스키마 형식은 validateFields 참고
+function validateRequest(source, schema) {
+  return (req, res, next) => {
+    const values = req[source];
+    if (!isPlainObject(values)) {
+      return res.status(400).json({ error: 'Request ' + source + ' must be a JSON object' });
+    }
+    
+    const error = validateFields(values, schema);
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
+    
+    // '2025', '07' 같은 문자열이 getMonthKey에서 잘못된 키를 만들지 않도록 정수로 변환
+    Object.keys(schema).forEach(field => {
+      const types = parseFieldSpec(schema[field]).types;
+      if ((types.indexOf('year') !== -1 || types.indexOf('month') !== -1) && values[field] !== undefined && values[field] !== null) {
+        values[field] = parseInt(values[field], 10);
+      }
+    });
+    next();
+  };
+}
+
+function validateBody(schema) {
+  return validateRequest('body', schema);
+}
+
+function validateParams(schema) {
+  return validateRequest('params', schema);
+}
+
+function validateQuery(schema) {
+  return validateRequest('query', schema);
+}
+
+// 여러 라우트에서 쓰는 스키마
+const MONTH_PARAMS_SCHEMA = { year: 'year', month: 'month' };
+const MEMBER_REF_SCHEMA = { year: 'year', month: 'month', memberId: 'text?', name: 'text?' };
+
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// 멤버 개인 페이지 (링크의 # 뒤 토큰은 서버 로그에 남지 않음)
+app.get('/me', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'me.html'));
+});
+
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    timestamp: new Date().toISOString(),
+    github_connected: !!octokit,
+    storage: attendanceSystem.storage.name,
+    data_initialized: attendanceSystem.isInitialized,
+    pending_changes: attendanceSystem.pendingChanges.length
+  });
+});
+
+// 클럽 시간 API (페이지가 같은 시간대로 '오늘'과 이번 달을 계산하도록)
+app.get('/api/time', (req, res) => {
+  res.json({ timeZone: ClubDate.getTimeZone(), today: ClubDate.today(), now: new Date().toISOString() });
+});
+
+// 인증 API
+app.post('/api/auth/login', validateBody({ username: 'text', password: 'text' }), (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    if (!authManager.verifyPassword(username, password)) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    const token = authManager.createSession(username);
+    res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'strict', maxAge: SESSION_TTL_MS });
+    res.json({ success: true, user: authManager.publicUser(username) });
+  } catch (error) {
+    console.error('Error in /api/auth/login:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const token = authManager.getSessionToken(req);
+  if (token) {
+    authManager.destroySession(token);
+  }
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ authenticated: !!req.user, user: req.user || null });
+});
+
+app.get('/api/auth/tokens', requirePermission('viewer'), (req, res) => {
+  res.json(authManager.listApiTokens(req.user.username));
+});
+
+app.post('/api/auth/tokens', requirePermission('viewer'), validateBody({ label: 'string?' }), (req, res) => {
+  try {
+    const created = authManager.createApiToken(req.user.username, req.body.label);
+    res.json({ success: true, token: created });
+  } catch (error) {
+    console.error('Error in POST /api/auth/tokens:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/auth/tokens/:id', requirePermission('viewer'), (req, res) => {
+  if (authManager.revokeApiToken(req.user.username, req.params.id)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Token not found' });
+  }
+});
+
+app.get('/api/users', requirePermission('admin'), (req, res) => {
+  res.json(authManager.listUsers());
+});
+
+app.post('/api/users', requirePermission('admin'), validateBody({ username: 'text', password: 'text', role: 'text' }), (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    
+    if (!PERMISSION_LEVELS[role]) {
+      return res.status(400).json({ error: 'role must be one of ' + Object.keys(PERMISSION_LEVELS).join(', ') });
+    }
+    
+    if (authManager.createUser(username, password, role)) {
+      res.json({ success: true });
+    } else {
+      res.status(400).json({ error: 'User already exists' });
+    }
+  } catch (error) {
+    console.error('Error in POST /api/users:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/users/:username', requirePermission('admin'), validateBody({ password: 'text?', role: 'text?' }), (req, res) => {
+  try {
+    const { password, role } = req.body;
+    
+    if (role && !PERMISSION_LEVELS[role]) {
+      return res.status(400).json({ error: 'role must be one of ' + Object.keys(PERMISSION_LEVELS).join(', ') });
+    }
+    
+    if (authManager.updateUser(req.params.username, { password, role })) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'User not found' });
+    }
+  } catch (error) {
+    console.error('Error in PUT /api/users:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/users/:username', requirePermission('admin'), (req, res) => {
+  if (req.params.username === req.user.username) {
+    return res.status(400).json({ error: 'Cannot delete yourself' });
+  }
+  
+  if (authManager.deleteUser(req.params.username)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'User not found' });
+  }
+});
+
+// API 엔드포인트들
+app.get('/api/members/:year/:month', validateParams(MONTH_PARAMS_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month } = req.params;
+    
+    const members = attendanceSystem.getMonthMembers(year, month);
+    res.json(members);
+  } catch (error) {
+    console.error('Error in /api/members:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/add_member', requirePermission('admin'), validateBody(Object.assign({ role: 'text', newProfile: 'boolean?' }, MEMBER_REF_SCHEMA)), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month, name, role, newProfile } = req.body;
+    let memberId = req.body.memberId;
+    
+    if (!(name || memberId)) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    if (!attendanceSystem.hasRole(role)) {
+      return res.status(400).json({ error: 'Unknown role' });
+    }
+    
+    // memberId가 없으면 이름으로 명부에서 찾고, 없거나 newProfile이면 새로 등록
+    if (memberId) {
+      if (!attendanceSystem.getMemberProfile(memberId)) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+    } else {
+      const matches = attendanceSystem.findMemberProfiles(name.trim());
+      if (matches.length > 1 && !newProfile) {
+        return res.status(409).json({ error: 'Member name is ambiguous, use memberId', candidates: matches });
+      }
+      memberId = matches.length === 1 && !newProfile
+        ? matches[0].id
+        : (await attendanceSystem.addMemberProfile({ name: name }, getChangeOptions(req))).id;
+    }
+    
+    if (await attendanceSystem.addMember(year, month, memberId, role, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(400).json({ error: 'Member already exists' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/add_member:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/member/:year/:month/:member', requirePermission('admin'), validateParams(MONTH_PARAMS_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month } = req.params;
+    const memberId = resolveMemberParam(res, year, month, decodeURIComponent(req.params.member));
+    if (!memberId) return;
+    
+    if (await attendanceSystem.deleteMember(year, month, memberId, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(400).json({ error: 'Failed to delete member' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in DELETE /api/member:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/member_role', requirePermission('admin'), validateBody(Object.assign({ role: 'text' }, MEMBER_REF_SCHEMA)), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month, memberId, name, role } = req.body;
+    
+    if (!(memberId || name)) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    if (!attendanceSystem.hasRole(role)) {
+      return res.status(400).json({ error: 'Unknown role' });
+    }
+    
+    const resolvedId = resolveMemberParam(res, year, month, memberId || name);
+    if (!resolvedId) return;
+    
+    if (await attendanceSystem.updateMemberRole(year, month, resolvedId, role, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(400).json({ error: 'Failed to update member role' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/member_role:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/member_orders', requirePermission('admin'), validateBody({ year: 'year', month: 'month', orders: 'array' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month, orders } = req.body;
+    
+    const memberOrders = [];
+    for (let i = 0; i < orders.length; i++) {
+      const orderError = isPlainObject(orders[i]) ? validateFields(orders[i], { memberId: 'text?', name: 'text?', order: 'integer' }) : 'must be an object';
+      if (orderError) {
+        return res.status(400).json({ error: 'orders[' + i + ']: ' + orderError });
+      }
+      const memberId = resolveMemberParam(res, year, month, orders[i].memberId || orders[i].name);
+      if (!memberId) return;
+      memberOrders.push({ memberId: memberId, order: orders[i].order });
+    }
+    
+    if (await attendanceSystem.updateMemberOrder(year, month, memberOrders, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(400).json({ error: 'Failed to update member orders' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/member_orders:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/copy_previous_month', requirePermission('admin'), validateBody(MONTH_PARAMS_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month } = req.body;
+    
+    if (await attendanceSystem.copyFromPreviousMonth(year, month, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(400).json({ error: 'No previous month data found or failed to copy' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/copy_previous_month:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/attendance', requirePermission('lead'), validateBody(Object.assign({ date: 'string', status: 'string|integer' }, MEMBER_REF_SCHEMA)), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month, memberId, name, date, status } = req.body;
+    
+    if (!(memberId || name)) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD (use /api/activities for extra participation)' });
+    }
+    const sessionError = checkSessionDate(year, month, date);
+    if (sessionError) {
+      return res.status(400).json({ error: sessionError });
+    }
+    if (!attendanceSystem.hasAttendanceStatus(status)) {
+      return res.status(400).json({ error: 'Unknown attendance status: ' + status });
+    }
+    
+    const resolvedId = resolveMemberParam(res, year, month, memberId || name);
+    if (!resolvedId) return;
+    
+    if (await attendanceSystem.updateAttendance(year, month, resolvedId, date, status, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(400).json({ error: 'Failed to update attendance' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/attendance:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 출석 일괄 반영 (오프라인 큐 동기화). 칸마다 결과를 돌려주고 한 칸이 실패해도 나머지는 반영함
+//   changes: [{ id?, year, month, memberId, date, status, baseStatus? }]  id는 클라이언트 큐 항목 ID로 결과에 그대로 돌려줌
+//   결과: { index, id, result: applied | unchanged | conflict | locked | error, serverStatus?, changedBy?, changedAt?, error?, state? }
+const ATTENDANCE_BATCH_LIMIT = 500;
+const ATTENDANCE_BATCH_CHANGE_SCHEMA = Object.assign({ id: 'string?', date: 'date', status: 'string|integer', baseStatus: 'string|integer?' }, MEMBER_REF_SCHEMA);
+
+function applyAttendanceBatchChange(change, options) {
+  const validationError = isPlainObject(change) ? validateFields(change, ATTENDANCE_BATCH_CHANGE_SCHEMA) : 'change must be an object';
+  if (validationError) {
+    return { result: 'error', error: validationError };
+  }
+
+  const year = parseInt(change.year, 10);
+  const month = parseInt(change.month, 10);
+  const sessionError = checkSessionDate(year, month, change.date);
+  if (sessionError) {
+    return { result: 'error', error: sessionError };
+  }
+  if (!attendanceSystem.hasAttendanceStatus(change.status)) {
+    return { result: 'error', error: 'Unknown attendance status: ' + change.status };
+  }
+  const member = attendanceSystem.resolveRosterMember(year, month, change.memberId || change.name);
+  if (member.error) {
+    return { result: 'error', error: member.error };
+  }
+
+  let outcome;
+  try {
+    outcome = attendanceSystem.applyAttendanceChange(year, month, member.id, change.date, change.status, change.baseStatus, options);
+  } catch (error) {
+    if (error.code !== 'MONTH_LOCKED') throw error;
+    return { result: 'locked', error: error.message, state: error.state };
+  }
+  if (outcome.result === 'conflict') {
+    // 누가 언제 바꿨는지 함께 보여 줌
+    const last = attendanceSystem.queryAuditLog({ member: member.id, monthKey: attendanceSystem.getMonthKey(year, month), date: change.date, limit: 5 })
+      .find(entry => entry.field === 'attendance.' + change.date);
+    if (last) {
+      outcome.changedBy = last.actor;
+      outcome.changedAt = last.timestamp;
+    }
+  }
+  return outcome;
+}
+
+app.post('/api/attendance/batch', requirePermission('lead'), validateBody({ changes: 'array' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { changes } = req.body;
+    if (changes.length > ATTENDANCE_BATCH_LIMIT) {
+      return res.status(400).json({ error: `Too many changes (max ${ATTENDANCE_BATCH_LIMIT})` });
+    }
+    
+    const options = getChangeOptions(req);
+    const results = changes.map((change, index) => Object.assign(
+      { index: index, id: isPlainObject(change) ? change.id : undefined },
+      applyAttendanceBatchChange(change, options)
+    ));
+    const applied = results.filter(result => result.result === 'applied').length;
+    if (applied > 0) {
+      await attendanceSystem.saveData(`출석 일괄 반영 ${applied}건`);
+    }
+    
+    res.json({
+      success: true,
+      applied: applied,
+      conflicts: results.filter(result => result.result === 'conflict').length,
+      results: results
+    });
+  } catch (error) {
+    console.error('Error in /api/attendance/batch:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 셀프 체크인 API
+// 멤버용(/api/checkin/verify, /api/checkin)은 로그인 없이 체크인 코드로 확인하고, 창 관리와 승인은 리드 권한
+function getCheckinSession(date) {
+  const year = parseInt(date.slice(0, 4));
+  const month = parseInt(date.slice(5, 7));
+  const session = attendanceSystem.getMonthSessions(year, month).find(entry => entry.date === date);
+  return { year: year, month: month, label: session ? session.label : null };
+}
+
+// 기기 구분용 쿠키 (한 기기에서 여러 명을 체크인하지 못하게)
+function getCheckinDevice(req, res) {
+  let deviceId = getCookie(req, CHECKIN_DEVICE_COOKIE);
+  if (!deviceId || !/^[a-f0-9]{32}$/.test(deviceId)) {
+    deviceId = crypto.randomBytes(16).toString('hex');
+    res.cookie(CHECKIN_DEVICE_COOKIE, deviceId, { httpOnly: true, sameSite: 'lax', maxAge: 365 * 24 * 60 * 60 * 1000 });
+  }
+  return deviceId;
+}
+
+function describeCheckinWindow(window) {
+  const info = checkinManager.publicWindow(window);
+  info.label = getCheckinSession(window.date).label;
+  info.checkins = info.checkins.map(entry => ({ memberId: entry.memberId, name: attendanceSystem.getMemberName(entry.memberId), at: entry.at }));
+  return info;
+}
+
+app.get('/api/checkin/windows', requirePermission('lead'), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    res.json(checkinManager.listWindows().map(describeCheckinWindow));
+  } catch (error) {
+    console.error('Error in GET /api/checkin/windows:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/checkin/windows', requirePermission('lead'), validateBody({ date: 'date', opensAt: 'timestamp?', minutes: 'integer?', lateMinutes: 'integer?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { date, opensAt, minutes, lateMinutes } = req.body;
+    const { year, month } = getCheckinSession(date);
+    const sessionError = checkSessionDate(year, month, date);
+    if (sessionError) {
+      return res.status(400).json({ error: sessionError });
+    }
+    if ((minutes !== undefined && minutes !== null && minutes <= 0) || (lateMinutes !== undefined && lateMinutes !== null && lateMinutes < 0)) {
+      return res.status(400).json({ error: 'minutes must be positive and lateMinutes must not be negative' });
+    }
+    // 잠긴 달에는 체크인을 받을 수 없음
+    attendanceSystem.assertMonthEditable(attendanceSystem.getMonthKey(year, month));
+    if (checkinManager.findActiveWindow(date)) {
+      return res.status(409).json({ error: 'A check-in window is already open for this date' });
+    }
+    
+    const window = checkinManager.openWindow(date, { opensAt: opensAt, minutes: minutes, lateMinutes: lateMinutes, openedBy: req.user.username });
+    console.log(`체크인 열림: ${date} (${req.user.username})`);
+    res.json({ success: true, window: describeCheckinWindow(window) });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in POST /api/checkin/windows:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/checkin/windows/:id', requirePermission('lead'), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const window = checkinManager.closeWindow(req.params.id);
+    if (!window) {
+      return res.status(404).json({ error: 'Check-in window not found' });
+    }
+    res.json({ success: true, window: describeCheckinWindow(window) });
+  } catch (error) {
+    console.error('Error in DELETE /api/checkin/windows/:id:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 화면에 띄울 현재 코드와 QR 주소 (코드가 바뀔 때마다 다시 요청)
+app.get('/api/checkin/windows/:id/code', requirePermission('lead'), (req, res) => {
+  const window = checkinManager.windows[req.params.id];
+  if (!window) {
+    return res.status(404).json({ error: 'Check-in window not found' });
+  }
+
+  const state = checkinManager.getWindowState(window);
+  if (state !== 'open' && state !== 'late') {
+    return res.status(410).json({ error: 'Check-in window is not open', state: state });
+  }
+
+  const code = checkinManager.getCode(window);
+  const stepMs = CHECKIN_CODE_STEP_SECONDS * 1000;
+  res.json({
+    code: code,
+    state: state,
+    url: `${req.protocol}://${req.get('host')}/checkin.html?w=${window.id}&c=${code}`,
+    expiresIn: Math.ceil((stepMs - Date.now() % stepMs) / 1000)
+  });
+});
+
+app.post('/api/checkin/verify', validateBody({ code: 'text', windowId: 'string?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const window = checkinManager.findWindowByCode(req.body.code.trim(), req.body.windowId);
+    if (!window) {
+      return res.status(404).json({ error: 'Invalid or expired check-in code' });
+    }
+    
+    getCheckinDevice(req, res);
+    const session = getCheckinSession(window.date);
+    const roster = attendanceSystem.getMonthMembers(session.year, session.month);
+    const members = Object.keys(roster)
+      .sort((a, b) => (roster[a].order || 0) - (roster[b].order || 0))
+      .map(memberId => {
+        const profile = attendanceSystem.getMemberProfile(memberId);
+        return {
+          id: memberId,
+          name: roster[memberId].name,
+          checkedIn: attendanceSystem.isAttendedStatus(roster[memberId].attendance[window.date]),
+          requiresPhone: !!(profile && profile.phone)
+        };
+      });
+    
+    res.json({
+      ticket: checkinManager.createTicket(window),
+      expiresAt: new Date(Date.now() + CHECKIN_TICKET_TTL_MS).toISOString(),
+      session: {
+        date: window.date,
+        label: session.label,
+        state: checkinManager.getWindowState(window),
+        closesAt: window.closesAt,
+        lateUntil: window.lateUntil
+      },
+      members: members
+    });
+  } catch (error) {
+    console.error('Error in /api/checkin/verify:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/checkin', validateBody({ ticket: 'text', memberId: 'text', phone: 'string?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const window = checkinManager.verifyTicket(req.body.ticket);
+    if (!window) {
+      return res.status(401).json({ error: 'Check-in code expired, please scan or enter the code again' });
+    }
+    const state = checkinManager.getWindowState(window);
+    if (state === 'scheduled') {
+      return res.status(403).json({ error: 'Check-in has not opened yet' });
+    }
+    if (state === 'closed') {
+      return res.status(410).json({ error: 'Check-in window has closed' });
+    }
+    
+    const { year, month } = getCheckinSession(window.date);
+    const memberId = resolveMemberParam(res, year, month, req.body.memberId);
+    if (!memberId) return;
+    
+    // 명부에 전화번호가 있으면 뒤 4자리로 본인 확인
+    const profile = attendanceSystem.getMemberProfile(memberId);
+    const phoneDigits = profile && profile.phone ? profile.phone.replace(/\D/g, '') : '';
+    if (phoneDigits.length >= 4 && String(req.body.phone || '').replace(/\D/g, '') !== phoneDigits.slice(-4)) {
+      return res.status(403).json({ error: 'Phone number does not match' });
+    }
+    
+    attendanceSystem.assertMonthEditable(attendanceSystem.getMonthKey(year, month));
+    const current = attendanceSystem.data[attendanceSystem.getMonthKey(year, month)][memberId].attendance[window.date];
+    if (window.checkins.some(entry => entry.memberId === memberId) || attendanceSystem.isAttendedStatus(current)) {
+      return res.status(409).json({ error: 'Already checked in' });
+    }
+    if (checkinManager.findRequest(window, memberId)) {
+      return res.status(409).json({ error: 'Check-in is already waiting for approval' });
+    }
+    const deviceId = getCheckinDevice(req, res);
+    if (checkinManager.countDeviceCheckins(window, deviceId) >= CHECKIN_DEVICE_LIMIT) {
+      return res.status(429).json({ error: 'This device has already been used to check in for this session' });
+    }
+    
+    const name = attendanceSystem.getMemberName(memberId);
+    if (state === 'late') {
+      const request = checkinManager.addRequest(window, memberId, deviceId);
+      return res.status(202).json({ success: true, status: 'pending', requestId: request.id, name: name, date: window.date });
+    }
+    
+    await attendanceSystem.updateAttendance(year, month, memberId, window.date, 'present', { actor: 'checkin' });
+    checkinManager.addCheckin(window, memberId, deviceId);
+    res.json({ success: true, status: 'checked_in', name: name, date: window.date });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/checkin:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 기기 ID는 내보내지 않음
+function describeCheckinRequest(request) {
+  return Object.assign({ name: attendanceSystem.getMemberName(request.memberId) }, request, { deviceId: undefined });
+}
+
+app.get('/api/checkin/requests', requirePermission('lead'), validateQuery({ status: 'string?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    res.json(checkinManager.listRequests(req.query.status || 'pending').map(describeCheckinRequest));
+  } catch (error) {
+    console.error('Error in GET /api/checkin/requests:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 처리할 늦은 체크인 요청. 없거나 이미 처리됐으면 응답을 보내고 null 반환
+function findPendingCheckinRequest(req, res) {
+  const request = checkinManager.requests[req.params.id];
+  if (!request) {
+    res.status(404).json({ error: 'Check-in request not found' });
+    return null;
+  }
+  if (request.status !== 'pending') {
+    res.status(409).json({ error: 'Check-in request is already ' + request.status });
+    return null;
+  }
+  return request;
+}
+
+// 늦은 체크인 승인. status를 생략하면 지각 상태가 있으면 지각, 없으면 출석
+app.post('/api/checkin/requests/:id/approve', requirePermission('lead'), validateBody({ status: 'string?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const request = findPendingCheckinRequest(req, res);
+    if (!request) return;
+    
+    const status = req.body.status || (attendanceSystem.hasAttendanceStatus('late') ? 'late' : 'present');
+    if (!attendanceSystem.hasAttendanceStatus(status)) {
+      return res.status(400).json({ error: 'Unknown attendance status: ' + status });
+    }
+    const { year, month } = getCheckinSession(request.date);
+    if (!await attendanceSystem.updateAttendance(year, month, request.memberId, request.date, status, getChangeOptions(req))) {
+      return res.status(409).json({ error: 'Member is no longer in the roster for this month' });
+    }
+    
+    const window = checkinManager.windows[request.windowId];
+    if (window) {
+      checkinManager.addCheckin(window, request.memberId, request.deviceId);
+    }
+    res.json({ success: true, request: describeCheckinRequest(checkinManager.resolveRequest(request.id, 'approved', req.user.username)) });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/checkin/requests/:id/approve:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/checkin/requests/:id/reject', requirePermission('lead'), (req, res) => {
+  const request = findPendingCheckinRequest(req, res);
+  if (!request) return;
+  
+  res.json({ success: true, request: describeCheckinRequest(checkinManager.resolveRequest(request.id, 'rejected', req.user.username)) });
+});
+
+// 멤버 개인 페이지 API
+// 멤버용(/api/portal)은 로그인 없이 개인 링크의 토큰(X-Portal-Token 헤더)으로 자기 기록만 보고 요청을 올림
+// 링크 발급은 리드, 결석 예고와 출석 정정 요청의 승인/거절은 관리자
+// 검토할 때 비교하도록 지금 기록된 출석 상태(currentStatus)를 붙임
+function describeMemberRequest(request) {
+  const roster = attendanceSystem.data[request.date.slice(0, 7)] || {};
+  const current = roster[request.memberId] ? roster[request.memberId].attendance[request.date] : undefined;
+  return Object.assign({ name: attendanceSystem.getMemberName(request.memberId), currentStatus: current === undefined ? null : current }, request);
+}
+
+// 토큰의 멤버 ID (다른 멤버로 병합됐으면 합쳐진 멤버). 토큰이 맞지 않으면 응답을 보내고 null 반환
+function getPortalMember(req, res) {
+  const memberId = portalManager.verifyToken(req.get(PORTAL_TOKEN_HEADER));
+  let profile = memberId ? attendanceSystem.getMemberProfile(memberId) : null;
+  if (profile && profile.mergedInto) {
+    profile = attendanceSystem.getMemberProfile(profile.mergedInto);
+  }
+  if (!profile) {
+    res.status(401).json({ error: 'Invalid or expired personal link' });
+    return null;
+  }
+  return profile.id;
+}
+
+// 개인 페이지 링크 발급. 이미 있으면 새로 만들고 예전 링크는 더 이상 쓸 수 없음
+app.post('/api/member_registry/:id/portal_link', requirePermission('lead'), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const profile = attendanceSystem.getMemberProfile(req.params.id);
+    if (!profile || profile.mergedInto) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const token = portalManager.createLink(profile.id, req.user.username);
+    console.log(`개인 페이지 링크 발급: ${profile.name} (${req.user.username})`);
+    res.json({ success: true, url: `${req.protocol}://${req.get('host')}/me#${token}`, link: portalManager.getLink(profile.id) });
+  } catch (error) {
+    console.error('Error in POST /api/member_registry/:id/portal_link:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/member_registry/:id/portal_link', requirePermission('lead'), (req, res) => {
+  if (!portalManager.revokeLink(req.params.id)) {
+    return res.status(404).json({ error: 'Personal link not found' });
+  }
+  console.log(`개인 페이지 링크 해지: ${attendanceSystem.getMemberName(req.params.id)} (${req.user.username})`);
+  res.json({ success: true });
+});
+
+app.get('/api/portal', async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const memberId = getPortalMember(req, res);
+    if (!memberId) return;
+    
+    res.json(Object.assign(attendanceSystem.getMemberPortal(memberId), {
+      requests: portalManager.listRequests({ memberId: memberId }).reverse()
+    }));
+  } catch (error) {
+    console.error('Error in /api/portal:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 증빙 링크(사진, Strava 기록)는 http(s) 주소만. 잘못됐으면 undefined
+function normalizeEvidenceUrl(value) {
+  if (!value || !value.trim()) return null;
+  try {
+    const url = new URL(value.trim());
+    return (url.protocol === 'http:' || url.protocol === 'https:') && url.href.length <= EVIDENCE_URL_MAX_LENGTH ? url.href : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// 멤버 요청 검증 (개인 페이지와 리드가 대신 올리는 요청 공통). 잘못된 경우 응답을 보내고 null, 맞으면 addRequest에 넘길 값 반환
+//   fields: { type, date, status, reason, evidenceUrl }
+// 잠긴 달이면 MONTH_LOCKED 오류를 던짐
+function checkMemberRequest(res, memberId, fields) {
+  if (PORTAL_REQUEST_TYPES.indexOf(fields.type) === -1) {
+    res.status(400).json({ error: 'type must be one of ' + PORTAL_REQUEST_TYPES.join(', ') });
+    return null;
+  }
+  const { year, month } = ClubDate.parseDateKey(fields.date);
+  const sessionError = checkSessionDate(year, month, fields.date);
+  if (sessionError) {
+    res.status(400).json({ error: sessionError });
+    return null;
+  }
+  const entry = (attendanceSystem.data[attendanceSystem.getMonthKey(year, month)] || {})[memberId];
+  if (!entry) {
+    res.status(400).json({ error: 'Member is not in the roster for this month' });
+    return null;
+  }
+  const evidenceUrl = normalizeEvidenceUrl(fields.evidenceUrl);
+  if (evidenceUrl === undefined) {
+    res.status(400).json({ error: 'evidenceUrl must be an http(s) URL' });
+    return null;
+  }
+  
+  const today = ClubDate.today();
+  if (fields.type === 'absence' && fields.date < today) {
+    res.status(400).json({ error: 'Absence notices are only for upcoming sessions' });
+    return null;
+  }
+  if (fields.type === 'correction') {
+    if (fields.date > today) {
+      res.status(400).json({ error: 'Corrections are only for past sessions' });
+      return null;
+    }
+    if (!fields.status || !attendanceSystem.hasAttendanceStatus(fields.status)) {
+      res.status(400).json({ error: 'Unknown attendance status: ' + fields.status });
+      return null;
+    }
+    if (entry.attendance[fields.date] === fields.status) {
+      res.status(400).json({ error: 'Attendance is already ' + fields.status });
+      return null;
+    }
+  }
+  attendanceSystem.assertMonthEditable(attendanceSystem.getMonthKey(year, month));
+  if (portalManager.findPendingRequest(memberId, fields.date)) {
+    res.status(409).json({ error: 'A request for this date is already waiting for approval' });
+    return null;
+  }
+  
+  return {
+    type: fields.type,
+    memberId: memberId,
+    date: fields.date,
+    status: fields.type === 'correction' ? fields.status : null,
+    reason: fields.reason.trim().slice(0, 500),
+    evidenceUrl: evidenceUrl
+  };
+}
+
+// 결석 예고(오늘 이후 세션)나 출석 정정(오늘까지의 세션) 요청
+//   absence   : 승인하면 사유 결석으로 기록 (reason이 사유)
+//   correction: 승인하면 status로 출석 상태를 바꿈
+app.post('/api/portal/requests', validateBody({ type: 'string', date: 'date', status: 'string?', reason: 'text', evidenceUrl: 'string?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const memberId = getPortalMember(req, res);
+    if (!memberId) return;
+    
+    const fields = checkMemberRequest(res, memberId, req.body);
+    if (!fields) return;
+    if (portalManager.listRequests({ state: 'pending', memberId: memberId }).length >= PORTAL_PENDING_LIMIT) {
+      return res.status(429).json({ error: 'Too many requests are waiting for approval' });
+    }
+    
+    const request = portalManager.addRequest(fields);
+    console.log(`멤버 요청 접수: ${attendanceSystem.getMemberName(memberId)} ${request.type} ${request.date}`);
+    res.json({ success: true, request: request });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in POST /api/portal/requests:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 승인 전인 자기 요청 취소
+app.delete('/api/portal/requests/:id', async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const memberId = getPortalMember(req, res);
+    if (!memberId) return;
+    
+    const request = portalManager.requests[req.params.id];
+    if (!request || request.memberId !== memberId) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    if (request.state !== 'pending') {
+      return res.status(409).json({ error: 'Request is already ' + request.state });
+    }
+    res.json({ success: true, request: portalManager.resolveRequest(request.id, 'cancelled', attendanceSystem.getMemberName(memberId)) });
+  } catch (error) {
+    console.error('Error in DELETE /api/portal/requests/:id:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 검토 대기열
+//   state: pending(기본) | approved | rejected | cancelled | all
+//   type : absence | correction, month: YYYY-MM(요청한 세션 날짜 기준), memberId
+app.get('/api/member_requests', requirePermission('lead'), validateQuery({ state: 'string?', type: 'string?', month: 'monthKey?', memberId: 'string?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { type, month, memberId } = req.query;
+    const state = req.query.state || 'pending';
+    res.json(portalManager.listRequests({ state: state === 'all' ? null : state, memberId: memberId })
+      .filter(request => !type || request.type === type)
+      .filter(request => !month || request.date.startsWith(month))
+      .map(describeMemberRequest));
+  } catch (error) {
+    console.error('Error in GET /api/member_requests:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 채팅 등으로 들어온 이의 제기를 리드가 대신 정정 요청으로 올림 (바로 고치지 않고 관리자 승인을 거침)
+app.post('/api/member_requests', requirePermission('lead'), validateBody(Object.assign({ date: 'date', status: 'string', reason: 'text', evidenceUrl: 'string?' }, MEMBER_REF_SCHEMA)), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month, date } = req.body;
+    const sessionError = checkSessionDate(year, month, date);
+    if (sessionError) {
+      return res.status(400).json({ error: sessionError });
+    }
+    const memberId = resolveMemberParam(res, year, month, req.body.memberId || req.body.name);
+    if (!memberId) return;
+    
+    const fields = checkMemberRequest(res, memberId, Object.assign({}, req.body, { type: 'correction' }));
+    if (!fields) return;
+    
+    const request = portalManager.addRequest(Object.assign(fields, { requestedBy: req.user.username }));
+    console.log(`정정 요청 접수: ${attendanceSystem.getMemberName(memberId)} ${date} (${req.user.username})`);
+    res.json({ success: true, request: describeMemberRequest(request) });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in POST /api/member_requests:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 처리할 멤버 요청. 없거나 이미 처리됐으면 응답을 보내고 null 반환
+function findPendingMemberRequest(req, res) {
+  const request = portalManager.requests[req.params.id];
+  if (!request) {
+    res.status(404).json({ error: 'Request not found' });
+    return null;
+  }
+  if (request.state !== 'pending') {
+    res.status(409).json({ error: 'Request is already ' + request.state });
+    return null;
+  }
+  return request;
+}
+
+app.post('/api/member_requests/:id/approve', requirePermission('admin'), validateBody({ note: 'string?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const request = findPendingMemberRequest(req, res);
+    if (!request) return;
+    
+    const { year, month } = ClubDate.parseDateKey(request.date);
+    const options = Object.assign(getChangeOptions(req), { request: request.id });
+    const applied = request.type === 'absence'
+      ? await attendanceSystem.setExcusedAbsence(year, month, request.memberId, request.date, request.reason, options)
+      : await attendanceSystem.updateAttendance(year, month, request.memberId, request.date, request.status, options);
+    if (!applied) {
+      return res.status(409).json({ error: 'Member is no longer in the roster for this month' });
+    }
+    
+    res.json({ success: true, request: describeMemberRequest(portalManager.resolveRequest(request.id, 'approved', req.user.username, req.body.note)) });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/member_requests/:id/approve:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/member_requests/:id/reject', requirePermission('admin'), validateBody({ note: 'string?' }), (req, res) => {
+  const request = findPendingMemberRequest(req, res);
+  if (!request) return;
+  
+  res.json({ success: true, request: describeMemberRequest(portalManager.resolveRequest(request.id, 'rejected', req.user.username, req.body.note)) });
+});
+
+// 실시간 변경 알림 API
+// page/month는 접속자 표시용 (관리 화면에서 어느 달을 보고 있는지). 월이 바뀌면 클라이언트가 다시 연결함
+app.get('/api/events', validateQuery({ page: 'string?', month: 'monthKey?' }), (req, res) => {
+  if (liveEvents.clients.size >= LIVE_MAX_CLIENTS) {
+    return res.status(503).json({ error: 'Too many live connections' });
+  }
+
+  const editor = req.user && PERMISSION_LEVELS[req.user.role] >= PERMISSION_LEVELS.lead ? req.user : null;
+  liveEvents.connect(req, res, { user: editor, signedIn: !!req.user, page: req.query.page, month: req.query.month });
+});
+
+app.get('/api/events/presence', requirePermission('lead'), (req, res) => {
+  res.json(liveEvents.getPresence());
+});
+
+// 기타 활동 API
+function pickActivity(body) {
+  const activity = {};
+  ['date', 'type', 'description', 'credit'].forEach(field => {
+    if (body[field] !== undefined) {
+      activity[field] = body[field];
+    }
+  });
+  return activity;
+}
+
+const ACTIVITY_REQUEST_SCHEMA = { date: 'date?', type: 'text?', description: 'string?', credit: 'number?' };
+
+app.get('/api/activity_types', (req, res) => {
+  res.json(Object.keys(EXTRA_ACTIVITY_TYPES).map(key => ({ key: key, label: EXTRA_ACTIVITY_TYPES[key] })));
+});
+
+app.get('/api/activities/:year/:month', validateParams(MONTH_PARAMS_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month } = req.params;
+    
+    res.json(attendanceSystem.getMonthActivities(year, month));
+  } catch (error) {
+    console.error('Error in /api/activities:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/activities', requirePermission('lead'), validateBody(Object.assign({}, MEMBER_REF_SCHEMA, ACTIVITY_REQUEST_SCHEMA, { date: 'date' })), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month, memberId, name } = req.body;
+    if (!(memberId || name)) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    const activity = pickActivity(req.body);
+    const error = attendanceSystem.validateActivity(activity, attendanceSystem.getMonthKey(year, month));
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
+    
+    const resolvedId = resolveMemberParam(res, year, month, memberId || name);
+    if (!resolvedId) return;
+    
+    const created = await attendanceSystem.addActivity(year, month, resolvedId, activity, getChangeOptions(req));
+    res.json({ success: true, activity: created });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in POST /api/activities:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/activities/:id', requirePermission('lead'), validateBody(ACTIVITY_REQUEST_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const found = attendanceSystem.findActivity(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+    
+    const updates = pickActivity(req.body);
+    const error = attendanceSystem.validateActivity(updates, found.monthKey);
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
+    
+    const activity = await attendanceSystem.updateActivity(req.params.id, updates, getChangeOptions(req));
+    res.json({ success: true, activity: activity });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in PUT /api/activities:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/activities/:id', requirePermission('lead'), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    if (await attendanceSystem.deleteActivity(req.params.id, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Activity not found' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in DELETE /api/activities:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 멤버 명부 API
+// phone, joinedAt은 빈 문자열로 지울 수 있음 (joinedAt 형식은 validateMemberProfile에서 검사)
+const MEMBER_PROFILE_SCHEMA = { name: 'text?', phone: 'string?', joinedAt: 'string?', status: 'text?' };
+
+function pickMemberProfile(body) {
+  const profile = {};
+  ['name', 'phone', 'joinedAt', 'status'].forEach(field => {
+    if (body[field] !== undefined) {
+      profile[field] = body[field];
+    }
+  });
+  return profile;
+}
+
+app.get('/api/member_registry', requirePermission('viewer'), validateQuery({ status: 'string?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const registry = attendanceSystem.getMemberRegistry();
+    const profiles = Object.keys(registry)
+      .map(memberId => registry[memberId])
+      .filter(profile => !req.query.status || profile.status === req.query.status)
+      .sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+    res.json(profiles);
+  } catch (error) {
+    console.error('Error in /api/member_registry:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/member_registry', requirePermission('admin'), validateBody(Object.assign({}, MEMBER_PROFILE_SCHEMA, { name: 'text' })), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const profile = pickMemberProfile(req.body);
+    const validationError = attendanceSystem.validateMemberProfile(profile);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const created = await attendanceSystem.addMemberProfile(profile, getChangeOptions(req));
+    res.json({ success: true, member: created });
+  } catch (error) {
+    console.error('Error in POST /api/member_registry:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 이름을 바꾸면 (ID로 참조하는) 모든 월 기록에 반영됨
+app.put('/api/member_registry/:id', requirePermission('admin'), validateBody(MEMBER_PROFILE_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const updates = pickMemberProfile(req.body);
+    const validationError = attendanceSystem.validateMemberProfile(updates);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const updated = await attendanceSystem.updateMemberProfile(req.params.id, updates, getChangeOptions(req));
+    if (!updated) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    res.json({ success: true, member: updated });
+  } catch (error) {
+    console.error('Error in PUT /api/member_registry:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// :id 멤버의 전체 기록을 targetId 멤버로 합치고 :id는 병합됨 상태로 남김
+app.post('/api/member_registry/:id/merge', requirePermission('admin'), validateBody({ targetId: 'text' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { targetId } = req.body;
+    const result = await attendanceSystem.mergeMembers(req.params.id, targetId, getChangeOptions(req));
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json({ success: true, months: result.months });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/member_registry/:id/merge:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/member_registry/:id/history', validateQuery({ year: 'year?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const profile = attendanceSystem.getMemberProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const year = req.query.year || null;
+    
+    const history = attendanceSystem.getMemberHistory(profile.id, year);
+    res.json(Object.assign({
+      member: { id: profile.id, name: profile.name, status: profile.status, joinedAt: profile.joinedAt }
+    }, history));
+  } catch (error) {
+    console.error('Error in /api/member_registry/:id/history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/monthly_report/:year/:month', validateParams(MONTH_PARAMS_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month } = req.params;
+    
+    const reportData = attendanceSystem.exportMonthData(year, month);
+    res.json(reportData);
+  } catch (error) {
+    console.error('Error in /api/monthly_report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 기간 통계 API
+const MAX_STATS_MONTHS = 120;
+const STATS_RANGE_SCHEMA = { from: 'monthKey?', to: 'monthKey?' };
+
+// ?from=YYYY-MM&to=YYYY-MM 검증 (없으면 기본 범위 사용). 잘못된 경우 응답을 보내고 null 반환
+function parseStatsRange(req, res, defaultRange) {
+  const from = req.query.from || (defaultRange && defaultRange.from);
+  const to = req.query.to || (defaultRange && defaultRange.to);
+  
+  if (!from || !to) {
+    res.status(400).json({ error: 'from and to are required' });
+    return null;
+  }
+  if (from > to) {
+    res.status(400).json({ error: 'from must not be after to' });
+    return null;
+  }
+  if (attendanceSystem.getMonthKeysInRange(from, to).length > MAX_STATS_MONTHS) {
+    res.status(400).json({ error: `Range must not exceed ${MAX_STATS_MONTHS} months` });
+    return null;
+  }
+  return { from: from, to: to };
+}
+
+app.get('/api/stats/range', validateQuery(STATS_RANGE_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const range = parseStatsRange(req, res, attendanceSystem.getDataMonthRange());
+    if (!range) return;
+    
+    res.json(attendanceSystem.calculateRangeStats(range.from, range.to));
+  } catch (error) {
+    console.error('Error in /api/stats/range:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 보고서 파일 응답 (PDF 글꼴이 없으면 503)
+async function sendReport(res, build, filename) {
+  try {
+    const file = await build();
+    res.type(file.contentType);
+    res.attachment(filename + '.' + file.extension);
+    res.send(file.buffer);
+  } catch (error) {
+    if (error.code === 'PDF_FONT_MISSING') {
+      console.error('PDF 보고서 생성 실패:', error.message);
+      return res.status(503).json({ error: 'PDF export is not available: no Korean font configured (set PDF_FONT_PATH)' });
+    }
+    throw error;
+  }
+}
+
+function formatReportTime(date) {
+  return ClubDate.formatDateTime(date);
+}
+
+app.get('/api/stats/range.:format', validateQuery(STATS_RANGE_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const format = req.params.format;
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'format must be one of ' + REPORT_FORMATS.join(', ') });
+    }
+    
+    const range = parseStatsRange(req, res, attendanceSystem.getDataMonthRange());
+    if (!range) return;
+    
+    const stats = attendanceSystem.calculateRangeStats(range.from, range.to);
+    const title = `출석 통계 ${range.from} ~ ${range.to}`;
+    await sendReport(res, () => buildRangeReport(format, stats, {
+      title: title,
+      subtitle: [
+        `생성: ${formatReportTime(new Date())}`,
+        `${stats.months.length}개월 · 멤버 ${stats.members.length}명 · 세션 ${stats.sessions.length}회`
+      ],
+      fontPath: PDF_FONT_PATH
+    }), `출석통계_${range.from}_${range.to}`);
+  } catch (error) {
+    console.error('Error in /api/stats/range.:format:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+app.get('/api/stats/member/:id', validateQuery(STATS_RANGE_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const profile = attendanceSystem.getMemberProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const defaultRange = attendanceSystem.getDataMonthRange(profile.id);
+    if (!defaultRange && !req.query.from && !req.query.to) {
+      // 아직 어느 달 명단에도 없는 멤버
+      return res.json({ from: null, to: null, member: { id: profile.id, name: profile.name, status: profile.status, joinedAt: profile.joinedAt }, stats: null });
+    }
+
+    const range = parseStatsRange(req, res, defaultRange);
+    if (!range) return;
+
+    const stats = attendanceSystem.calculateRangeStats(range.from, range.to);
+    const memberStats = stats.members.find(entry => entry.id === profile.id) || null;
+    res.json({
+      from: range.from,
+      to: range.to,
+      member: { id: profile.id, name: profile.name, status: profile.status, joinedAt: profile.joinedAt },
+      stats: memberStats
+    });
+  } catch (error) {
+    console.error('Error in /api/stats/member/:id:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/dates/:year/:month', validateParams(MONTH_PARAMS_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month } = req.params;
+    
+    const dates = attendanceSystem.getMonthDates(year, month);
+    res.json(dates);
+  } catch (error) {
+    console.error('Error in /api/dates:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/schedule', async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    res.json(attendanceSystem.getSchedule());
+  } catch (error) {
+    console.error('Error in /api/schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/schedule/:year/:month', validateParams(MONTH_PARAMS_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month } = req.params;
+    
+    const monthKey = attendanceSystem.getMonthKey(year, month);
+    const schedule = attendanceSystem.getSchedule();
+    const exceptions = {};
+    Object.keys(schedule.exceptions).forEach(date => {
+      if (date.startsWith(monthKey)) {
+        exceptions[date] = schedule.exceptions[date];
+      }
+    });
+    
+    res.json({
+      rule: attendanceSystem.getScheduleRuleForMonth(monthKey),
+      exceptions: exceptions,
+      sessions: attendanceSystem.getMonthSessions(year, month)
+    });
+  } catch (error) {
+    console.error('Error in /api/schedule/:year/:month:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const SCHEDULE_RULE_SCHEMA = { from: 'monthKey?', to: 'monthKey?', weekdays: 'array?' };
+
+app.post('/api/schedule/rules', requirePermission('admin'), validateBody(Object.assign({}, SCHEDULE_RULE_SCHEMA, { weekdays: 'array' })), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { from, to, weekdays } = req.body;
+    const validationError = attendanceSystem.validateScheduleRule({ from, to, weekdays });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const rule = await attendanceSystem.addScheduleRule({ from, to, weekdays }, getChangeOptions(req));
+    res.json({ success: true, rule: rule });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in POST /api/schedule/rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/schedule/rules/:id', requirePermission('admin'), validateBody(SCHEDULE_RULE_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const existing = attendanceSystem.getSchedule().rules.find(r => r.id === req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule rule not found' });
+    }
+    
+    const updates = {};
+    ['from', 'to', 'weekdays'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    
+    const validationError = attendanceSystem.validateScheduleRule(Object.assign({}, existing, updates));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const rule = await attendanceSystem.updateScheduleRule(req.params.id, updates, getChangeOptions(req));
+    res.json({ success: true, rule: rule });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in PUT /api/schedule/rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/schedule/rules/:id', requirePermission('admin'), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    if (await attendanceSystem.deleteScheduleRule(req.params.id, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Schedule rule not found' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in DELETE /api/schedule/rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/schedule/exceptions/:date', requirePermission('admin'), validateParams({ date: 'date' }), validateBody({ type: 'text', label: 'string?', reason: 'string?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const date = req.params.date;
+    const { type, label, reason } = req.body;
+    
+    if (SCHEDULE_EXCEPTION_TYPES.indexOf(type) === -1) {
+      return res.status(400).json({ error: 'type must be one of ' + SCHEDULE_EXCEPTION_TYPES.join(', ') });
+    }
+    
+    if (type === 'relabel' && !label) {
+      return res.status(400).json({ error: 'label is required for relabel' });
+    }
+    
+    const exception = await attendanceSystem.setScheduleException(date, { type, label, reason }, getChangeOptions(req));
+    res.json({ success: true, exception: exception });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in PUT /api/schedule/exceptions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/schedule/exceptions/:date', requirePermission('admin'), validateParams({ date: 'date' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    if (await attendanceSystem.deleteScheduleException(req.params.date, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Schedule exception not found' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in DELETE /api/schedule/exceptions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 세션 메타데이터 API
+app.get('/api/sessions/:year/:month', validateParams(MONTH_PARAMS_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month } = req.params;
+    
+    res.json(attendanceSystem.getSessionSummaries(year, month));
+  } catch (error) {
+    console.error('Error in /api/sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/sessions/:date', requirePermission('lead'), validateParams({ date: 'date' }), validateBody({
+  location: 'string?',
+  course: 'string?',
+  distance: 'number?',
+  notes: 'string?',
+  leadPacer: 'string?',
+  paceGroups: 'array?'
+}), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const date = req.params.date;
+    const sessionError = checkSessionDate(parseInt(date.slice(0, 4)), parseInt(date.slice(5, 7)), date);
+    if (sessionError) {
+      return res.status(400).json({ error: sessionError });
+    }
+    
+    const meta = {};
+    ['location', 'course', 'distance', 'notes', 'leadPacer', 'paceGroups'].forEach(field => {
+      if (req.body[field] !== undefined) meta[field] = req.body[field];
+    });
+    
+    const error = attendanceSystem.validateSessionMeta(meta);
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
+    
+    const session = await attendanceSystem.setSessionMeta(date, meta, getChangeOptions(req));
+    res.json({ success: true, session: session });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in PUT /api/sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/sessions/:date', requirePermission('lead'), validateParams({ date: 'date' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    if (await attendanceSystem.deleteSessionMeta(req.params.date, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Session metadata not found' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in DELETE /api/sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const ROLE_REQUIREMENT_SCHEMA = { from: 'monthKey?', total: 'integer?', wednesday: 'integer?', rules: 'array?' };
+
+app.get('/api/roles', validateQuery({ year: 'year?', month: 'month?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month } = req.query;
+    const hasMonth = !!(year && month);
+    
+    const roles = attendanceSystem.getRoles();
+    const result = Object.keys(roles).map(name => {
+      const role = {
+        name: name,
+        order: roles[name].order,
+        requirements: roles[name].requirements
+      };
+      if (hasMonth) {
+        role.current = attendanceSystem.getRoleRequirements(name, year, month);
+      }
+      return role;
+    });
+    result.sort((a, b) => (a.order || 0) - (b.order || 0));
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error in /api/roles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/roles', requirePermission('admin'), validateBody(Object.assign({ name: 'text' }, ROLE_REQUIREMENT_SCHEMA)), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { name, total, wednesday, from, rules } = req.body;
+    
+    const requirement = { from: from || null, total: total || 0, wednesday: wednesday || 0, rules: rules || [] };
+    const validationError = attendanceSystem.validateRoleRequirement(requirement);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    if (await attendanceSystem.addRole(name.trim(), requirement, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(400).json({ error: 'Role already exists' });
+    }
+  } catch (error) {
+    console.error('Error in POST /api/roles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/roles/:name', requirePermission('admin'), validateBody({ order: 'integer' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const name = decodeURIComponent(req.params.name);
+    const { order } = req.body;
+    
+    if (await attendanceSystem.updateRoleOrder(name, order, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Role not found' });
+    }
+  } catch (error) {
+    console.error('Error in PUT /api/roles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/roles/:name/requirements', requirePermission('admin'), validateBody(Object.assign({}, ROLE_REQUIREMENT_SCHEMA, { total: 'integer', wednesday: 'integer' })), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const name = decodeURIComponent(req.params.name);
+    const { from, total, wednesday, rules } = req.body;
+    const requirement = { from: from || null, total: total, wednesday: wednesday, rules: rules || [] };
+    
+    const validationError = attendanceSystem.validateRoleRequirement(requirement);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    if (await attendanceSystem.setRoleRequirement(name, requirement, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Role not found' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in PUT /api/roles/requirements:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/roles/:name', requirePermission('admin'), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const name = decodeURIComponent(req.params.name);
+    
+    if (attendanceSystem.isRoleInUse(name)) {
+      return res.status(400).json({ error: 'Role is in use' });
+    }
+    
+    if (await attendanceSystem.deleteRole(name, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Role not found' });
+    }
+  } catch (error) {
+    console.error('Error in DELETE /api/roles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 출석 상태 API
+app.get('/api/statuses', async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const statuses = attendanceSystem.getAttendanceStatuses();
+    const result = Object.keys(statuses)
+      .map(key => Object.assign({ key: key, builtin: BUILTIN_ATTENDANCE_STATUSES.indexOf(key) !== -1 }, statuses[key]))
+      .sort((a, b) => a.order - b.order);
+    res.json(result);
+  } catch (error) {
+    console.error('Error in /api/statuses:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/statuses/:key', requirePermission('admin'), validateBody({ label: 'text', short: 'string?', weight: 'number?', order: 'integer?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
     
-    for (let i = 0; i < memberEntries.length; i++) {
-      const name = memberEntries[i];
-      const memberInfo = members[name];
-      const stats = this.calculateMonthlyStats(year, month, name);
-      
-      report[name] = {
-        role: memberInfo.role,
-        order: memberInfo.order || 0,
-        stats: stats,
-        attendance: {},
-        extraAttendance: memberInfo.extraAttendance || {}
-      };
-      
-      for (let j = 0; j < dates.length; j++) {
-        const dateStr = dates[j];
-        report[name].attendance[dateStr] = memberInfo.attendance[dateStr] || 0;
-      }
+    const key = req.params.key;
+    if (!ATTENDANCE_STATUS_KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: 'key must be lowercase letters, digits or underscores' });
     }
     
-    return {
-      exportDate: new Date().toISOString(),
-      year: year,
-      month: month,
-      members: report,
-      dates: dates
+    const definition = {
+      label: req.body.label,
+      short: req.body.short,
+      weight: req.body.weight === undefined ? 0 : req.body.weight,
+      order: req.body.order
     };
+    const error = attendanceSystem.validateAttendanceStatus(definition);
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
+    
+    const status = await attendanceSystem.setAttendanceStatus(key, definition, getChangeOptions(req));
+    res.json({ success: true, status: Object.assign({ key: key }, status) });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in PUT /api/statuses:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-}
-
-const attendanceSystem = new GitHubAttendanceSystem();
-
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Internal server error' });
 });
 
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+app.delete('/api/statuses/:key', requirePermission('admin'), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const key = req.params.key;
+    if (BUILTIN_ATTENDANCE_STATUSES.indexOf(key) !== -1) {
+      return res.status(400).json({ error: 'Built-in status cannot be deleted' });
+    }
+    if (attendanceSystem.isAttendanceStatusInUse(key)) {
+      return res.status(400).json({ error: 'Status is in use' });
+    }
+    
+    if (await attendanceSystem.deleteAttendanceStatus(key, getChangeOptions(req))) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Status not found' });
+    }
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in DELETE /api/statuses:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    github_connected: !!octokit,
-    data_initialized: attendanceSystem.isInitialized
-  });
-});
+const REQUIREMENT_RULE_SCHEMA = {
+  name: 'text',
+  type: 'text?',
+  min: 'integer',
+  weekdays: 'array?',
+  includeExtra: 'boolean?',
+  extraMax: 'integer?',
+  excusedReduces: 'boolean?'
+};
 
-// API 엔드포인트들
-app.get('/api/members/:year/:month', async (req, res) => {
+function pickRequirementRule(body) {
+  const rule = {
+    name: body.name,
+    type: body.type || 'min_attendance',
+    min: body.min
+  };
+  if (body.weekdays) rule.weekdays = body.weekdays;
+  if (body.includeExtra) rule.includeExtra = true;
+  if (body.extraMax !== undefined && body.extraMax !== null) rule.extraMax = body.extraMax;
+  if (body.excusedReduces) rule.excusedReduces = true;
+  return rule;
+}
+
+app.get('/api/rules', async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
-    const year = parseInt(req.params.year);
-    const month = parseInt(req.params.month);
+    const rules = attendanceSystem.getRequirementRules();
+    res.json(Object.keys(rules).map(id => rules[id]));
+  } catch (error) {
+    console.error('Error in /api/rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/rules', requirePermission('admin'), validateBody(REQUIREMENT_RULE_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
     
-    if (isNaN(year) || isNaN(month) || month < 1 || month > 12) {
-      return res.status(400).json({ error: 'Invalid year or month' });
+    const rule = pickRequirementRule(req.body);
+    const validationError = validateRequirementRule(rule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
     
-    const members = attendanceSystem.getMonthMembers(year, month);
-    res.json(members);
+    const created = await attendanceSystem.addRequirementRule(rule, getChangeOptions(req));
+    res.json({ success: true, rule: created });
   } catch (error) {
-    console.error('Error in /api/members:', error);
+    console.error('Error in POST /api/rules:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/add_member', async (req, res) => {
+app.put('/api/rules/:id', requirePermission('admin'), validateBody(REQUIREMENT_RULE_SCHEMA), async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
-    const { year, month, name, role } = req.body;
-    
-    if (!year || !month || !name || !role) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const rule = pickRequirementRule(req.body);
+    const validationError = validateRequirementRule(rule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
     
-    if (await attendanceSystem.addMember(year, month, name, role)) {
-      res.json({ success: true });
+    const updated = await attendanceSystem.updateRequirementRule(req.params.id, rule, getChangeOptions(req));
+    if (updated) {
+      res.json({ success: true, rule: updated });
     } else {
-      res.status(400).json({ error: 'Member already exists' });
+      res.status(404).json({ error: 'Rule not found' });
     }
   } catch (error) {
-    console.error('Error in /api/add_member:', error);
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in PUT /api/rules:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.delete('/api/member/:year/:month/:name', async (req, res) => {
+app.delete('/api/rules/:id', requirePermission('admin'), async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
-    const year = parseInt(req.params.year);
-    const month = parseInt(req.params.month);
-    const name = decodeURIComponent(req.params.name);
+    if (attendanceSystem.isRequirementRuleInUse(req.params.id)) {
+      return res.status(400).json({ error: 'Rule is referenced by a role' });
+    }
     
-    if (await attendanceSystem.deleteMember(year, month, name)) {
+    if (await attendanceSystem.deleteRequirementRule(req.params.id, getChangeOptions(req))) {
       res.json({ success: true });
     } else {
-      res.status(400).json({ error: 'Failed to delete member' });
+      res.status(404).json({ error: 'Rule not found' });
     }
   } catch (error) {
-    console.error('Error in DELETE /api/member:', error);
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in DELETE /api/rules:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.put('/api/member_role', async (req, res) => {
+app.put('/api/member_exemption', requirePermission('admin'), validateBody(Object.assign({ reason: 'string?' }, MEMBER_REF_SCHEMA)), async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
-    const { year, month, name, role } = req.body;
+    const { year, month, memberId, name, reason } = req.body;
     
-    if (!year || !month || !name || !role) {
+    if (!(memberId || name)) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
-    if (await attendanceSystem.updateMemberRole(year, month, name, role)) {
+    const resolvedId = resolveMemberParam(res, year, month, memberId || name);
+    if (!resolvedId) return;
+    
+    if (await attendanceSystem.setMemberExemption(year, month, resolvedId, reason, getChangeOptions(req))) {
       res.json({ success: true });
     } else {
-      res.status(400).json({ error: 'Failed to update member role' });
+      res.status(400).json({ error: 'Failed to update exemption' });
     }
   } catch (error) {
-    console.error('Error in /api/member_role:', error);
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/member_exemption:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.put('/api/member_orders', async (req, res) => {
+app.put('/api/member_excused', requirePermission('lead'), validateBody(Object.assign({ date: 'date', reason: 'string?' }, MEMBER_REF_SCHEMA)), async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
-    const { year, month, orders } = req.body;
+    const { year, month, memberId, name, date, reason } = req.body;
+    
+    if (!(memberId || name)) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
     
-    if (!year || !month || !orders || !Array.isArray(orders)) {
-      return res.status(400).json({ error: 'Missing required fields or invalid orders' });
+    const sessionError = checkSessionDate(year, month, date);
+    if (sessionError) {
+      return res.status(400).json({ error: sessionError });
     }
     
-    if (await attendanceSystem.updateMemberOrder(year, month, orders)) {
+    const resolvedId = resolveMemberParam(res, year, month, memberId || name);
+    if (!resolvedId) return;
+    
+    if (await attendanceSystem.setExcusedAbsence(year, month, resolvedId, date, reason, getChangeOptions(req))) {
       res.json({ success: true });
     } else {
-      res.status(400).json({ error: 'Failed to update member orders' });
+      res.status(400).json({ error: 'Failed to update excused absence' });
     }
   } catch (error) {
-    console.error('Error in /api/member_orders:', error);
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/member_excused:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/copy_previous_month', async (req, res) => {
+app.get('/api/audit', requirePermission('viewer'), validateQuery({
+  member: 'string?',
+  month: 'monthKey?',
+  date: 'date?',
+  from: 'date?',
+  to: 'date?',
+  action: 'string?',
+  request: 'string?',
+  limit: 'string?'
+}), async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
-    const { year, month } = req.body;
+    const { member, month, date, from, to, action, request } = req.query;
+    const limit = parseInt(req.query.limit) || 200;
     
-    if (!year || !month) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const entries = attendanceSystem.queryAuditLog({
+      member: member,
+      monthKey: month,
+      date: date,
+      from: from,
+      to: to,
+      action: action,
+      request: request,
+      limit: Math.min(limit, 1000)
+    });
+    res.json(entries.map(entry => Object.assign({}, entry, {
+      memberName: entry.member ? attendanceSystem.getMemberName(entry.member) : null
+    })));
+  } catch (error) {
+    console.error('Error in /api/audit:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/audit/:id/revert', requirePermission('admin'), validateBody({ force: 'boolean?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
     
-    if (await attendanceSystem.copyFromPreviousMonth(year, month)) {
+    const result = await attendanceSystem.revertChange(req.params.id, !!req.body.force, getChangeOptions(req));
+    if (result.success) {
       res.json({ success: true });
     } else {
-      res.status(400).json({ error: 'No previous month data found or failed to copy' });
+      res.status(result.status).json({ success: false, error: result.error, current: result.current });
     }
   } catch (error) {
-    console.error('Error in /api/copy_previous_month:', error);
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/audit/revert:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/restore/points', requirePermission('admin'), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const points = await attendanceSystem.listRestorePoints();
+    res.json(points);
+  } catch (error) {
+    console.error('Error in /api/restore/points:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/attendance', async (req, res) => {
+app.post('/api/restore/month', requirePermission('admin'), validateBody({ year: 'year', month: 'month', timestamp: 'timestamp', source: 'text?' }), async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
-    const { year, month, name, date, status } = req.body;
+    const { year, month, timestamp, source } = req.body;
     
-    if (!year || !month || !name || !date || status === undefined) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (source && source !== 'local' && source !== 'github') {
+      return res.status(400).json({ error: 'source must be local or github' });
     }
     
-    if (await attendanceSystem.updateAttendance(year, month, name, date, status)) {
-      res.json({ success: true });
+    if (source === 'github' && !octokit) {
+      return res.status(400).json({ error: 'GitHub is not configured' });
+    }
+    
+    const result = await attendanceSystem.restoreMonth(year, month, timestamp, source || 'local', getChangeOptions(req));
+    if (result.success) {
+      res.json(result);
     } else {
-      res.status(400).json({ error: 'Failed to update attendance' });
+      res.status(404).json(result);
     }
   } catch (error) {
-    console.error('Error in /api/attendance:', error);
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/restore/month:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/monthly_report/:year/:month', async (req, res) => {
+// 데이터 정합성 점검 API
+app.get('/api/admin/integrity', requirePermission('admin'), async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
-    const year = parseInt(req.params.year);
-    const month = parseInt(req.params.month);
+    res.json(attendanceSystem.checkIntegrity());
+  } catch (error) {
+    console.error('Error in /api/admin/integrity:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// categories에 지정한 분류만 자동 수정
+app.post('/api/admin/integrity/fix', requirePermission('admin'), validateBody({ categories: 'array' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
     
-    if (isNaN(year) || isNaN(month) || month < 1 || month > 12) {
-      return res.status(400).json({ error: 'Invalid year or month' });
+    const { categories } = req.body;
+    const unknown = categories.filter(category => !INTEGRITY_CATEGORIES.hasOwnProperty(category));
+    if (categories.length === 0 || unknown.length > 0) {
+      return res.status(400).json({ error: 'categories must be a non-empty array of ' + Object.keys(INTEGRITY_CATEGORIES).join(', ') });
     }
     
-    const reportData = attendanceSystem.exportMonthData(year, month);
-    res.json(reportData);
+    const result = await attendanceSystem.fixIntegrity(categories, getChangeOptions(req));
+    res.json(Object.assign({ success: true }, result));
   } catch (error) {
-    console.error('Error in /api/monthly_report:', error);
+    console.error('Error in /api/admin/integrity/fix:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 월 상태 (open → locked → finalized)
+// 잠금은 리드도 할 수 있고, 확정과 되돌리기(다시 열기, 확정 해제)는 관리자만
+app.get('/api/months/states', requirePermission('viewer'), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    res.json(Object.keys(attendanceSystem.data._months || {}).sort().map(monthKey => attendanceSystem.describeMonthState(monthKey)));
+  } catch (error) {
+    console.error('Error in /api/months/states:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/dates/:year/:month', async (req, res) => {
+app.get('/api/months/:year/:month/state', requirePermission('viewer'), validateParams(MONTH_PARAMS_SCHEMA), async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
-    const year = parseInt(req.params.year);
-    const month = parseInt(req.params.month);
+    const { year, month } = req.params;
+    const monthKey = attendanceSystem.getMonthKey(year, month);
+    if (!attendanceSystem.data[monthKey]) {
+      return res.status(404).json({ error: 'Month not found' });
+    }
+    const entry = attendanceSystem.getMonthState(monthKey);
+    res.json(Object.assign(attendanceSystem.describeMonthState(monthKey), { snapshot: entry.snapshot || null }));
+  } catch (error) {
+    console.error('Error in /api/months/state:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/months/:year/:month/state', requirePermission('lead'), validateParams(MONTH_PARAMS_SCHEMA), validateBody({ state: 'string', reason: 'text?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
     
-    if (isNaN(year) || isNaN(month) || month < 1 || month > 12) {
-      return res.status(400).json({ error: 'Invalid year or month' });
+    const { year, month } = req.params;
+    const { state, reason } = req.body;
+    if (MONTH_STATES.indexOf(state) === -1) {
+      return res.status(400).json({ error: 'state must be one of ' + MONTH_STATES.join(', ') });
+    }
+    const current = attendanceSystem.getMonthState(attendanceSystem.getMonthKey(year, month)).state;
+    if ((state !== 'locked' || current !== 'open') && PERMISSION_LEVELS[req.user.role] < PERMISSION_LEVELS.admin) {
+      return res.status(403).json({ error: 'Only admins can finalize or reopen a month' });
     }
     
-    const dates = attendanceSystem.getMonthDates(year, month);
-    res.json(dates);
+    const result = await attendanceSystem.setMonthState(year, month, state, reason ? reason.trim() : null, getChangeOptions(req));
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    console.log(`월 상태 변경: ${attendanceSystem.getMonthKey(year, month)} ${current} → ${state} (${req.user.username})`);
+    res.json(result);
   } catch (error) {
-    console.error('Error in /api/dates:', error);
+    console.error('Error in PUT /api/months/state:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 출석 조건 전망: 오늘(클럽 시간대) 기준으로 누가 남은 세션으로 조건을 채울 수 있는지
+app.get('/api/requirements/outlook/:year/:month', requirePermission('lead'), validateParams(MONTH_PARAMS_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month } = req.params;
+    res.json(attendanceSystem.getRequirementOutlook(year, month));
+  } catch (error) {
+    console.error('Error in /api/requirements/outlook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 알림 설정(알림 대상, 보내는 날)과 최근 발송 기록
+app.get('/api/admin/notifications', requirePermission('admin'), async (req, res) => {
+  try {
+    res.json(reminderScheduler.getStatus());
+  } catch (error) {
+    console.error('Error in /api/admin/notifications:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 알림 바로 보내기 (kind: reminder | summary | test). 정해진 날의 자동 발송 기록에는 영향 없음
+const NOTIFICATION_KINDS = ['reminder', 'summary', 'test'];
+
+app.post('/api/admin/notifications/send', requirePermission('admin'), validateBody({ kind: 'string', year: 'year?', month: 'month?' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { kind, year, month } = req.body;
+    if (NOTIFICATION_KINDS.indexOf(kind) === -1) {
+      return res.status(400).json({ error: 'kind must be one of ' + NOTIFICATION_KINDS.join(', ') });
+    }
+    if (kind !== 'test' && (!year || !month)) {
+      return res.status(400).json({ error: 'year and month are required' });
+    }
+    if (reminderScheduler.notifiers.length === 0) {
+      return res.status(409).json({ error: 'No notifiers configured' });
+    }
+    
+    const result = await reminderScheduler.send(kind, year, month, req.user.username);
+    res.json({
+      success: result.results.every(entry => entry.ok),
+      title: result.message.title,
+      text: result.message.text,
+      results: result.results
+    });
+  } catch (error) {
+    console.error('Error in /api/admin/notifications/send:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/export/all', async (req, res) => {
+app.get('/api/export/all', requirePermission('viewer'), async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
@@ -690,17 +7030,41 @@ app.get('/api/export/all', async (req, res) => {
   }
 });
 
-app.get('/api/export/:year/:month', async (req, res) => {
+// 월별 보고서 파일. /api/export/:year/:month보다 먼저 등록해야 ':month'가 '6.xlsx'를 가져가지 않음
+app.get('/api/export/:year/:month.:format', validateParams(MONTH_PARAMS_SCHEMA), async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
-    const year = parseInt(req.params.year);
-    const month = parseInt(req.params.month);
-    
-    if (isNaN(year) || isNaN(month) || month < 1 || month > 12) {
-      return res.status(400).json({ error: 'Invalid year or month' });
+    const { year, month, format } = req.params;
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'format must be one of ' + REPORT_FORMATS.join(', ') });
     }
     
+    const report = attendanceSystem.exportMonthData(year, month);
+    const results = Object.values(report.members).map(member => member.stats);
+    const exemptCount = results.filter(stats => stats.exempt).length;
+    const metCount = results.filter(stats => !stats.exempt && stats.meets_requirement).length;
+    const title = `${year}년 ${parseInt(month)}월 출석 현황`;
+    await sendReport(res, () => buildMonthReport(format, report, {
+      title: title,
+      subtitle: [
+        `생성: ${formatReportTime(new Date())}`,
+        `멤버 ${results.length}명 · 충족 ${metCount}명 · 미충족 ${results.length - metCount - exemptCount}명 · 면제 ${exemptCount}명`
+      ],
+      fontPath: PDF_FONT_PATH
+    }), `${year}년_${parseInt(month)}월_출석현황`);
+  } catch (error) {
+    console.error('Error in /api/export/:year/:month.:format:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+app.get('/api/export/:year/:month', validateParams(MONTH_PARAMS_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const { year, month } = req.params;
+    
     const exportData = attendanceSystem.exportMonthData(year, month);
     res.json(exportData);
   } catch (error) {
@@ -709,29 +7073,24 @@ app.get('/api/export/:year/:month', async (req, res) => {
   }
 });
 
-app.post('/api/import_month_data', async (req, res) => {
+app.post('/api/import_month_data', requirePermission('admin'), validateBody({ year: 'year', month: 'month', data: 'object' }), async (req, res) => {
   try {
     await attendanceSystem.waitForInitialization();
     
     const { year, month, data } = req.body;
     
-    if (!year || !month || !data) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields' 
-      });
-    }
-    
-    if (isNaN(year) || isNaN(month) || month < 1 || month > 12) {
+    const validationError = attendanceSystem.validateImportData(year, month, data);
+    if (validationError) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Invalid year or month' 
+        error: validationError 
       });
     }
     
-    const result = await attendanceSystem.importMonthData(year, month, data);
+    const result = await attendanceSystem.importMonthData(year, month, data, getChangeOptions(req));
     res.json(result);
   } catch (error) {
+    if (sendMonthLocked(res, error)) return;
     console.error('Error in /api/import_month_data:', error);
     res.status(500).json({ 
       success: false, 
@@ -740,14 +7099,125 @@ app.post('/api/import_month_data', async (req, res) => {
   }
 });
 
-app.get('/api/github/status', async (req, res) => {
+// 스프레드시트(CSV/XLSX) 가져오기. 미리보기와 적용에 같은 본문을 보냄
+//   file: base64 파일 내용, filename: 확장자로 형식 판단, mode: merge(기본) | replace
+//   mapping: 열 매핑 덮어쓰기, members: { 시트 이름: memberId | 'new' | 'skip' }
+//   monthHash: 미리보기 응답의 값. 적용 시 그 사이에 이 달 데이터가 바뀌었으면 409
+const SPREADSHEET_IMPORT_MODES = ['merge', 'replace'];
+const SPREADSHEET_IMPORT_SCHEMA = {
+  file: 'text',
+  filename: 'text',
+  sheet: 'string?',
+  mode: 'text?',
+  mapping: 'object?',
+  members: 'object?',
+  defaultRole: 'text?',
+  monthHash: 'string?'
+};
+const IMPORT_MAPPING_SCHEMA = { headerRow: 'integer?', nameColumn: 'integer?', roleColumn: 'integer?', dateColumns: 'object?' };
+
+// 파일을 읽어 가져오기 계획을 만듦. 요청이 잘못되면 응답을 보내고 null 반환
+async function prepareSpreadsheetImport(req, res) {
+  const { year, month } = req.params;
+  const body = req.body;
+  
+  const format = path.extname(body.filename).slice(1).toLowerCase();
+  if (SPREADSHEET_FORMATS.indexOf(format) === -1) {
+    res.status(400).json({ error: 'filename must end with ' + SPREADSHEET_FORMATS.map(ext => '.' + ext).join(', ') });
+    return null;
+  }
+  if (body.mode && SPREADSHEET_IMPORT_MODES.indexOf(body.mode) === -1) {
+    res.status(400).json({ error: 'mode must be one of ' + SPREADSHEET_IMPORT_MODES.join(', ') });
+    return null;
+  }
+  if (body.defaultRole && !attendanceSystem.hasRole(body.defaultRole)) {
+    res.status(400).json({ error: 'Unknown role: ' + body.defaultRole });
+    return null;
+  }
+  const mappingError = body.mapping ? validateFields(body.mapping, IMPORT_MAPPING_SCHEMA) : null;
+  if (mappingError) {
+    res.status(400).json({ error: 'mapping.' + mappingError });
+    return null;
+  }
+
+  let sheet;
+  try {
+    sheet = await readSpreadsheet(Buffer.from(body.file, 'base64'), format, {
+      sheet: body.sheet,
+      prefer: rows => Object.keys(detectColumns(rows, year, month).dateColumns).length > 0
+    });
+  } catch (error) {
+    if (error.code === 'SPREADSHEET_INVALID') {
+      res.status(400).json({ error: error.message });
+      return null;
+    }
+    throw error;
+  }
+
+  const plan = attendanceSystem.buildSpreadsheetImport(year, month, sheet.rows, {
+    mode: body.mode,
+    mapping: body.mapping,
+    members: body.members,
+    defaultRole: body.defaultRole
+  });
+  if (!plan.success) {
+    res.status(plan.status).json({ error: plan.error });
+    return null;
+  }
+  plan.preview.sheet = sheet.sheet;
+  plan.preview.sheets = sheet.sheets;
+  return plan;
+}
+
+app.post('/api/import/:year/:month/preview', requirePermission('admin'), validateParams(MONTH_PARAMS_SCHEMA), validateBody(SPREADSHEET_IMPORT_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const plan = await prepareSpreadsheetImport(req, res);
+    if (!plan) return;
+    
+    res.json(plan.preview);
+  } catch (error) {
+    console.error('Error in /api/import/:year/:month/preview:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/import/:year/:month/commit', requirePermission('admin'), validateParams(MONTH_PARAMS_SCHEMA), validateBody(SPREADSHEET_IMPORT_SCHEMA), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    const plan = await prepareSpreadsheetImport(req, res);
+    if (!plan) return;
+    
+    if (req.body.monthHash && req.body.monthHash !== plan.preview.monthHash) {
+      return res.status(409).json({ error: 'Month data changed since the preview, please preview again', preview: plan.preview });
+    }
+    
+    const { year, month } = req.params;
+    const result = await attendanceSystem.applySpreadsheetImport(year, month, plan, getChangeOptions(req));
+    res.json(result);
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/import/:year/:month/commit:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/github/status', requirePermission('viewer'), async (req, res) => {
   try {
     res.json({
       connected: !!octokit,
       owner: GITHUB_OWNER || null,
       repo: GITHUB_REPO || null,
       dataPath: DATA_FILE_PATH,
-      lastSha: attendanceSystem.lastSha || null
+      lastSha: attendanceSystem.lastSha || null,
+      lastSyncedAt: attendanceSystem.lastSyncedAt,
+      lastSyncError: attendanceSystem.lastSyncError,
+      pendingWrites: attendanceSystem.pendingWrites,
+      pendingChanges: attendanceSystem.pendingChanges.length,
+      unsynced: !!octokit && !isSameValue(attendanceSystem.data, attendanceSystem.baseData),
+      conflicts: attendanceSystem.conflicts
     });
   } catch (error) {
     console.error('Error in /api/github/status:', error);
@@ -755,9 +7225,57 @@ app.get('/api/github/status', async (req, res) => {
   }
 });
 
-app.post('/api/github/sync', async (req, res) => {
+app.post('/api/github/conflicts/:id/resolve', requirePermission('admin'), validateBody({ choice: 'text' }), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    const { choice } = req.body;
+    
+    if (choice !== 'ours' && choice !== 'theirs') {
+      return res.status(400).json({ error: 'choice must be ours or theirs' });
+    }
+    
+    const resolved = await attendanceSystem.resolveConflict(req.params.id, choice, getChangeOptions(req));
+    if (!resolved) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    if (sendMonthLocked(res, error)) return;
+    console.error('Error in /api/github/conflicts/:id/resolve:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/github/flush', requirePermission('lead'), async (req, res) => {
+  try {
+    await attendanceSystem.waitForInitialization();
+    
+    if (!octokit) {
+      return res.status(400).json({ error: 'GitHub is not configured' });
+    }
+    
+    const count = attendanceSystem.pendingChanges.length;
+    const success = await attendanceSystem.flushToGitHub();
+    
+    if (!success) {
+      return res.status(502).json({
+        success: false,
+        error: attendanceSystem.lastSyncError || 'GitHub flush failed',
+        pending: attendanceSystem.pendingChanges.length
+      });
+    }
+    
+    res.json({ success: true, flushed: count });
+  } catch (error) {
+    console.error('Error in /api/github/flush:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/github/sync', requirePermission('admin'), async (req, res) => {
   try {
-    const success = await attendanceSystem.loadFromGitHub();
+    const success = await attendanceSystem.syncFromGitHub(getChangeOptions(req));
     
     if (success) {
       res.json({ 
@@ -783,9 +7301,25 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
 });
 
+// 종료 전에 남은 스냅샷을 남기고 남은 변경을 GitHub에 올림
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    if (attendanceSystem.snapshotTimer) {
+      attendanceSystem.writeSnapshot();
+    }
+    if (attendanceSystem.pendingChanges.length > 0) {
+      console.log(`종료 전 GitHub에 남은 변경 ${attendanceSystem.pendingChanges.length}건 저장 중...`);
+      await attendanceSystem.flushToGitHub().catch(error => console.error('GitHub 일괄 저장 오류:', error.message));
+    }
+    process.exit(0);
+  });
+});
+
 app.listen(PORT, () => {
   console.log(`출석 시스템이 포트 ${PORT}에서 실행 중입니다.`);
   console.log(`환경: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`클럽 시간대: ${ClubDate.getTimeZone()}`);
+  reminderScheduler.start();
   console.log(`GitHub 연결: ${!!octokit ? '연결됨' : '연결 안됨'}`);
   if (octokit) {
     console.log(`GitHub 저장소: ${GITHUB_OWNER}/${GITHUB_REPO}`);
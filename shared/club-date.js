@@ -0,0 +1,154 @@
+// 클럽 날짜 계산 (서버와 페이지가 함께 사용)
+//
+// 날짜 키('YYYY-MM-DD')는 시간대와 무관한 달력 날짜로 다룸. Date 객체의 로컬 시간으로 만들었다가
+// toISOString()으로 자르면 UTC보다 앞선 시간대(KST 등)에서 하루씩 밀리므로 여기서는 UTC 기준으로만 계산함.
+// '오늘'과 시각 표시처럼 실제 시점이 필요한 곳만 클럽 시간대(기본 Asia/Seoul)를 씀
+//
+//   서버:   const ClubDate = require('./shared/club-date');
+//   페이지: <script src="/shared/club-date.js"></script> → window.ClubDate
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ClubDate = factory();
+  }
+})(this, function() {
+  var DEFAULT_TIME_ZONE = 'Asia/Seoul';
+  var WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+  var DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+  var timeZone = DEFAULT_TIME_ZONE;
+
+  function pad(value) {
+    return (value < 10 ? '0' : '') + value;
+  }
+
+  // 지원하지 않는 시간대면 RangeError
+  function setTimeZone(zone) {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    timeZone = zone;
+  }
+
+  function getTimeZone() {
+    return timeZone;
+  }
+
+  function getMonthKey(year, month) {
+    return year + '-' + pad(month);
+  }
+
+  // 없는 날짜(2월 30일 등)면 null
+  function formatDateKey(year, month, day) {
+    var date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return year + '-' + pad(month) + '-' + pad(day);
+  }
+
+  function parseDateKey(dateKey) {
+    var match = DATE_KEY_PATTERN.exec(dateKey);
+    if (!match) return null;
+
+    var year = parseInt(match[1], 10);
+    var month = parseInt(match[2], 10);
+    var day = parseInt(match[3], 10);
+    return formatDateKey(year, month, day) ? { year: year, month: month, day: day } : null;
+  }
+
+  function isValidDateKey(dateKey) {
+    return typeof dateKey === 'string' && parseDateKey(dateKey) !== null;
+  }
+
+  function toUtcDate(dateKey) {
+    var parts = parseDateKey(dateKey);
+    return parts ? new Date(Date.UTC(parts.year, parts.month - 1, parts.day)) : null;
+  }
+
+  // 0(일) ~ 6(토)
+  function getWeekday(dateKey) {
+    return toUtcDate(dateKey).getUTCDay();
+  }
+
+  function getWeekdayLabel(dateKey) {
+    return WEEKDAY_LABELS[getWeekday(dateKey)];
+  }
+
+  function addDays(dateKey, days) {
+    var date = toUtcDate(dateKey);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  function getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  // 해당 월의 모든 날짜 키 (weekdays를 주면 그 요일만)
+  function getMonthDates(year, month, weekdays) {
+    var dates = [];
+    for (var day = 1; day <= getDaysInMonth(year, month); day++) {
+      var dateKey = formatDateKey(year, month, day);
+      if (!weekdays || weekdays.indexOf(getWeekday(dateKey)) !== -1) {
+        dates.push(dateKey);
+      }
+    }
+    return dates;
+  }
+
+  // 시점(Date, 밀리초, ISO 문자열)이 클럽 시간대에서 며칠인지
+  function toDateKey(instant) {
+    var parts = {};
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date(instant))
+      .forEach(function(part) {
+        parts[part.type] = part.value;
+      });
+    return parts.year + '-' + parts.month + '-' + parts.day;
+  }
+
+  // 시점이 클럽 시간대에서 몇 시인지 (0~23)
+  function getHour(instant) {
+    var hour = new Intl.DateTimeFormat('en-US', { timeZone: timeZone, hour: 'numeric', hourCycle: 'h23' }).format(new Date(instant));
+    return parseInt(hour, 10);
+  }
+
+  function today() {
+    return toDateKey(Date.now());
+  }
+
+  function currentYearMonth() {
+    var parts = parseDateKey(today());
+    return { year: parts.year, month: parts.month };
+  }
+
+  // 시각 표시도 기기 시간대가 아니라 클럽 시간대로
+  function formatDateTime(instant, options) {
+    return new Date(instant).toLocaleString('ko-KR', Object.assign({ timeZone: timeZone }, options || {}));
+  }
+
+  function formatTime(instant) {
+    return new Date(instant).toLocaleTimeString('ko-KR', { timeZone: timeZone, hour: '2-digit', minute: '2-digit' });
+  }
+
+  return {
+    DEFAULT_TIME_ZONE: DEFAULT_TIME_ZONE,
+    WEEKDAY_LABELS: WEEKDAY_LABELS,
+    setTimeZone: setTimeZone,
+    getTimeZone: getTimeZone,
+    getMonthKey: getMonthKey,
+    formatDateKey: formatDateKey,
+    parseDateKey: parseDateKey,
+    isValidDateKey: isValidDateKey,
+    getWeekday: getWeekday,
+    getWeekdayLabel: getWeekdayLabel,
+    addDays: addDays,
+    getDaysInMonth: getDaysInMonth,
+    getMonthDates: getMonthDates,
+    toDateKey: toDateKey,
+    getHour: getHour,
+    today: today,
+    currentYearMonth: currentYearMonth,
+    formatDateTime: formatDateTime,
+    formatTime: formatTime
+  };
+});
@@ -0,0 +1,73 @@
+// GitHub 저장소의 JSON 파일 하나에 저장 (커밋 단위로 이력 보존)
+class GitHubStorage {
+  constructor(options) {
+    this.name = 'github';
+    this.octokit = options.octokit;
+    this.owner = options.owner;
+    this.repo = options.repo;
+    this.path = options.path;
+  }
+
+  async load() {
+    try {
+      const response = await this.octokit.rest.repos.getContent({
+        owner: this.owner,
+        repo: this.repo,
+        path: this.path,
+      });
+      const content = Buffer.from(response.data.content, 'base64').toString('utf8');
+      return { data: JSON.parse(content), revision: response.data.sha };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // context.revision이 원격 sha와 다르면 GitHub이 409/422로 거부함
+  async save(data, context = {}) {
+    const content = JSON.stringify(data, null, 2);
+    const payload = {
+      owner: this.owner,
+      repo: this.repo,
+      path: this.path,
+      message: context.message || '출석 데이터 업데이트',
+      content: Buffer.from(content).toString('base64'),
+    };
+    
+    if (context.revision) {
+      payload.sha = context.revision;
+    }
+    
+    const response = await this.octokit.rest.repos.createOrUpdateFileContents(payload);
+    return { revision: response.data.content.sha };
+  }
+
+  async listRevisions(until) {
+    const params = { owner: this.owner, repo: this.repo, path: this.path, per_page: 100 };
+    if (until) {
+      params.until = until;
+    }
+    
+    const response = await this.octokit.rest.repos.listCommits(params);
+    return response.data.map(commit => ({
+      source: 'github',
+      id: commit.sha,
+      timestamp: commit.commit.committer.date,
+      message: commit.commit.message
+    }));
+  }
+
+  async loadRevision(ref) {
+    const response = await this.octokit.rest.repos.getContent({
+      owner: this.owner,
+      repo: this.repo,
+      path: this.path,
+      ref: ref
+    });
+    return JSON.parse(Buffer.from(response.data.content, 'base64').toString('utf8'));
+  }
+}
+
+module.exports = GitHubStorage;
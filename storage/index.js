@@ -0,0 +1,44 @@
+// 저장소 어댑터
+//
+// 모든 어댑터는 같은 인터페이스를 따름:
+//   load()                  → { data, revision } | null (저장된 데이터가 없으면 null)
+//   save(data, context)     → { revision }
+//     context.dirtyKeys     : 바뀐 최상위 키 목록 (월 키 'YYYY-MM' 또는 '_roles' 같은 섹션). null이면 전체
+//     context.getSessions   : (monthKey) → 해당 월 세션 목록 (정규화 저장소용, 선택)
+//     context.message       : 커밋 메시지 (GitHub)
+//     context.revision      : 마지막으로 읽은 리비전 (GitHub sha, 충돌 감지용)
+//
+// 실패하면 예외를 던지고, GitHub 충돌은 error.status 409/422로 전달됨
+const JsonStorage = require('./json-storage');
+const SqliteStorage = require('./sqlite-storage');
+const GitHubStorage = require('./github-storage');
+const { cloneValue, isSameValue, isPlainObject, mergeRemoteChanges } = require('./merge');
+const { findShiftedMonthDates, moveShiftedDates } = require('./shifted-dates');
+
+const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+// 로컬 주 저장소 생성 (STORAGE_BACKEND 환경변수: json | sqlite)
+function createStorage(backend, options) {
+  switch (backend || 'json') {
+    case 'json':
+      return new JsonStorage(options.jsonFile);
+    case 'sqlite':
+      return new SqliteStorage(options.sqliteFile);
+    default:
+      throw new Error(`Unknown storage backend: ${backend} (${STORAGE_BACKENDS.join(', ')} 중 선택)`);
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorage,
+  JsonStorage,
+  SqliteStorage,
+  GitHubStorage,
+  cloneValue,
+  isSameValue,
+  isPlainObject,
+  mergeRemoteChanges,
+  findShiftedMonthDates,
+  moveShiftedDates
+};
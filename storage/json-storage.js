@@ -0,0 +1,26 @@
+const fs = require('fs');
+
+// 전체 데이터를 JSON 파일 하나에 저장 (기본 저장소)
+class JsonStorage {
+  constructor(filePath) {
+    this.name = 'json';
+    this.filePath = filePath;
+  }
+
+  async load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    
+    const rawData = fs.readFileSync(this.filePath, 'utf8');
+    return { data: JSON.parse(rawData), revision: null };
+  }
+
+  // 파일 하나라 dirtyKeys와 상관없이 전체를 다시 씀
+  async save(data) {
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2), 'utf8');
+    return { revision: null };
+  }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,62 @@
+// 데이터 비교와 GitHub 동기화용 3-way 병합 (서버와 테스트가 함께 사용)
+function cloneValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isSameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => isSameValue(a[key], b[key]));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// base(마지막 동기화 시점) 대비 theirs(원격)의 변경을 ours(로컬)에 멤버/날짜 단위로 반영.
+// 양쪽이 같은 항목을 다르게 바꾼 경우 로컬 값을 유지하고 conflicts에 기록
+// canApply(path, theirs)가 false를 돌려주는 변경(잠긴 달 등)도 반영하지 않고 가장 작은 단위의 충돌로 남김
+function mergeRemoteChanges(base, ours, theirs, prefix, applied, conflicts, canApply) {
+  const keys = Object.keys(base || {}).concat(Object.keys(theirs || {}))
+    .filter((key, index, all) => all.indexOf(key) === index);
+  
+  keys.forEach(key => {
+    const baseValue = base ? base[key] : undefined;
+    const theirValue = theirs ? theirs[key] : undefined;
+    const ourValue = ours[key];
+    const changePath = prefix.concat(key);
+    
+    if (isSameValue(theirValue, baseValue) || isSameValue(ourValue, theirValue)) {
+      return;
+    }
+    
+    if (isSameValue(ourValue, baseValue) && (!canApply || canApply(changePath, theirValue))) {
+      if (theirValue === undefined) {
+        delete ours[key];
+      } else {
+        ours[key] = cloneValue(theirValue);
+      }
+      applied.push({ path: changePath, ours: ourValue, theirs: theirValue });
+      return;
+    }
+    
+    if (isPlainObject(ourValue) && isPlainObject(theirValue)) {
+      mergeRemoteChanges(isPlainObject(baseValue) ? baseValue : {}, ourValue, theirValue, changePath, applied, conflicts, canApply);
+      return;
+    }
+    
+    conflicts.push({ path: changePath, base: baseValue, ours: ourValue, theirs: theirValue });
+  });
+}
+
+module.exports = {
+  cloneValue,
+  isSameValue,
+  isPlainObject,
+  mergeRemoteChanges
+};
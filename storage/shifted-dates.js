@@ -0,0 +1,53 @@
+// 하루 밀려 저장된 날짜 키 찾기/옮기기 (데이터 정합성 점검에서 사용)
+//
+// 예전 getMonthDates는 로컬 시간 자정을 toISOString()으로 잘라서, UTC보다 앞선 시간대(KST 등)의 서버에서는
+// 세션 날짜가 하루씩 앞당겨졌음 (월/수/목 → 일/화/수). 목요일 기록이 실제 세션인 수요일 키에 들어가므로
+// 키 하나씩으로는 판단할 수 없고, 한 달의 키 전체를 보고 그 달이 통째로 밀렸는지 판단함
+const ClubDate = require('../shared/club-date');
+
+// monthKey 달에 저장된 keys가 모두 '하루 앞당긴 세션 날짜'에 있고 세션 날짜 자체와는 맞지 않으면
+// 옮길 목록 [{ date, target }]을 늦은 날짜부터 돌려줌 (앞선 이동이 뒤 이동의 목적지를 비워 둠). 아니면 null
+//   sessionDates: 그 달의 실제 세션 날짜
+//   ignoredDates: 일정 예외(취소/추가/라벨 변경) 날짜. 밀린 세션 날짜가 아니면 판단에서 빼고 그대로 둠
+//   앞 달 마지막 날 키는 이 달 첫 세션이 밀린 것일 수 있어 포함하고, 이 달 마지막 날이 세션이 아니면 다음 달 몫으로 뺌
+function findShiftedMonthDates(monthKey, keys, sessionDates, ignoredDates = []) {
+  const year = parseInt(monthKey.slice(0, 4));
+  const month = parseInt(monthKey.slice(5, 7));
+  const lastDay = ClubDate.formatDateKey(year, month, ClubDate.getDaysInMonth(year, month));
+  const shifted = {};
+  sessionDates.forEach(date => {
+    shifted[ClubDate.addDays(date, -1)] = date;
+  });
+
+  const candidates = keys
+    .filter((key, index, list) => list.indexOf(key) === index && ClubDate.isValidDateKey(key))
+    .filter(key => ClubDate.addDays(key, 1).startsWith(monthKey) ||
+      (key.startsWith(monthKey) && (key !== lastDay || sessionDates.indexOf(key) !== -1)))
+    .filter(key => shifted[key] || ignoredDates.indexOf(key) === -1);
+
+  if (candidates.length === 0 || !candidates.every(key => shifted[key])) {
+    return null;
+  }
+  if (candidates.every(key => sessionDates.indexOf(key) !== -1)) {
+    return null;
+  }
+  return candidates.sort().reverse().map(key => ({ date: key, target: shifted[key] }));
+}
+
+// container(날짜 키 객체)의 키를 moves 순서대로 옮기고 옮긴 개수를 돌려줌. 옮길 곳에 이미 값이 있으면 그 키는 그대로 둠
+function moveShiftedDates(container, moves) {
+  let moved = 0;
+  moves.forEach(move => {
+    if (container[move.date] === undefined) return;
+    if (container[move.target] !== undefined) return;
+    container[move.target] = container[move.date];
+    delete container[move.date];
+    moved++;
+  });
+  return moved;
+}
+
+module.exports = {
+  findShiftedMonthDates,
+  moveShiftedDates
+};
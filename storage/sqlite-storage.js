@@ -0,0 +1,293 @@
+const MONTH_KEY_PATTERN = /^\d{4}-\d{2}$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MEMBER_FIELDS = ['role', 'order', 'attendance', 'extraAttendance', 'activities'];
+const PROFILE_FIELDS = ['id', 'name', 'phone', 'joinedAt', 'status'];
+// 스키마를 바꾸면 올리고, 생성자에서 이전 버전 파일을 옮기는 단계를 추가
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS months (
+    month_key TEXT PRIMARY KEY
+  );
+  -- 멤버 명부 (details: createdAt, mergedInto 등 나머지 필드 JSON)
+  CREATE TABLE IF NOT EXISTS members (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    phone TEXT,
+    joined_at TEXT,
+    status TEXT,
+    details TEXT
+  );
+  -- 월별 멤버 명단 (details: notes, exemption 등 나머지 필드 JSON)
+  CREATE TABLE IF NOT EXISTS memberships (
+    month_key TEXT NOT NULL REFERENCES months(month_key),
+    member_id TEXT NOT NULL REFERENCES members(id),
+    role TEXT,
+    sort_order INTEGER,
+    details TEXT,
+    PRIMARY KEY (month_key, member_id)
+  );
+  -- 월별 세션 (kind: regular/extra는 일정 날짜, activity는 extra1 같은 추가 활동 키)
+  CREATE TABLE IF NOT EXISTS sessions (
+    month_key TEXT NOT NULL REFERENCES months(month_key),
+    session_key TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    label TEXT,
+    PRIMARY KEY (month_key, session_key)
+  );
+  -- 출석 표시 (source: 'attendance' | 'extraAttendance', value: JSON)
+  CREATE TABLE IF NOT EXISTS attendance_marks (
+    month_key TEXT NOT NULL,
+    member_id TEXT NOT NULL,
+    source TEXT NOT NULL,
+    session_key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (month_key, member_id, source, session_key),
+    FOREIGN KEY (month_key, member_id) REFERENCES memberships(month_key, member_id),
+    FOREIGN KEY (month_key, session_key) REFERENCES sessions(month_key, session_key)
+  );
+  -- 기타 활동 (대회 지원, 촬영 등. credit은 출석 조건에 반영되는 횟수)
+  CREATE TABLE IF NOT EXISTS activities (
+    id TEXT PRIMARY KEY,
+    month_key TEXT NOT NULL,
+    member_id TEXT NOT NULL,
+    date TEXT,
+    type TEXT NOT NULL,
+    description TEXT,
+    credit REAL NOT NULL,
+    FOREIGN KEY (month_key, member_id) REFERENCES memberships(month_key, member_id)
+  );
+  -- 월 데이터와 멤버 명부가 아닌 최상위 섹션 (_roles, _schedule, _rules ...)
+  CREATE TABLE IF NOT EXISTS sections (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite 저장소를 쓰려면 better-sqlite3 패키지가 필요합니다 (npm install better-sqlite3)');
+  }
+}
+
+// 정규화된 SQLite 테이블에 저장. 바뀐 월/섹션만 다시 씀
+class SqliteStorage {
+  constructor(filePath) {
+    const Database = loadDriver();
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    
+    this.statements = {
+      deleteMarks: this.db.prepare('DELETE FROM attendance_marks WHERE month_key = ?'),
+      deleteActivities: this.db.prepare('DELETE FROM activities WHERE month_key = ?'),
+      deleteMemberships: this.db.prepare('DELETE FROM memberships WHERE month_key = ?'),
+      deleteSessions: this.db.prepare('DELETE FROM sessions WHERE month_key = ?'),
+      deleteUnusedSessions: this.db.prepare('DELETE FROM sessions WHERE month_key = ? AND session_key NOT IN (SELECT session_key FROM attendance_marks WHERE month_key = ?)'),
+      deleteMonth: this.db.prepare('DELETE FROM months WHERE month_key = ?'),
+      insertMonth: this.db.prepare('INSERT OR IGNORE INTO months (month_key) VALUES (?)'),
+      insertMissingMember: this.db.prepare('INSERT OR IGNORE INTO members (id, name) VALUES (?, ?)'),
+      upsertMember: this.db.prepare('INSERT INTO members (id, name, phone, joined_at, status, details) VALUES (?, ?, ?, ?, ?, ?) ON CONFLICT (id) DO UPDATE SET name = excluded.name, phone = excluded.phone, joined_at = excluded.joined_at, status = excluded.status, details = excluded.details'),
+      insertMembership: this.db.prepare('INSERT INTO memberships (month_key, member_id, role, sort_order, details) VALUES (?, ?, ?, ?, ?)'),
+      upsertSession: this.db.prepare('INSERT INTO sessions (month_key, session_key, kind, label) VALUES (?, ?, ?, ?) ON CONFLICT (month_key, session_key) DO UPDATE SET kind = excluded.kind, label = excluded.label'),
+      insertMissingSession: this.db.prepare('INSERT OR IGNORE INTO sessions (month_key, session_key, kind, label) VALUES (?, ?, ?, NULL)'),
+      insertMark: this.db.prepare('INSERT INTO attendance_marks (month_key, member_id, source, session_key, value) VALUES (?, ?, ?, ?, ?)'),
+      insertActivity: this.db.prepare('INSERT INTO activities (id, month_key, member_id, date, type, description, credit) VALUES (?, ?, ?, ?, ?, ?, ?)'),
+      upsertSection: this.db.prepare('INSERT INTO sections (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+      deleteSection: this.db.prepare('DELETE FROM sections WHERE key = ?')
+    };
+  }
+
+  async load() {
+    const data = {};
+    
+    this.db.prepare('SELECT key, value FROM sections').all().forEach(row => {
+      data[row.key] = JSON.parse(row.value);
+    });
+    
+    const profiles = this.db.prepare('SELECT * FROM members ORDER BY rowid').all();
+    if (profiles.some(row => row.status !== null)) {
+      data._members = {};
+      profiles.filter(row => row.status !== null).forEach(row => {
+        data._members[row.id] = Object.assign({
+          id: row.id,
+          name: row.name,
+          phone: row.phone,
+          joinedAt: row.joined_at,
+          status: row.status
+        }, row.details ? JSON.parse(row.details) : {});
+      });
+    }
+    
+    const months = this.db.prepare('SELECT month_key FROM months ORDER BY month_key').all();
+    if (months.length === 0 && Object.keys(data).length === 0) {
+      return null;
+    }
+    
+    months.forEach(row => {
+      data[row.month_key] = {};
+    });
+    
+    this.db.prepare('SELECT * FROM memberships ORDER BY rowid').all().forEach(row => {
+      const member = { role: row.role, attendance: {}, activities: [] };
+      if (row.sort_order !== null) {
+        member.order = row.sort_order;
+      }
+      data[row.month_key][row.member_id] = Object.assign(member, row.details ? JSON.parse(row.details) : {});
+    });
+    
+    this.db.prepare('SELECT * FROM attendance_marks ORDER BY rowid').all().forEach(row => {
+      const member = data[row.month_key][row.member_id];
+      if (!member[row.source]) {
+        member[row.source] = {};
+      }
+      member[row.source][row.session_key] = JSON.parse(row.value);
+    });
+    
+    this.db.prepare('SELECT * FROM activities ORDER BY rowid').all().forEach(row => {
+      data[row.month_key][row.member_id].activities.push({
+        id: row.id,
+        date: row.date,
+        type: row.type,
+        description: row.description,
+        credit: row.credit
+      });
+    });
+    
+    return { data: data, revision: null };
+  }
+
+  async save(data, context = {}) {
+    let keys = context.dirtyKeys;
+    if (!keys) {
+      const storedKeys = this.db.prepare('SELECT month_key AS key FROM months UNION SELECT key FROM sections').all().map(row => row.key);
+      keys = Object.keys(data).concat(storedKeys.filter(key => !(key in data)));
+    }
+    
+    this.db.transaction(() => {
+      // 명부와 명단을 같은 트랜잭션에서 바꾸므로 외래키 검사는 커밋 시점에
+      this.db.pragma('defer_foreign_keys = ON');
+      
+      keys.forEach(key => {
+        if (MONTH_KEY_PATTERN.test(key)) {
+          this.saveMonth(key, data[key], context.getSessions);
+        } else if (key === '_members') {
+          this.saveMembers(data._members || {});
+        } else if (data[key] === undefined) {
+          this.statements.deleteSection.run(key);
+        } else {
+          this.statements.upsertSection.run(key, JSON.stringify(data[key]));
+        }
+      });
+      
+      // 일정이 바뀌면 월 데이터는 그대로 두고 세션 목록만 갱신
+      if (context.dirtyKeys && keys.indexOf('_schedule') !== -1 && context.getSessions) {
+        Object.keys(data)
+          .filter(key => MONTH_KEY_PATTERN.test(key) && keys.indexOf(key) === -1)
+          .forEach(monthKey => {
+            this.statements.deleteUnusedSessions.run(monthKey, monthKey);
+            this.saveSessions(monthKey, context.getSessions(monthKey));
+          });
+      }
+    })();
+    
+    return { revision: null };
+  }
+
+  saveMonth(monthKey, monthData, getSessions) {
+    const statements = this.statements;
+    statements.deleteMarks.run(monthKey);
+    statements.deleteActivities.run(monthKey);
+    statements.deleteMemberships.run(monthKey);
+    statements.deleteSessions.run(monthKey);
+    
+    if (monthData === undefined) {
+      statements.deleteMonth.run(monthKey);
+      return;
+    }
+    
+    statements.insertMonth.run(monthKey);
+    if (getSessions) {
+      this.saveSessions(monthKey, getSessions(monthKey));
+    }
+    
+    Object.keys(monthData).forEach(memberId => {
+      const member = monthData[memberId];
+      const details = {};
+      Object.keys(member).forEach(field => {
+        if (MEMBER_FIELDS.indexOf(field) === -1) {
+          details[field] = member[field];
+        }
+      });
+      
+      // 명부에 없는 키(멤버 ID 도입 전 이름)는 임시 행으로 두고, 서버가 명부를 만들면 정리됨
+      statements.insertMissingMember.run(memberId, memberId);
+      statements.insertMembership.run(
+        monthKey,
+        memberId,
+        member.role === undefined ? null : member.role,
+        typeof member.order === 'number' ? member.order : null,
+        Object.keys(details).length > 0 ? JSON.stringify(details) : null
+      );
+      
+      ['attendance', 'extraAttendance'].forEach(source => {
+        const marks = member[source] || {};
+        Object.keys(marks).forEach(sessionKey => {
+          const kind = source === 'extraAttendance' ? 'activity' : (DATE_KEY_PATTERN.test(sessionKey) ? 'regular' : 'other');
+          statements.insertMissingSession.run(monthKey, sessionKey, kind);
+          statements.insertMark.run(monthKey, memberId, source, sessionKey, JSON.stringify(marks[sessionKey]));
+        });
+      });
+      
+      (member.activities || []).forEach(activity => {
+        statements.insertActivity.run(
+          activity.id,
+          monthKey,
+          memberId,
+          activity.date || null,
+          activity.type,
+          activity.description || null,
+          activity.credit
+        );
+      });
+    });
+  }
+
+  // 명부에서 빠진 멤버는 월 명단에서 참조하지 않을 때만 지움
+  saveMembers(registry) {
+    Object.keys(registry).forEach(memberId => {
+      const profile = registry[memberId];
+      const details = {};
+      Object.keys(profile).forEach(field => {
+        if (PROFILE_FIELDS.indexOf(field) === -1) {
+          details[field] = profile[field];
+        }
+      });
+      this.statements.upsertMember.run(
+        memberId,
+        profile.name,
+        profile.phone || null,
+        profile.joinedAt || null,
+        profile.status || 'active',
+        Object.keys(details).length > 0 ? JSON.stringify(details) : null
+      );
+    });
+    
+    const ids = Object.keys(registry);
+    this.db.prepare(`DELETE FROM members WHERE id NOT IN (SELECT member_id FROM memberships)${ids.length > 0 ? ` AND id NOT IN (${ids.map(() => '?').join(', ')})` : ''}`).run(ids);
+  }
+
+  saveSessions(monthKey, sessions) {
+    (sessions || []).forEach(session => {
+      this.statements.upsertSession.run(monthKey, session.date, session.type, session.label || null);
+    });
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,113 @@
+// GitHub 동기화 3-way 병합 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const { cloneValue, mergeRemoteChanges } = require('../storage');
+
+const BASE = {
+  '2026-10': {
+    member_a: { role: '페이서', attendance: { '2026-10-05': 'present', '2026-10-07': 'absent' } },
+    member_b: { role: '페이서', attendance: { '2026-10-05': 'absent' } }
+  },
+  _roles: { '페이서': { order: 1 } }
+};
+
+function merge(ours, theirs) {
+  const applied = [];
+  const conflicts = [];
+  mergeRemoteChanges(BASE, ours, theirs, [], applied, conflicts);
+  return { applied, conflicts };
+}
+
+test('같은 칸을 양쪽에서 다르게 바꾸면 충돌로 남기고 로컬 값을 유지', () => {
+  const ours = cloneValue(BASE);
+  const theirs = cloneValue(BASE);
+  ours['2026-10'].member_a.attendance['2026-10-07'] = 'present';
+  theirs['2026-10'].member_a.attendance['2026-10-07'] = 'late';
+
+  const { applied, conflicts } = merge(ours, theirs);
+
+  assert.deepStrictEqual(applied, []);
+  assert.deepStrictEqual(conflicts, [{
+    path: ['2026-10', 'member_a', 'attendance', '2026-10-07'],
+    base: 'absent',
+    ours: 'present',
+    theirs: 'late'
+  }]);
+  assert.strictEqual(ours['2026-10'].member_a.attendance['2026-10-07'], 'present');
+});
+
+test('다른 멤버/날짜를 바꾼 변경은 양쪽 모두 반영', () => {
+  const ours = cloneValue(BASE);
+  const theirs = cloneValue(BASE);
+  ours['2026-10'].member_a.attendance['2026-10-07'] = 'present';
+  theirs['2026-10'].member_a.attendance['2026-10-05'] = 'late';
+  theirs['2026-10'].member_b.attendance['2026-10-07'] = 'present';
+  theirs._roles['페이서'].order = 2;
+
+  const { applied, conflicts } = merge(ours, theirs);
+
+  assert.deepStrictEqual(conflicts, []);
+  assert.strictEqual(applied.length, 3);
+  assert.deepStrictEqual(ours['2026-10'].member_a.attendance, { '2026-10-05': 'late', '2026-10-07': 'present' });
+  assert.deepStrictEqual(ours['2026-10'].member_b.attendance, { '2026-10-05': 'absent', '2026-10-07': 'present' });
+  assert.strictEqual(ours._roles['페이서'].order, 2);
+});
+
+test('양쪽이 같은 값으로 바꾸면 충돌이 아님', () => {
+  const ours = cloneValue(BASE);
+  const theirs = cloneValue(BASE);
+  ours['2026-10'].member_b.attendance['2026-10-05'] = 'present';
+  theirs['2026-10'].member_b.attendance['2026-10-05'] = 'present';
+
+  const { applied, conflicts } = merge(ours, theirs);
+
+  assert.deepStrictEqual(applied, []);
+  assert.deepStrictEqual(conflicts, []);
+});
+
+test('원격에서 지운 항목은 로컬이 건드리지 않았을 때만 지움', () => {
+  const ours = cloneValue(BASE);
+  const theirs = cloneValue(BASE);
+  delete theirs['2026-10'].member_b;
+
+  merge(ours, theirs);
+  assert.strictEqual(ours['2026-10'].member_b, undefined);
+
+  const edited = cloneValue(BASE);
+  edited['2026-10'].member_b.attendance['2026-10-05'] = 'present';
+  const { conflicts } = merge(edited, theirs);
+  assert.deepStrictEqual(conflicts.map(conflict => conflict.path), [['2026-10', 'member_b']]);
+  assert.strictEqual(edited['2026-10'].member_b.attendance['2026-10-05'], 'present');
+});
+
+test('로컬에만 있는 새 월은 그대로 둠', () => {
+  const ours = cloneValue(BASE);
+  ours['2026-11'] = { member_a: { role: '페이서', attendance: {} } };
+
+  const { applied, conflicts } = merge(ours, cloneValue(BASE));
+
+  assert.deepStrictEqual(applied, []);
+  assert.deepStrictEqual(conflicts, []);
+  assert.ok(ours['2026-11']);
+});
+
+test('canApply가 막은 원격 변경은 반영하지 않고 칸 단위 충돌로 남김', () => {
+  const ours = cloneValue(BASE);
+  const theirs = cloneValue(BASE);
+  theirs['2026-10'].member_a.attendance['2026-10-07'] = 'present';
+  theirs._roles['페이서'].order = 2;
+  const applied = [];
+  const conflicts = [];
+
+  mergeRemoteChanges(BASE, ours, theirs, [], applied, conflicts, changePath => changePath[0] !== '2026-10');
+
+  assert.deepStrictEqual(applied.map(change => change.path), [['_roles']]);
+  assert.deepStrictEqual(conflicts, [{
+    path: ['2026-10', 'member_a', 'attendance', '2026-10-07'],
+    base: 'absent',
+    ours: 'absent',
+    theirs: 'present'
+  }]);
+  assert.strictEqual(ours['2026-10'].member_a.attendance['2026-10-07'], 'absent');
+  assert.strictEqual(ours._roles['페이서'].order, 2);
+});
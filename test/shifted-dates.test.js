@@ -0,0 +1,76 @@
+// 하루 밀려 저장된 날짜 키 찾기/옮기기 테스트 (npm test)
+const test = require('node:test');
+const assert = require('node:assert');
+const ClubDate = require('../shared/club-date');
+const { findShiftedMonthDates, moveShiftedDates } = require('../storage');
+
+// 기본 일정: 월/수/목. 2026-10-01은 목요일
+const SESSIONS = ClubDate.getMonthDates(2026, 10, [1, 3, 4]);
+
+function shiftBack(marks) {
+  const shifted = {};
+  Object.keys(marks).forEach(date => {
+    shifted[ClubDate.addDays(date, -1)] = marks[date];
+  });
+  return shifted;
+}
+
+function sessionMarks(sessions) {
+  const marks = {};
+  sessions.forEach((date, index) => {
+    marks[date] = ['present', 'late', 'absent'][index % 3];
+  });
+  return marks;
+}
+
+test('월/수/목 달이 통째로 하루 밀렸으면 늦은 날짜부터 모두 제자리로 옮김', () => {
+  const expected = sessionMarks(SESSIONS);
+  const stored = shiftBack(expected);
+  assert.ok(stored['2026-09-30'], '10월 1일(목) 기록은 9월 30일 키에 있음');
+
+  const moves = findShiftedMonthDates('2026-10', Object.keys(stored), SESSIONS);
+
+  assert.strictEqual(moves.length, SESSIONS.length);
+  assert.deepStrictEqual(moves.map(move => move.date), Object.keys(stored).sort().reverse());
+  assert.deepStrictEqual(moves[0], { date: '2026-10-28', target: '2026-10-29' });
+  assert.strictEqual(moveShiftedDates(stored, moves), SESSIONS.length);
+  assert.deepStrictEqual(stored, expected);
+});
+
+test('제 날짜에 저장된 달은 옮기지 않음', () => {
+  const marks = sessionMarks(SESSIONS);
+  assert.strictEqual(findShiftedMonthDates('2026-10', Object.keys(marks), SESSIONS), null);
+});
+
+test('수요일 기록만 있으면 밀렸는지 알 수 없으므로 옮기지 않음', () => {
+  const wednesdays = ClubDate.getMonthDates(2026, 10, [3]);
+  assert.strictEqual(findShiftedMonthDates('2026-10', wednesdays, SESSIONS), null);
+});
+
+test('취소된 수요일에 남은 기록은 목요일로 옮기지 않음', () => {
+  const sessions = SESSIONS.filter(date => date !== '2026-10-14');
+  const marks = sessionMarks(sessions);
+  marks['2026-10-14'] = 'present';
+
+  assert.strictEqual(findShiftedMonthDates('2026-10', Object.keys(marks), sessions, ['2026-10-14']), null);
+});
+
+test('밀린 달에서도 일정 예외 날짜의 기록은 그대로 둠', () => {
+  // 10/14(수) 취소, 10/17(토) 추가 세션. 추가 세션 기록은 고친 뒤에 제 날짜로 남긴 것
+  const sessions = SESSIONS.filter(date => date !== '2026-10-14').concat('2026-10-17').sort();
+  const expected = sessionMarks(sessions.filter(date => date !== '2026-10-17'));
+  const stored = shiftBack(expected);
+  stored['2026-10-17'] = 'present';
+
+  const moves = findShiftedMonthDates('2026-10', Object.keys(stored), sessions, ['2026-10-14', '2026-10-17']);
+
+  assert.ok(moves.every(move => move.date !== '2026-10-17'));
+  moveShiftedDates(stored, moves);
+  assert.deepStrictEqual(stored, Object.assign({ '2026-10-17': 'present' }, expected));
+});
+
+test('옮길 곳에 이미 값이 있으면 그 키는 그대로 둠', () => {
+  const container = { '2026-10-06': 'present', '2026-10-07': 'late' };
+  assert.strictEqual(moveShiftedDates(container, [{ date: '2026-10-06', target: '2026-10-07' }]), 0);
+  assert.deepStrictEqual(container, { '2026-10-06': 'present', '2026-10-07': 'late' });
+});
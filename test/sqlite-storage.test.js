@@ -0,0 +1,89 @@
+// SQLite 저장소 저장/불러오기 테스트 (npm test). better-sqlite3가 없으면 건너뜀
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SqliteStorage, cloneValue } = require('../storage');
+
+let driverMissing = false;
+try {
+  require('better-sqlite3');
+} catch (error) {
+  driverMissing = 'better-sqlite3가 설치되지 않음';
+}
+
+const DATA = {
+  _members: {
+    member_a: { id: 'member_a', name: '김페이서', phone: '010-0000-0000', joinedAt: '2025-03-01', status: 'active', createdAt: '2025-03-01T00:00:00.000Z' },
+    member_b: { id: 'member_b', name: '이페이서', phone: null, joinedAt: null, status: 'on_leave' }
+  },
+  '2026-09': {
+    member_a: { role: '페이서', order: 0, attendance: { '2026-09-07': 'present' }, activities: [] }
+  },
+  '2026-10': {
+    member_a: {
+      role: '페이서',
+      order: 0,
+      attendance: { '2026-10-05': 'present', '2026-10-07': 'late' },
+      activities: [{ id: 'act_1', date: '2026-10-12', type: 'race_support', description: '춘천 마라톤', credit: 1 }]
+    },
+    member_b: { role: '페이서 강남', order: 1, attendance: { '2026-10-05': 'excused' }, notes: { '2026-10-05': '부상' }, activities: [] }
+  },
+  _roles: { '페이서': { order: 1, requirements: [{ from: null, total: 3, wednesday: 0 }] } },
+  _rules: { req_1: { id: 'req_1', name: '수요일', type: 'min_attendance', min: 1, weekdays: [3] } }
+};
+
+function getSessions(monthKey) {
+  return monthKey === '2026-10'
+    ? [{ date: '2026-10-05', type: 'regular' }, { date: '2026-10-07', type: 'regular', label: '수요 세션' }]
+    : [];
+}
+
+function withStorage(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-sqlite-'));
+  const storage = new SqliteStorage(path.join(dir, 'attendance.sqlite'));
+  return Promise.resolve()
+    .then(() => run(storage))
+    .finally(() => {
+      storage.db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+}
+
+test('빈 파일은 null을 돌려줌', { skip: driverMissing }, () => withStorage(async storage => {
+  assert.strictEqual(await storage.load(), null);
+}));
+
+test('전체 저장 후 그대로 불러옴', { skip: driverMissing }, () => withStorage(async storage => {
+  await storage.save(cloneValue(DATA), { dirtyKeys: null, getSessions: getSessions });
+  const loaded = await storage.load();
+  assert.deepStrictEqual(loaded.data, DATA);
+}));
+
+test('바뀐 월/섹션만 다시 써도 나머지는 유지', { skip: driverMissing }, () => withStorage(async storage => {
+  await storage.save(cloneValue(DATA), { dirtyKeys: null, getSessions: getSessions });
+
+  const data = cloneValue(DATA);
+  data['2026-10'].member_a.attendance['2026-10-07'] = 'present';
+  delete data['2026-10'].member_b;
+  delete data._rules;
+  await storage.save(data, { dirtyKeys: ['2026-10', '_rules'], getSessions: getSessions });
+
+  const loaded = await storage.load();
+  assert.deepStrictEqual(loaded.data, data);
+}));
+
+test('지운 월은 명단/출석/활동/세션 행이 모두 지워짐', { skip: driverMissing }, () => withStorage(async storage => {
+  await storage.save(cloneValue(DATA), { dirtyKeys: null, getSessions: getSessions });
+
+  const data = cloneValue(DATA);
+  delete data['2026-10'];
+  await storage.save(data, { dirtyKeys: ['2026-10'], getSessions: getSessions });
+
+  const loaded = await storage.load();
+  assert.deepStrictEqual(loaded.data, data);
+  ['months', 'memberships', 'sessions', 'attendance_marks', 'activities'].forEach(table => {
+    assert.strictEqual(storage.db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE month_key = ?`).get('2026-10').count, 0, table);
+  });
+}));